@@ -1,14 +1,12 @@
-import { dirname } from "path";
-import { fileURLToPath } from "url";
-import { FlatCompat } from "@eslint/eslintrc";
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-const compat = new FlatCompat({
-  baseDirectory: __dirname,
-});
-
-const eslintConfig = [...compat.extends("next/core-web-vitals")];
+import nextCoreWebVitals from "eslint-config-next/core-web-vitals";
+
+// Next's rules for the client, the shared code in src/lib and the reference
+// server in server/ alike
+const eslintConfig = [
+  ...nextCoreWebVitals,
+  {
+    ignores: [".next/**", "out/**", "build/**", "server/node_modules/**"],
+  },
+];
 
 export default eslintConfig;
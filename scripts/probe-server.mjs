@@ -0,0 +1,112 @@
+/**
+ * Throws hostile payloads at the reference server with protocol validation
+ * off, as in production, and fails if that takes it down. Schema checks
+ * (src/lib/protocol.js) are a development aid - the handlers have to cope
+ * on their own.
+ *
+ * Run with `npm run probe:server` (after `npm install` in server/ too).
+ */
+
+import { io } from "socket.io-client";
+import { CLIENT_MESSAGES } from "../src/lib/protocol.js";
+import { startServer } from "../server/index.js";
+
+const PROTOTYPE_KEYS = [
+  "constructor",
+  "__proto__",
+  "toString",
+  "hasOwnProperty",
+];
+
+// Payloads that aren't objects, and objects whose values are prototype keys
+const HOSTILE_PAYLOADS = [
+  null,
+  0,
+  "constructor",
+  true,
+  [],
+  [null],
+  ...PROTOTYPE_KEYS.map((key) => ({
+    id: key,
+    paintballId: key,
+    target: key,
+    team: key,
+    code: key,
+    sessionToken: key,
+    name: key,
+    text: key,
+  })),
+];
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const connect = (url, name, team) =>
+  new Promise((resolve, reject) => {
+    const socket = io(url, { transports: ["websocket"], forceNew: true });
+    const timer = setTimeout(
+      () => reject(new Error(`${name} never joined`)),
+      5000
+    );
+    socket.on("connect", () => socket.emit("join", { name, team }));
+    socket.on("joinSuccess", (data) => {
+      clearTimeout(timer);
+      resolve({ socket, id: data.id });
+    });
+  });
+
+const probe = async () => {
+  const server = await startServer({
+    port: 0,
+    game: { validateProtocol: false },
+    rooms: { validateProtocol: false },
+  });
+  const url = `http://localhost:${server.port}`;
+  const failures = [];
+
+  try {
+    const red = await connect(url, "red", "Red");
+    const blue = await connect(url, "blue", "Blue");
+
+    // A socket that hasn't joined, then players who have
+    const stranger = io(url, { transports: ["websocket"], forceNew: true });
+    await new Promise((resolve) => stranger.on("connect", resolve));
+    [stranger, red.socket].forEach((socket) => {
+      Object.keys(CLIENT_MESSAGES).forEach((event) => {
+        HOSTILE_PAYLOADS.forEach((payload) => socket.emit(event, payload));
+      });
+    });
+
+    // Hit claims naming a prototype key as the paintball, on a real target
+    PROTOTYPE_KEYS.forEach((key) =>
+      red.socket.emit("hit", { target: blue.id, paintballId: key })
+    );
+    await wait(500);
+
+    if (!red.socket.connected || !blue.socket.connected) {
+      failures.push("players were disconnected");
+    }
+    const health = await fetch(`${url}/health`).catch(() => null);
+    if (health?.status !== 200) failures.push("/health stopped answering");
+    const late = await connect(url, "late").catch((error) => {
+      failures.push(error.message);
+      return null;
+    });
+
+    [stranger, red.socket, blue.socket, late?.socket].forEach((socket) =>
+      socket?.close()
+    );
+  } catch (error) {
+    failures.push(error.message);
+  }
+
+  await server.close();
+  return failures;
+};
+
+const failures = await probe();
+if (failures.length > 0) {
+  console.error(`❌ Server probe failed: ${failures.join("; ")}`);
+  process.exit(1);
+}
+console.log("✅ Server survived every hostile payload");
+process.exit(0);
@@ -0,0 +1,1940 @@
+/**
+ * Authoritative game state for the PaintBlast reference server
+ * Implements every Socket.IO event the client in src/lib/socket.js and
+ * src/components/Game.js relies on.
+ */
+
+import { randomUUID } from "crypto";
+import {
+  MAX_PLAYERS,
+  MAX_PLAYERS_PER_TEAM,
+  TEAM_IMBALANCE_THRESHOLD,
+  TEAM_BALANCE_DELAY,
+  TEAM_SWITCH_COOLDOWN,
+  ENABLE_QUEUE,
+  QUEUE_REFRESH_INTERVAL,
+  RECONNECT_GRACE_PERIOD,
+  RESPAWN_TIME,
+  MAX_HEALTH,
+  HIT_DAMAGE,
+  WARMUP_TIME,
+  ROUND_TIME,
+  OVERTIME_TIME,
+  WIN_SCORE,
+  GAME_MODE,
+  MAP_NAME,
+  FLAG_SCORE_POINTS,
+  FLAG_POSITIONS,
+  BATCH_UPDATE_INTERVAL,
+  VALIDATE_PROTOCOL,
+  PARTY_CODE_LENGTH,
+  MAX_PARTY_SIZE,
+  FIRE_RATE,
+} from "../src/lib/config.js";
+import { createMatch } from "../src/lib/match.js";
+import {
+  constrainMove,
+  MAX_INPUT_DT,
+  MAX_MOVE_BUDGET,
+} from "../src/lib/movement.js";
+import { PAINTBALL_LIFETIME } from "../src/lib/ballistics.js";
+import {
+  createHitboxHistory,
+  traceShot,
+  clampShotOrigin,
+  MAX_REWIND,
+} from "./lagCompensation.js";
+import {
+  ENCODINGS,
+  SUPPORTED_ENCODINGS,
+  negotiateEncoding,
+  isBinaryPayload,
+  encodePlayersSnapshot,
+  decodePositionUpdate,
+} from "../src/lib/wireFormat.js";
+import {
+  diffPlayers,
+  hasPlayerChanged,
+  createSnapshotHistory,
+} from "../src/lib/snapshotDelta.js";
+import { createSpatialGrid, getInterestSet } from "./interestManagement.js";
+import {
+  PROTOCOL_VERSION,
+  MIN_PROTOCOL_VERSION,
+  PROTOCOL_FEATURES,
+  CLIENT_MESSAGES,
+  checkProtocolVersion,
+  guardSocket,
+} from "../src/lib/protocol.js";
+import { generateJoinCode } from "./joinCodes.js";
+import { createTurnoverTracker } from "./queueTurnover.js";
+import { protectSocket } from "./socketSafety.js";
+
+export const TEAMS = ["Red", "Blue"];
+
+// Socket.IO room that every admitted (non-queued) player and spectator joins
+const GAME_ROOM = "game";
+// Players on the binary wire format, who need roster updates
+const BINARY_ROOM = "game:binary";
+// Spectators, who get every player in JSON snapshots
+const SPECTATOR_ROOM = "game:spectators";
+
+// Gameplay constants
+const MAX_NAME_LENGTH = 16;
+const MAX_MESSAGE_LENGTH = 200;
+const QUEUE_RESERVATION_TIMEOUT = 30000; // ms a promoted player has to send `join`
+const MATCH_TICK_INTERVAL = 250; // ms between match clock checks
+
+const FLAG_INTERACT_RADIUS = 6; // Client uses 3, leave room for latency
+const SPAWN_ZONE_RADIUS = 15; // How far from base a freshly spawned client may appear
+const MAX_INPUTS_PER_UPDATE = 30; // Input commands processed from one updatePosition
+const HIT_TOLERANCE = 0.35; // Extra hitbox radius when confirming hits (interpolation error)
+const MAX_TRACKED_SHOTS = 64; // Paintballs per player we remember for hit confirmation
+const SHOT_BURST = 3; // Shots a client may bunch up (jitter) beyond FIRE_RATE
+
+/**
+ * Normalise a team name from the wire ("red", "Red", "RED") to "Red"/"Blue"
+ * @param {string} team Team name in any casing
+ * @returns {string|null} Canonical team name or null if invalid
+ */
+export const normalizeTeam = (team) => {
+  if (typeof team !== "string") return null;
+  const lower = team.trim().toLowerCase();
+  if (lower === "red") return "Red";
+  if (lower === "blue") return "Blue";
+  return null;
+};
+
+/**
+ * Get the opposing team
+ * @param {string} team "Red" or "Blue"
+ * @returns {string} The other team
+ */
+export const otherTeam = (team) => (team === "Red" ? "Blue" : "Red");
+
+/**
+ * Get a spawn position at the given team's castle
+ * @param {string} team "Red" or "Blue"
+ * @returns {Array} [x, y, z] position
+ */
+export const getSpawnPosition = (team) => {
+  const offsetX = Math.random() * 20 - 10;
+  return [offsetX, 2, FLAG_POSITIONS[team][2]];
+};
+
+/**
+ * Check that a value is an [x, y, z] array of finite numbers
+ */
+const isVector3 = (value) =>
+  Array.isArray(value) &&
+  value.length === 3 &&
+  value.every((n) => typeof n === "number" && Number.isFinite(n));
+
+/**
+ * Trim a requested name to something we can show
+ */
+const toPlayerName = (name) =>
+  typeof name === "string" && name.trim()
+    ? name.trim().substring(0, MAX_NAME_LENGTH)
+    : "Player";
+
+/**
+ * Horizontal (x/z) distance between two positions
+ */
+const distance2D = (a, b) => Math.hypot(a[0] - b[0], a[2] - b[2]);
+
+/**
+ * Check the shape of a client input command ({ seq, dt, keys, position })
+ */
+const isInputCommand = (command) =>
+  Boolean(command) &&
+  Number.isInteger(command.seq) &&
+  typeof command.dt === "number" &&
+  Number.isFinite(command.dt) &&
+  command.dt >= 0 &&
+  isVector3(command.position);
+
+/**
+ * Create a game server bound to a Socket.IO server instance
+ * @param {import("socket.io").Server} server Socket.IO server
+ * @param {Object} options Overrides for the defaults in config.js
+ * @param {string} options.namespace Socket.IO namespace the game runs on
+ * @param {Object} options.room Private room ({ code, password }): the first
+ *   player in hosts it and matches wait for the host to start them
+ * @returns {Object} Game server handle
+ */
+export const createGameServer = (server, options = {}) => {
+  const settings = {
+    name: "PaintBlast",
+    namespace: "/",
+    room: null,
+    mapName: MAP_NAME,
+    maxPlayers: MAX_PLAYERS,
+    maxPlayersPerTeam: MAX_PLAYERS_PER_TEAM,
+    teamImbalanceThreshold: TEAM_IMBALANCE_THRESHOLD,
+    teamBalanceDelay: TEAM_BALANCE_DELAY,
+    teamSwitchCooldown: TEAM_SWITCH_COOLDOWN,
+    enableQueue: ENABLE_QUEUE,
+    queueRefreshInterval: QUEUE_REFRESH_INTERVAL,
+    queueTurnover: {}, // createTurnoverTracker options
+    reconnectGracePeriod: RECONNECT_GRACE_PERIOD,
+    respawnTime: RESPAWN_TIME,
+    flagScorePoints: FLAG_SCORE_POINTS,
+    match: {},
+    broadcastInterval: BATCH_UPDATE_INTERVAL,
+    hitDamage: HIT_DAMAGE,
+    validateProtocol: VALIDATE_PROTOCOL,
+    maxPartySize: MAX_PARTY_SIZE,
+    ...options,
+  };
+
+  const io = server.of(settings.namespace);
+  const players = {}; // player id (their first socket id) -> player record
+  const socketPlayers = {}; // socket id -> player id, for connected players
+  const sessions = {}; // session token -> player id
+  const graceTimers = {}; // player id -> removal timeout while disconnected
+  let queue = []; // socket ids (or party rooms) waiting for a slot, in order
+  const reservations = {}; // socket id -> timeout for promoted queue entries
+  const turnover = createTurnoverTracker(settings.queueTurnover);
+  const respawnTimers = {}; // socket id -> respawn timeout
+  const flags = {
+    Red: { carrierId: null },
+    Blue: { carrierId: null },
+  };
+  let playersDirty = false;
+  const hitboxes = createHitboxHistory();
+  const freeNetIds = []; // Released small numeric ids, reused first
+  let nextNetId = 1;
+  let snapshotTick = 0;
+  let snapshotTime = 0; // Server clock when the current tick was taken
+  const grid = createSpatialGrid();
+  const malformedMessages = {}; // event -> messages dropped by validation
+  const outdatedSockets = new Set(); // Clients whose protocol we can't speak
+  let hostId = null; // Player who controls a private room
+  let balanceTimer = null; // Pending auto-balance while teams are uneven
+  const parties = {}; // party code -> party (see handleCreateParty)
+  const socketParties = {}; // socket id -> code of the party it's in
+  const spectators = new Set(); // socket ids watching without a character
+
+  // ----- Helpers -----
+
+  /**
+   * The player a socket is playing as (none while queued or after a takeover)
+   */
+  const getPlayer = (socket) => players[socketPlayers[socket.id]];
+
+  const getTeamCounts = () => {
+    const counts = { Red: 0, Blue: 0 };
+    Object.values(players).forEach((player) => {
+      counts[player.team]++;
+    });
+    // Party members let in but not joined yet already have their seats
+    Object.values(parties).forEach((party) => {
+      party.members.forEach((member) => {
+        if (party.team && reservations[member.id]) counts[party.team]++;
+      });
+    });
+    return counts;
+  };
+
+  const isFlagCarrier = (player) =>
+    TEAMS.some((flagTeam) => flags[flagTeam].carrierId === player.id);
+
+  const occupiedSlots = () =>
+    Object.keys(players).length + Object.keys(reservations).length;
+
+  const hasSpaceFor = (socketId) => {
+    const reservedForSocket = reservations[socketId] ? 1 : 0;
+    // Nobody takes a slot someone in the queue could have. A party still
+    // waiting for enough slots doesn't hold up the ones it can't use.
+    if (!reservedForSocket && queue.some((entry) => getQueueEntryFit(entry))) {
+      return false;
+    }
+    return occupiedSlots() - reservedForSocket < settings.maxPlayers;
+  };
+
+  /**
+   * Whether one more player fits on a team: it has a free slot and won't end
+   * up more than teamImbalanceThreshold players ahead of the other team
+   * @param {string} team "Red" or "Blue"
+   * @param {Object} counts Team head counts, without the player
+   */
+  const canJoinTeam = (team, counts) =>
+    counts[team] < settings.maxPlayersPerTeam &&
+    counts[team] + 1 - counts[otherTeam(team)] <=
+      settings.teamImbalanceThreshold;
+
+  /**
+   * Pick a team, honouring the request unless it would unbalance the teams
+   */
+  const assignTeam = (requestedTeam) => {
+    const counts = getTeamCounts();
+    const requested = normalizeTeam(requestedTeam);
+
+    if (requested && canJoinTeam(requested, counts)) {
+      return requested;
+    }
+
+    return counts.Red <= counts.Blue ? "Red" : "Blue";
+  };
+
+  const getServerStatus = () => {
+    const counts = getTeamCounts();
+    const currentPlayers = Object.keys(players).length;
+
+    return {
+      currentPlayers,
+      maxPlayers: settings.maxPlayers,
+      queueLength: queue.reduce(
+        (total, entry) => total + getQueueEntrySize(entry),
+        0
+      ),
+      hasSpace: hasSpaceFor(null),
+      redTeamPlayers: counts.Red,
+      blueTeamPlayers: counts.Blue,
+    };
+  };
+
+  /**
+   * Rules a client needs to know before it joins
+   */
+  const getRules = () => ({
+    gameMode: GAME_MODE,
+    map: settings.mapName,
+    maxPlayers: settings.maxPlayers,
+    maxPlayersPerTeam: settings.maxPlayersPerTeam,
+    teamImbalanceThreshold: settings.teamImbalanceThreshold,
+    warmupTime: settings.match.warmupTime ?? WARMUP_TIME,
+    roundTime: settings.match.roundTime ?? ROUND_TIME,
+    overtimeTime: settings.match.overtimeTime ?? OVERTIME_TIME,
+    winScore: settings.match.winScore ?? WIN_SCORE,
+    respawnTime: settings.respawnTime,
+  });
+
+  /**
+   * What the lobby's server browser shows for this server
+   */
+  const getListing = () => ({
+    name: settings.name,
+    mode: GAME_MODE,
+    map: settings.mapName,
+    protocolVersion: PROTOCOL_VERSION,
+    ...getServerStatus(),
+  });
+
+  const broadcastServerStatus = () => {
+    io.emit("serverStatus", getServerStatus());
+  };
+
+  // ----- Private room -----
+
+  const getRoomState = () => ({
+    code: settings.room.code,
+    hostId,
+    hostName: players[hostId]?.name,
+    passwordRequired: Boolean(settings.room.password),
+  });
+
+  /**
+   * Hand the room to whoever has been in it longest (or nobody)
+   * @param {Object} joiningSocket A socket that is about to get the room
+   *   state with its match state, so isn't sent it here as well
+   */
+  const pickHost = (joiningSocket = null) => {
+    const next = Object.values(players).sort(
+      (a, b) => a.joinedAt - b.joinedAt
+    )[0];
+    hostId = next ? next.id : null;
+    if (next) {
+      console.log(`👑 ${next.name} now hosts room ${settings.room.code}`);
+    }
+    const audience = joiningSocket ? io.except(joiningSocket.id) : io;
+    audience.emit("roomUpdate", getRoomState());
+  };
+
+  /**
+   * Public view of a player, as consumed by Game.js
+   */
+  const toPublicPlayer = (player) => ({
+    name: player.name,
+    team: player.team,
+    position: player.position,
+    rotation: player.rotation,
+    health: player.health,
+    is_eliminated: player.isEliminated,
+    isCrouching: player.isCrouching,
+    disconnected: player.disconnected,
+  });
+
+  /**
+   * Small numeric id used instead of the socket id in binary snapshots
+   */
+  const allocateNetId = () =>
+    freeNetIds.length > 0 ? freeNetIds.pop() : nextNetId++;
+
+  /**
+   * Net id -> player identity, for decoding binary snapshots
+   */
+  const getPlayerRoster = () =>
+    Object.values(players).map((player) => ({
+      netId: player.netId,
+      id: player.id,
+      name: player.name,
+      team: player.team,
+    }));
+
+  const broadcastPlayerRoster = () => {
+    io.to(BINARY_ROOM).emit("playerRoster", getPlayerRoster());
+  };
+
+  const getPlayersSnapshot = () => {
+    const snapshot = {};
+    Object.values(players).forEach((player) => {
+      snapshot[player.id] = toPublicPlayer(player);
+    });
+    return snapshot;
+  };
+
+  /**
+   * Tell each player the last input command we processed and where it left
+   * them, so they can reconcile their prediction
+   */
+  const sendInputAcks = () => {
+    Object.values(players).forEach((player) => {
+      if (!player.inputAckPending) return;
+      player.inputAckPending = false;
+
+      io.to(player.id).emit("inputAck", {
+        seq: player.lastInputSeq,
+        position: player.position,
+      });
+    });
+  };
+
+  /**
+   * Re-key a stored snapshot by net id, for binary clients
+   */
+  const byNetId = ({ players: snapshotPlayers, netIds }) => {
+    const keyed = {};
+    Object.entries(snapshotPlayers).forEach(([id, player]) => {
+      keyed[netIds[id]] = player;
+    });
+    return keyed;
+  };
+
+  /**
+   * Build a client's `players` payload
+   * @param {string} encoding Negotiated wire encoding
+   * @param {number} baseTick Tick the client acknowledged (0 for none)
+   * @param {Object} base The client's view at baseTick (empty for none)
+   * @param {Object} view The client's view at the current tick
+   */
+  const buildPlayersPayload = (encoding, baseTick, base, view) => {
+    if (encoding === ENCODINGS.BINARY) {
+      const viewByNetId = byNetId(view);
+      const delta = diffPlayers(byNetId(base), viewByNetId);
+      return encodePlayersSnapshot({
+        tick: snapshotTick,
+        baseTick,
+        time: snapshotTime,
+        players: Object.entries(delta.players).map(([netId, changed]) => ({
+          netId: Number(netId),
+          changed,
+          player: viewByNetId[netId],
+        })),
+        removed: delta.removed.map(Number),
+        held: view.held.map((id) => view.netIds[id]),
+      });
+    }
+
+    const delta = diffPlayers(base.players, view.players);
+    return {
+      tick: snapshotTick,
+      baseTick,
+      time: snapshotTime,
+      ...delta,
+      held: view.held,
+    };
+  };
+
+  /**
+   * What one client gets to see this tick: the players it is interested in,
+   * with distant ones only refreshed every few ticks
+   * @returns {Object} { players, netIds, held, pending }
+   */
+  const buildPlayersView = (viewer, current) => {
+    const interest = getInterestSet(viewer, players, grid, isFlagCarrier);
+    const previous = viewer.sentViews.get(snapshotTick - 1);
+    const view = { players: {}, netIds: {}, held: [], pending: false };
+
+    Object.entries(interest).forEach(([id, every]) => {
+      const player = players[id];
+      const stale = previous?.players[id];
+
+      // Stagger the slow players so they don't all refresh on the same tick
+      if (stale && (snapshotTick + player.netId) % every !== 0) {
+        view.players[id] = stale;
+        view.held.push(id);
+        if (hasPlayerChanged(stale, current[id])) view.pending = true;
+      } else {
+        view.players[id] = current[id];
+      }
+      view.netIds[id] = player.netId;
+    });
+
+    return view;
+  };
+
+  /**
+   * Spectators aren't anywhere on the map, so they see everyone - in full
+   * JSON snapshots, so there's no baseline to track per spectator
+   * @param {string} to Socket (or room) to send to
+   * @param {Object} current Snapshot of every player, keyed by id
+   */
+  const sendSpectatorSnapshot = (to, current = getPlayersSnapshot()) => {
+    if (spectators.size === 0) return;
+
+    const view = { players: current, netIds: {}, held: [] };
+    io.to(to).emit(
+      "players",
+      buildPlayersPayload(ENCODINGS.JSON, 0, { players: {} }, view)
+    );
+  };
+
+  /**
+   * Send every player what changed in their view since the last snapshot
+   * they acknowledged
+   */
+  const broadcastPlayers = () => {
+    sendInputAcks();
+
+    if (!playersDirty) return;
+    playersDirty = false;
+
+    const current = getPlayersSnapshot();
+    snapshotTick++;
+    snapshotTime = Date.now();
+
+    grid.clear();
+    Object.values(players).forEach((player) => {
+      grid.insert(player.id, player.position);
+    });
+
+    Object.values(players).forEach((player) => {
+      if (player.disconnected) return; // Ghosts have nobody to send to
+
+      const view = buildPlayersView(player, current);
+      player.sentViews.add(snapshotTick, view);
+
+      // Held players still owe an update - keep ticking until it is sent
+      if (view.pending) playersDirty = true;
+
+      const base = player.sentViews.get(player.ackedTick);
+      const baseTick = base ? player.ackedTick : 0;
+      const payload = buildPlayersPayload(
+        player.encoding,
+        baseTick,
+        base || { players: {}, netIds: {} },
+        view
+      );
+      io.to(player.id).emit("players", payload);
+    });
+
+    sendSpectatorSnapshot(SPECTATOR_ROOM, current);
+  };
+
+  /**
+   * A client applied a snapshot; later deltas can build on it.
+   * Tick 0 means it lost its baseline and needs a full snapshot.
+   */
+  const handleSnapshotAck = (socket, data = {}) => {
+    const player = getPlayer(socket);
+    if (!player || !Number.isInteger(data.tick)) return;
+    if (data.tick < 0 || data.tick > snapshotTick) return;
+
+    if (data.tick === 0) {
+      player.ackedTick = 0;
+      playersDirty = true;
+    } else if (data.tick > player.ackedTick) {
+      player.ackedTick = data.tick;
+    }
+  };
+
+  const toKillFeedEntry = (player) => ({
+    id: player.id,
+    name: player.name,
+    team: player.team.toLowerCase(),
+  });
+
+  const sendStats = (player) => {
+    io.to(player.id).emit("statsUpdate", {
+      kills: player.kills,
+      deaths: player.deaths,
+      hits: player.hits,
+      shots: player.shots,
+      captures: player.captures,
+      returns: player.returns,
+      score: player.score,
+    });
+  };
+
+  const toScoreboardEntry = (player) => ({
+    id: player.id,
+    name: player.name,
+    team: player.team,
+    kills: player.kills,
+    deaths: player.deaths,
+    hits: player.hits,
+    shots: player.shots,
+    captures: player.captures,
+    returns: player.returns,
+  });
+
+  // ----- Queue -----
+
+  /**
+   * Slots a queue entry needs: one, or one per party member
+   */
+  const getQueueEntrySize = (entry) =>
+    getQueuedParty(entry)?.members.length || 1;
+
+  /**
+   * queueUpdate for the entry at this index: its position, and how long the
+   * slots it is waiting on (everyone's ahead of it, and its own) are likely
+   * to take to open at the rate they have been opening lately
+   */
+  const getQueueUpdate = (index) => {
+    const slots = queue
+      .slice(0, index + 1)
+      .reduce((total, entry) => total + getQueueEntrySize(entry), 0);
+
+    return {
+      position: index + 1,
+      estimatedWaitTime: turnover.estimateWait(slots),
+      trend: turnover.getTrend(),
+    };
+  };
+
+  const sendQueuePositions = () => {
+    queue.forEach((entry, index) => {
+      io.to(entry).emit("queueUpdate", getQueueUpdate(index));
+    });
+  };
+
+  const releaseReservation = (socketId) => {
+    if (!reservations[socketId]) return;
+    clearTimeout(reservations[socketId]);
+    delete reservations[socketId];
+  };
+
+  /**
+   * Whether a queue entry fits in the slots free right now: room for all of
+   * it, and for a party, all on one team
+   * @param {string} entry Socket id or party room
+   * @returns {Object|null} { party, partyTeam, socketIds } if it fits
+   */
+  const getQueueEntryFit = (entry) => {
+    const party = getQueuedParty(entry);
+    const socketIds = party
+      ? party.members.map((member) => member.id)
+      : [entry];
+    const partyTeam = party && pickPartyTeam(socketIds.length);
+    if (
+      occupiedSlots() + socketIds.length > settings.maxPlayers ||
+      (party && !partyTeam)
+    ) {
+      return null;
+    }
+    return { party, partyTeam, socketIds };
+  };
+
+  /**
+   * Move queued players into free slots. Promoted players get position 0 and
+   * a reserved slot until they send `join`. A party goes in once there are
+   * slots for all of it on one team; until then, players and smaller parties
+   * behind it take the slots it can't use.
+   */
+  const promoteQueue = () => {
+    let promoted = false;
+    let index = 0;
+
+    while (index < queue.length) {
+      const entry = queue[index];
+      const fit = getQueueEntryFit(entry);
+      if (!fit) {
+        index++;
+        continue;
+      }
+
+      const { party, partyTeam, socketIds } = fit;
+      queue.splice(index, 1);
+      promoted = true;
+
+      if (party) {
+        party.status = "playing";
+        party.team = partyTeam;
+        sendPartyUpdate(party);
+        console.log(`🎉 Party ${party.code} let in on ${partyTeam}`);
+      }
+
+      socketIds.forEach((socketId) => {
+        reservations[socketId] = setTimeout(() => {
+          console.log(`⌛ Queue reservation expired for ${socketId}`);
+          delete reservations[socketId];
+          turnover.recordSlotOpened();
+          promoteQueue();
+          broadcastServerStatus();
+        }, QUEUE_RESERVATION_TIMEOUT);
+      });
+
+      io.to(entry).emit("queueUpdate", { position: 0 });
+    }
+
+    if (promoted) {
+      sendQueuePositions();
+    }
+  };
+
+  // ----- Flags -----
+
+  /**
+   * Send any flag the player carries back to its base
+   * @param {Object} player Carrier
+   * @param {Object} returner Defender who stopped the carrier, if any
+   */
+  const dropCarriedFlag = (player, returner = null) => {
+    TEAMS.forEach((flagTeam) => {
+      if (flags[flagTeam].carrierId === player.id) {
+        flags[flagTeam].carrierId = null;
+
+        // Stopping the enemy carrier counts as returning your own flag
+        const returnedBy = returner?.team === flagTeam ? returner : null;
+        if (returnedBy) returnedBy.returns++;
+
+        io.to(GAME_ROOM).emit("flagReturned", {
+          team: flagTeam.toLowerCase(),
+          ...(returnedBy && { returnedBy: returnedBy.name }),
+        });
+      }
+    });
+  };
+
+  const resetFlags = () => {
+    TEAMS.forEach((flagTeam) => {
+      flags[flagTeam].carrierId = null;
+    });
+  };
+
+  // ----- Match lifecycle -----
+
+  const match = createMatch({
+    ...settings.match,
+    autoRestart: !settings.room,
+    onUpdate: (state) => {
+      io.to(GAME_ROOM).emit("matchState", state);
+    },
+    onMatchStart: (matchNumber) => {
+      console.log(`🟢 Match ${matchNumber} warming up`);
+      resetFlags();
+
+      // Fresh per-player stats for the new match
+      Object.values(players).forEach((player) => {
+        player.kills = 0;
+        player.deaths = 0;
+        player.hits = 0;
+        player.shots = 0;
+        player.captures = 0;
+        player.returns = 0;
+        player.score = 0;
+        sendStats(player);
+      });
+    },
+    onMatchEnd: (results) => {
+      console.log(
+        `🏁 Match over (${results.reason}): ${results.winner || "draw"} ${
+          results.redScore
+        }-${results.blueScore}`
+      );
+      resetFlags();
+      io.to(GAME_ROOM).emit("gameOver", {
+        ...results,
+        players: Object.values(players).map(toScoreboardEntry),
+      });
+    },
+  });
+
+  // ----- Combat -----
+
+  const respawnPlayer = (player) => {
+    delete respawnTimers[player.id];
+    if (!players[player.id]) return;
+
+    player.health = MAX_HEALTH;
+    player.isEliminated = false;
+    player.position = getSpawnPosition(player.team);
+    player.awaitingSpawn = true;
+    hitboxes.record(player.id, player.position);
+    playersDirty = true;
+
+    io.to(player.id).emit("playerRespawned", {
+      health: player.health,
+      position: player.position,
+    });
+  };
+
+  const eliminatePlayer = (victim, killer) => {
+    victim.health = 0;
+    victim.isEliminated = true;
+    victim.deaths++;
+    killer.kills++;
+    playersDirty = true;
+
+    dropCarriedFlag(victim, killer);
+
+    io.to(GAME_ROOM).emit("playerKilled", {
+      killer: toKillFeedEntry(killer),
+      victim: toKillFeedEntry(victim),
+    });
+    victim.respawnAt = Date.now() + settings.respawnTime;
+    io.to(victim.id).emit("startRespawnTimer", {
+      duration: Math.ceil(settings.respawnTime / 1000),
+      respawnAt: victim.respawnAt, // Server clock
+    });
+
+    sendStats(victim);
+    sendStats(killer);
+
+    respawnTimers[victim.id] = setTimeout(
+      () => respawnPlayer(victim),
+      settings.respawnTime
+    );
+  };
+
+  const applyHit = (shooter, target) => {
+    target.health = Math.max(0, target.health - settings.hitDamage);
+    shooter.hits++;
+    playersDirty = true;
+
+    io.to(target.id).emit("healthUpdate", { health: target.health });
+    io.to(shooter.id).emit("hitConfirmed", { targetId: target.id });
+
+    if (target.health <= 0) {
+      eliminatePlayer(target, shooter);
+    } else {
+      sendStats(shooter);
+    }
+  };
+
+  // ----- Teams -----
+
+  /**
+   * Put a player on another team. Anyone still alive is sent to their new
+   * base with full health, like a respawn.
+   * @param {Object} player Player record
+   * @param {string} team New team
+   * @param {string} reason "switch" (they asked) or "balance"
+   * @param {string} message Why, for the player
+   */
+  const moveToTeam = (player, team, reason, message) => {
+    player.team = team;
+    player.lastTeamChangeAt = Date.now();
+
+    if (!player.isEliminated) {
+      player.health = MAX_HEALTH;
+      player.position = getSpawnPosition(team);
+      player.awaitingSpawn = true;
+      hitboxes.record(player.id, player.position);
+    }
+    playersDirty = true;
+    broadcastPlayerRoster();
+
+    console.log(`🔀 ${player.name} moved to ${team} (${reason})`);
+    io.to(player.id).emit("teamChanged", {
+      team,
+      reason,
+      message,
+      health: player.health,
+    });
+  };
+
+  /**
+   * Even the teams out while one is more than teamImbalanceThreshold players
+   * ahead. Players waiting to respawn go first, then the latest arrivals;
+   * flag carriers, parties and disconnected players stay put.
+   */
+  const balanceTeams = () => {
+    balanceTimer = null;
+
+    let counts = getTeamCounts();
+    while (
+      Math.abs(counts.Red - counts.Blue) > settings.teamImbalanceThreshold
+    ) {
+      const bigger = counts.Red > counts.Blue ? "Red" : "Blue";
+      const smaller = otherTeam(bigger);
+      if (counts[smaller] >= settings.maxPlayersPerTeam) break;
+
+      const [candidate] = Object.values(players)
+        .filter(
+          (player) =>
+            player.team === bigger &&
+            !player.disconnected &&
+            !isFlagCarrier(player) &&
+            !isInParty(player)
+        )
+        .sort(
+          (a, b) =>
+            Number(b.isEliminated) - Number(a.isEliminated) ||
+            b.joinedAt - a.joinedAt
+        );
+      if (!candidate) break;
+
+      moveToTeam(
+        candidate,
+        smaller,
+        "balance",
+        `You were moved to ${smaller} to even the teams.`
+      );
+      io.to(GAME_ROOM).emit("message", {
+        sender: "Server",
+        text: `${candidate.name} was moved to ${smaller} to even the teams.`,
+        timestamp: Date.now(),
+      });
+      counts = getTeamCounts();
+    }
+  };
+
+  /**
+   * Balance the teams after teamBalanceDelay if they are uneven - a gap
+   * left by someone leaving is often filled by the next player in
+   */
+  const scheduleTeamBalance = () => {
+    const counts = getTeamCounts();
+    if (Math.abs(counts.Red - counts.Blue) <= settings.teamImbalanceThreshold) {
+      return;
+    }
+    if (!balanceTimer) {
+      balanceTimer = setTimeout(balanceTeams, settings.teamBalanceDelay);
+    }
+  };
+
+  // ----- Parties -----
+
+  /**
+   * Socket.IO room a party's members share. It is also the party's entry in
+   * the queue, so queue updates reach every member.
+   */
+  const getPartyRoom = (party) => `party:${party.code}`;
+
+  const getParty = (socket) => parties[socketParties[socket.id]];
+
+  /**
+   * The party a queue entry stands for, if it isn't a single player
+   */
+  const getQueuedParty = (entry) =>
+    Object.values(parties).find((party) => getPartyRoom(party) === entry);
+
+  /**
+   * Whether a player is playing with friends, who should stay on their team
+   */
+  const isInParty = (player) =>
+    (parties[socketParties[player.socketId]]?.members.length || 0) > 1;
+
+  /**
+   * Team with seats for a whole party, or null if neither has enough - the
+   * smaller team always has the most
+   * @param {number} size Party members
+   */
+  const pickPartyTeam = (size) => {
+    const counts = getTeamCounts();
+    const team = counts.Red <= counts.Blue ? "Red" : "Blue";
+    return counts[team] + size <= settings.maxPlayersPerTeam ? team : null;
+  };
+
+  const toPartyState = (party) => ({
+    code: party.code,
+    leaderId: party.leaderId,
+    status: party.status,
+    ...(party.team && { team: party.team }),
+    members: party.members.map(({ id, name, ready }) => ({ id, name, ready })),
+  });
+
+  const sendPartyUpdate = (party) => {
+    io.to(getPartyRoom(party)).emit("partyUpdate", toPartyState(party));
+  };
+
+  const sendPartyError = (socket, reason, message) => {
+    socket.emit("partyError", { reason, message });
+  };
+
+  const addPartyMember = (socket, party, name) => {
+    party.members.push({
+      id: socket.id,
+      name: toPlayerName(name),
+      ready: false,
+    });
+    socketParties[socket.id] = party.code;
+    socket.join(getPartyRoom(party));
+    sendPartyUpdate(party);
+  };
+
+  /**
+   * Take a socket out of its party. If the leader goes the next member in
+   * leads, and a party nobody is left in is gone - queue spot included.
+   * @param {string} socketId Member's socket id
+   */
+  const leaveParty = (socketId) => {
+    const party = parties[socketParties[socketId]];
+    if (!party) return;
+
+    delete socketParties[socketId];
+    party.members = party.members.filter((member) => member.id !== socketId);
+    io.sockets.get(socketId)?.leave(getPartyRoom(party));
+
+    if (party.members.length === 0) {
+      delete parties[party.code];
+      if (queue.includes(getPartyRoom(party))) {
+        queue = queue.filter((entry) => entry !== getPartyRoom(party));
+        sendQueuePositions();
+      }
+      console.log(`🎉 Party ${party.code} broke up`);
+      return;
+    }
+
+    if (party.leaderId === socketId) party.leaderId = party.members[0].id;
+    sendPartyUpdate(party);
+  };
+
+  /**
+   * Parties are put together in the lobby, before anyone joins
+   */
+  const isInGameOrQueue = (socket) =>
+    Boolean(getPlayer(socket)) || queue.includes(socket.id);
+
+  const handleCreateParty = (socket, data = {}) => {
+    if (isInGameOrQueue(socket)) {
+      sendPartyError(socket, "in_game", "Parties are made in the lobby.");
+      return;
+    }
+    leaveParty(socket.id);
+
+    const party = {
+      code: generateJoinCode(PARTY_CODE_LENGTH, (taken) => parties[taken]),
+      leaderId: socket.id,
+      status: "forming", // Then "queued", and "playing" once it's let in
+      team: null, // Picked when the party is let in
+      members: [], // [{ id: socket id, name, ready }]
+    };
+    parties[party.code] = party;
+    addPartyMember(socket, party, data.name);
+    console.log(`🎉 Party ${party.code} formed`);
+  };
+
+  const handleJoinParty = (socket, data = {}) => {
+    const party = parties[data.code?.trim().toUpperCase()];
+
+    if (isInGameOrQueue(socket)) {
+      sendPartyError(socket, "in_game", "Parties are made in the lobby.");
+    } else if (!party) {
+      sendPartyError(socket, "not_found", "There's no party with that code.");
+    } else if (party === getParty(socket)) {
+      sendPartyUpdate(party);
+    } else if (party.status !== "forming") {
+      sendPartyError(socket, "in_progress", "That party has already left.");
+    } else if (party.members.length >= settings.maxPartySize) {
+      sendPartyError(
+        socket,
+        "party_full",
+        `Parties are limited to ${settings.maxPartySize} players.`
+      );
+    } else {
+      leaveParty(socket.id);
+      addPartyMember(socket, party, data.name);
+    }
+  };
+
+  const handleSetPartyReady = (socket, data = {}) => {
+    const party = getParty(socket);
+    const member = party?.members.find((entry) => entry.id === socket.id);
+    if (!member || party.status !== "forming") return;
+
+    member.ready = Boolean(data.ready);
+    sendPartyUpdate(party);
+  };
+
+  /**
+   * The leader takes the party in: straight into the game if it fits, or
+   * into the queue as one entry
+   */
+  const handleQueueParty = (socket) => {
+    const party = getParty(socket);
+    if (!party || party.leaderId !== socket.id) return;
+    if (party.status !== "forming") return;
+
+    const size = party.members.length;
+    const unready = party.members.filter(
+      (member) => member.id !== socket.id && !member.ready
+    );
+    if (unready.length > 0) {
+      sendPartyError(socket, "not_ready", "Everyone has to be ready first.");
+      return;
+    }
+    if (size > settings.maxPlayersPerTeam) {
+      sendPartyError(
+        socket,
+        "too_big",
+        `Teams here take ${settings.maxPlayersPerTeam} players at most.`
+      );
+      return;
+    }
+    if (
+      !settings.enableQueue &&
+      (queue.length > 0 || occupiedSlots() + size > settings.maxPlayers)
+    ) {
+      sendPartyError(socket, "server_full", "There's no room for your party.");
+      return;
+    }
+
+    party.members.forEach((member) => {
+      member.ready = true;
+    });
+    party.status = "queued";
+    queue.push(getPartyRoom(party));
+    console.log(`⏳ Party ${party.code} queued (${size} players)`);
+
+    promoteQueue();
+    if (party.status === "queued") {
+      sendPartyUpdate(party);
+      sendQueuePositions();
+    }
+    broadcastServerStatus();
+  };
+
+  // ----- Connection handling -----
+
+  const removePlayer = (playerId) => {
+    const player = players[playerId];
+    if (!player) return;
+
+    dropCarriedFlag(player);
+    hitboxes.remove(playerId);
+
+    if (respawnTimers[playerId]) {
+      clearTimeout(respawnTimers[playerId]);
+      delete respawnTimers[playerId];
+    }
+    if (graceTimers[playerId]) {
+      clearTimeout(graceTimers[playerId]);
+      delete graceTimers[playerId];
+    }
+
+    delete players[playerId];
+    delete sessions[player.sessionToken];
+    turnover.recordSlotOpened();
+    if (player.socketId) delete socketPlayers[player.socketId];
+    freeNetIds.push(player.netId);
+    playersDirty = true;
+    broadcastPlayerRoster();
+    if (settings.room && hostId === playerId) pickHost();
+    console.log(`👋 ${player.name} left (${Object.keys(players).length} online)`);
+  };
+
+  /**
+   * Bring a (re)joining player up to date with the match, their own stats
+   * and any carried flags
+   */
+  const sendJoinState = (socket, player) => {
+    sendStats(player);
+    sendMatchState(socket);
+  };
+
+  /**
+   * The match clock, score and carried flags - all a spectator needs
+   */
+  const sendMatchState = (socket) => {
+    const matchState = match.getState();
+    socket.emit("matchState", matchState);
+    socket.emit("statsUpdate", {
+      redScore: matchState.redScore,
+      blueScore: matchState.blueScore,
+    });
+    TEAMS.forEach((flagTeam) => {
+      const carrier = players[flags[flagTeam].carrierId];
+      if (carrier) {
+        socket.emit("flagCaptured", {
+          team: flagTeam.toLowerCase(),
+          carrier: carrier.name,
+        });
+      }
+    });
+    if (settings.room) socket.emit("roomUpdate", getRoomState());
+  };
+
+  /**
+   * Hand a player's character to a socket - a brand new one, or a
+   * reconnecting one picking up where its session left off
+   */
+  const attachSocket = (socket, player, encoding) => {
+    // Only one connection per player: a stale one (e.g. a dropped tab the
+    // server hasn't noticed yet) is replaced
+    if (player.socketId && player.socketId !== socket.id) {
+      const staleSocket = io.sockets.get(player.socketId);
+      delete socketPlayers[player.socketId];
+      staleSocket?.disconnect(true);
+    }
+
+    leaveSpectators(socket);
+    player.socketId = socket.id;
+    player.encoding = encoding;
+    socketPlayers[socket.id] = player.id;
+
+    socket.join(GAME_ROOM);
+    socket.join(player.id); // Stable address for io.to(player.id)
+    if (encoding === ENCODINGS.BINARY) socket.join(BINARY_ROOM);
+  };
+
+  /**
+   * Pick a disconnected (or still connected elsewhere) player back up by
+   * session token: same id, team, stats and position
+   */
+  const resumeSession = (socket, player, data) => {
+    if (graceTimers[player.id]) {
+      clearTimeout(graceTimers[player.id]);
+      delete graceTimers[player.id];
+    }
+
+    attachSocket(socket, player, negotiateEncoding(data.encodings));
+    player.disconnected = false;
+
+    // The new connection starts without a snapshot baseline or inputs
+    player.ackedTick = 0;
+    player.sentViews.clear();
+    player.lastInputSeq = 0;
+    player.inputAckPending = false;
+    player.moveBudget = MAX_MOVE_BUDGET;
+    player.moveBudgetAt = Date.now();
+    player.lastMoveAt = Date.now();
+    playersDirty = true;
+
+    console.log(`🔁 ${player.name} resumed their session`);
+
+    socket.emit("joinSuccess", {
+      id: player.id,
+      team: player.team,
+      name: player.name,
+      totalPlayers: Object.keys(players).length,
+      encoding: player.encoding,
+      sessionToken: player.sessionToken,
+      resumed: true,
+      position: player.position,
+      health: player.health,
+    });
+    if (player.encoding === ENCODINGS.BINARY) {
+      socket.emit("playerRoster", getPlayerRoster());
+    }
+    sendJoinState(socket, player);
+    socket.emit("healthUpdate", { health: player.health });
+    if (player.isEliminated) {
+      socket.emit("startRespawnTimer", {
+        duration: Math.max(0, Math.ceil((player.respawnAt - Date.now()) / 1000)),
+        respawnAt: player.respawnAt,
+      });
+    }
+    broadcastServerStatus();
+  };
+
+  /**
+   * Keep a dropped player's character in the game as a ghost for the grace
+   * period, so they can resume their session
+   */
+  const leaveGhost = (player) => {
+    delete socketPlayers[player.socketId];
+    player.socketId = null;
+    player.disconnected = true;
+    playersDirty = true;
+
+    console.log(`👻 ${player.name} disconnected - holding their spot`);
+
+    graceTimers[player.id] = setTimeout(() => {
+      delete graceTimers[player.id];
+      removePlayer(player.id);
+      handlePlayerGone();
+    }, settings.reconnectGracePeriod);
+  };
+
+  /**
+   * Someone's slot just freed up
+   */
+  const handlePlayerGone = () => {
+    promoteQueue();
+    scheduleTeamBalance();
+
+    // Nobody left to play - park the match until someone joins
+    if (Object.keys(players).length === 0) {
+      match.stop();
+      resetFlags();
+    }
+
+    broadcastServerStatus();
+  };
+
+  /**
+   * Protocol handshake. Clients from before the handshake never send one and
+   * are treated as MIN_PROTOCOL_VERSION.
+   */
+  const handleHello = (socket, data = {}) => {
+    const outdated = checkProtocolVersion(data);
+    if (outdated === "peer") {
+      outdatedSockets.add(socket.id);
+      console.log(
+        `🚫 ${socket.id} speaks protocol v${data.protocolVersion}, need v${MIN_PROTOCOL_VERSION}+`
+      );
+    } else {
+      outdatedSockets.delete(socket.id);
+    }
+
+    socket.emit("hello", {
+      protocolVersion: PROTOCOL_VERSION,
+      minProtocolVersion: MIN_PROTOCOL_VERSION,
+      compatible: outdated === null,
+      encodings: SUPPORTED_ENCODINGS,
+      features: PROTOCOL_FEATURES,
+      rules: getRules(),
+      ...(settings.room && {
+        room: {
+          code: settings.room.code,
+          passwordRequired: Boolean(settings.room.password),
+        },
+      }),
+    });
+  };
+
+  const handleJoin = (socket, data = {}) => {
+    // The client was told in hello that it has to update first
+    if (outdatedSockets.has(socket.id)) return;
+
+    // Already in the game (e.g. duplicate join) - just confirm again
+    if (getPlayer(socket)) {
+      const player = getPlayer(socket);
+      socket.emit("joinSuccess", {
+        id: player.id,
+        team: player.team,
+        name: player.name,
+        totalPlayers: Object.keys(players).length,
+        encoding: player.encoding,
+        sessionToken: player.sessionToken,
+      });
+      if (player.encoding === ENCODINGS.BINARY) {
+        socket.emit("playerRoster", getPlayerRoster());
+      }
+      sendJoinState(socket, player);
+      return;
+    }
+
+    // Coming back within the grace period (or from a new tab/connection)
+    const sessionPlayer = players[sessions[data.sessionToken]];
+    if (typeof data.sessionToken === "string" && sessionPlayer) {
+      resumeSession(socket, sessionPlayer, data);
+      return;
+    }
+
+    if (settings.room?.password && data.password !== settings.room.password) {
+      socket.emit("roomError", {
+        reason: "wrong_password",
+        message: "Wrong password for this room.",
+      });
+      return;
+    }
+
+    // Party members wait with their party while it queues, and take the
+    // seats kept for them once it's let in. Joining before the leader has
+    // taken the party in means going alone.
+    const party = getParty(socket);
+    if (party?.status === "forming") {
+      leaveParty(socket.id);
+    } else if (party?.status === "queued") {
+      socket.emit(
+        "queueUpdate",
+        getQueueUpdate(queue.indexOf(getPartyRoom(party)))
+      );
+      return;
+    }
+
+    if (!hasSpaceFor(socket.id)) {
+      if (!settings.enableQueue) {
+        socket.emit("message", {
+          sender: "Server",
+          text: "The server is full. Please try again later.",
+          timestamp: Date.now(),
+        });
+        return;
+      }
+
+      if (!queue.includes(socket.id)) {
+        queue.push(socket.id);
+        console.log(`⏳ ${socket.id} queued at position ${queue.length}`);
+      }
+      socket.emit("queueUpdate", getQueueUpdate(queue.indexOf(socket.id)));
+      broadcastServerStatus();
+      return;
+    }
+
+    releaseReservation(socket.id);
+    queue = queue.filter((id) => id !== socket.id);
+
+    const name = toPlayerName(data.name);
+    const team =
+      party?.status === "playing" ? party.team : assignTeam(data.team);
+    const encoding = negotiateEncoding(data.encodings);
+
+    const player = {
+      id: socket.id,
+      socketId: null, // Set by attachSocket, null while disconnected
+      sessionToken: randomUUID(),
+      disconnected: false,
+      netId: allocateNetId(),
+      encoding,
+      ackedTick: 0, // Last players snapshot the client applied
+      sentViews: createSnapshotHistory(), // tick -> what we sent them
+      name,
+      team,
+      position: getSpawnPosition(team),
+      rotation: [0, 0, 0],
+      health: MAX_HEALTH,
+      isEliminated: false,
+      isCrouching: false,
+      kills: 0,
+      deaths: 0,
+      hits: 0,
+      shots: 0,
+      captures: 0,
+      returns: 0,
+      score: 0,
+      joinedAt: Date.now(),
+      // Movement validation (see applyMove)
+      lastInputSeq: 0,
+      inputAckPending: false,
+      awaitingSpawn: true,
+      moveBudget: MAX_MOVE_BUDGET,
+      moveBudgetAt: Date.now(),
+      lastMoveAt: Date.now(),
+      lastTeamChangeAt: 0,
+      trackedShots: new Map(), // paintball id -> shot, for hit confirmation
+      // Fire rate limit: shots in hand, topped up one per FIRE_RATE
+      shotAllowance: SHOT_BURST,
+      shotAllowanceAt: Date.now(),
+    };
+
+    players[player.id] = player;
+    sessions[player.sessionToken] = player.id;
+    attachSocket(socket, player, encoding);
+    hitboxes.record(player.id, player.position);
+    playersDirty = true;
+
+    console.log(
+      `🎮 ${name} joined team ${team} (${Object.keys(players).length} online)`
+    );
+
+    socket.emit("joinSuccess", {
+      id: player.id,
+      team: player.team,
+      name: player.name,
+      totalPlayers: Object.keys(players).length,
+      encoding,
+      sessionToken: player.sessionToken,
+    });
+    broadcastPlayerRoster();
+
+    // The first player in starts the warmup clock - or, in a private room,
+    // becomes the host who starts it
+    if (settings.room) {
+      if (!hostId) pickHost(socket);
+    } else if (!match.isRunning()) {
+      match.start();
+    }
+
+    sendJoinState(socket, player);
+    broadcastServerStatus();
+  };
+
+  // ----- Movement -----
+
+  /**
+   * Apply one reported move through the shared movement rules. The client
+   * predicts freely; we only clamp moves that would be too fast for the keys
+   * held or the real time that has passed.
+   * @param {Object} player Player record
+   * @param {Array} position Position the client reported
+   * @param {Object} keys Movement keys held during the move
+   * @param {number} dt Seconds the move claims to cover
+   * @returns {boolean} Whether the move was applied (false for stale moves)
+   */
+  const applyMove = (player, position, keys, dt) => {
+    // Spawning teleports the client; take its first position inside its base
+    // and ignore moves still in flight from before the teleport
+    if (player.awaitingSpawn) {
+      if (distance2D(position, FLAG_POSITIONS[player.team]) > SPAWN_ZONE_RADIUS) {
+        return false;
+      }
+      player.awaitingSpawn = false;
+      player.position = position;
+      hitboxes.record(player.id, player.position);
+      playersDirty = true;
+      return true;
+    }
+
+    // Claimed time is capped by the real time the client has banked
+    const allowedDt = Math.min(dt, MAX_INPUT_DT, player.moveBudget);
+    player.moveBudget -= allowedDt;
+
+    const result = constrainMove(player.position, position, keys, allowedDt);
+    if (result.corrected) {
+      console.log(`🚫 Corrected impossible move from ${player.name}`);
+    }
+
+    player.position = result.position;
+    hitboxes.record(player.id, player.position);
+    playersDirty = true;
+    return true;
+  };
+
+  const handleUpdatePosition = (socket, payload = {}) => {
+    const player = getPlayer(socket);
+    if (!player || player.isEliminated) return;
+
+    let data = payload;
+    if (isBinaryPayload(payload)) {
+      try {
+        data = decodePositionUpdate(payload);
+      } catch (error) {
+        console.log(`🚫 Bad position update from ${player.name}: ${error.message}`);
+        return;
+      }
+    }
+
+    const now = Date.now();
+    player.moveBudget = Math.min(
+      MAX_MOVE_BUDGET,
+      player.moveBudget + (now - player.moveBudgetAt) / 1000
+    );
+    player.moveBudgetAt = now;
+
+    if (Array.isArray(data.inputs)) {
+      data.inputs.slice(0, MAX_INPUTS_PER_UPDATE).forEach((command) => {
+        if (!isInputCommand(command) || command.seq <= player.lastInputSeq) {
+          return;
+        }
+
+        player.lastInputSeq = command.seq;
+        if (applyMove(player, command.position, command.keys || {}, command.dt)) {
+          player.inputAckPending = true;
+        }
+      });
+    } else if (isVector3(data.position)) {
+      // Clients without input commands are held to sprint speed
+      applyMove(
+        player,
+        data.position,
+        { sprint: true },
+        (now - player.lastMoveAt) / 1000
+      );
+    }
+    player.lastMoveAt = now;
+    if (isVector3(data.rotation)) {
+      player.rotation = data.rotation;
+      playersDirty = true;
+    }
+    if (typeof data.isCrouching === "boolean") {
+      if (player.isCrouching !== data.isCrouching) playersDirty = true;
+      player.isCrouching = data.isCrouching;
+    }
+  };
+
+  /**
+   * Drop a player's tracked shots whose paintballs have run out of lifetime
+   * @param {Object} player Player
+   * @param {number} now Current time (ms)
+   */
+  const forgetExpiredShots = (player, now) => {
+    player.trackedShots.forEach((shot, id) => {
+      if (shot.expiresAt < now) player.trackedShots.delete(id);
+    });
+  };
+
+  const handleShoot = (socket, data = {}) => {
+    const player = getPlayer(socket);
+    if (!player || player.isEliminated) return;
+    if (!isVector3(data.origin) || !isVector3(data.direction)) return;
+
+    // No faster than the gun fires, give or take a little jitter
+    const now = Date.now();
+    player.shotAllowance = Math.min(
+      SHOT_BURST,
+      player.shotAllowance + (now - player.shotAllowanceAt) / FIRE_RATE
+    );
+    player.shotAllowanceAt = now;
+    if (player.shotAllowance < 1) return;
+    player.shotAllowance--;
+
+    // Remember the shot as the shooter saw it so hit claims can be replayed.
+    // viewTime is the server time the shooter's screen showed (older
+    // clients send viewDelay, how far behind the present it was).
+    const requestedRewind = Number.isFinite(data.viewTime)
+      ? now - data.viewTime
+      : data.viewDelay;
+    const viewDelay = Number.isFinite(requestedRewind)
+      ? Math.min(MAX_REWIND, Math.max(0, requestedRewind))
+      : 0;
+    const viewTime = now - viewDelay;
+
+    // The shot starts at the shooter's gun, wherever the client says it is
+    const origin = clampShotOrigin(data.origin, [
+      hitboxes.getPosition(player.id, viewTime),
+      player.position,
+    ]);
+    if (!origin) return;
+
+    player.shots++;
+    const shotId = data.id || player.shots;
+
+    forgetExpiredShots(player, now);
+    if (player.trackedShots.size < MAX_TRACKED_SHOTS) {
+      player.trackedShots.set(shotId, {
+        origin,
+        direction: data.direction,
+        viewTime,
+        expiresAt: now + PAINTBALL_LIFETIME * 1000 + MAX_REWIND,
+      });
+    }
+
+    socket.to(GAME_ROOM).emit("paintball", {
+      id: `${player.id}-${shotId}`,
+      origin,
+      direction: data.direction,
+      color: typeof data.color === "string" ? data.color : undefined,
+      shooterId: player.id,
+    });
+  };
+
+  const handleHit = (socket, data = {}) => {
+    // The shooter is always the sender - never trust a claimed shooter ID
+    const shooter = getPlayer(socket);
+    const target = players[data.target];
+
+    if (!shooter || !target || shooter.id === target.id) return;
+    if (shooter.isEliminated || target.isEliminated) return;
+    if (target.disconnected) return; // Ghosts can't be hit
+    if (shooter.team === target.team) return;
+
+    // The client's claim is only a hint: we replay the paintball it names
+    // against the target's hitbox history and decide for ourselves
+    forgetExpiredShots(shooter, Date.now());
+    const shot = shooter.trackedShots.get(data.paintballId);
+    if (!shot) return;
+
+    const { hit } = traceShot(
+      shot,
+      (time) => hitboxes.getPosition(target.id, time),
+      { tolerance: HIT_TOLERANCE }
+    );
+    if (!hit) {
+      console.log(`🚫 Rejected hit from ${shooter.name} on ${target.name}`);
+      return;
+    }
+
+    // Each paintball can only hit once
+    shooter.trackedShots.delete(data.paintballId);
+    applyHit(shooter, target);
+  };
+
+  const handleCaptureFlag = (socket, data = {}) => {
+    const player = getPlayer(socket);
+    const flagTeam = normalizeTeam(data.team);
+    if (!player || !flagTeam || player.isEliminated) return;
+
+    // Only the enemy flag can be taken, and only from its base
+    if (flagTeam === player.team || flags[flagTeam].carrierId) return;
+    if (distance2D(player.position, FLAG_POSITIONS[flagTeam]) > FLAG_INTERACT_RADIUS) {
+      return;
+    }
+
+    flags[flagTeam].carrierId = player.id;
+    console.log(`🚩 ${player.name} captured the ${flagTeam} flag`);
+
+    io.to(GAME_ROOM).emit("flagCaptured", {
+      team: flagTeam.toLowerCase(),
+      carrier: player.name,
+    });
+  };
+
+  const handleScoreFlag = (socket, data = {}) => {
+    const player = getPlayer(socket);
+    const flagTeam = normalizeTeam(data.team);
+    if (!player || !flagTeam) return;
+
+    if (flags[flagTeam].carrierId !== player.id) return;
+    if (
+      distance2D(player.position, FLAG_POSITIONS[player.team]) >
+      FLAG_INTERACT_RADIUS
+    ) {
+      return;
+    }
+
+    flags[flagTeam].carrierId = null;
+
+    // Captures outside live play (warmup, results) just send the flag home
+    const { redScore, blueScore } = match.getState();
+    if (!match.isScoring()) {
+      io.to(GAME_ROOM).emit("flagReturned", { team: flagTeam.toLowerCase() });
+      return;
+    }
+
+    player.captures++;
+    player.score += settings.flagScorePoints;
+
+    // Announce the capture before addScore, which may end the match
+    const points = settings.flagScorePoints;
+    io.to(GAME_ROOM).emit("flagScored", {
+      team: flagTeam.toLowerCase(),
+      scorer: player.name,
+      redScore: player.team === "Red" ? redScore + points : redScore,
+      blueScore: player.team === "Blue" ? blueScore + points : blueScore,
+    });
+    sendStats(player);
+
+    console.log(`🏆 ${player.name} scored for ${player.team}`);
+    match.addScore(player.team, points);
+  };
+
+  const handleMessage = (socket, data = {}) => {
+    if (typeof data.text !== "string") return;
+
+    const text = data.text.trim().substring(0, MAX_MESSAGE_LENGTH);
+    if (!text) return;
+
+    // Party chat works in the lobby and the queue too
+    if (data.channel === "party") {
+      const party = getParty(socket);
+      const member = party?.members.find((entry) => entry.id === socket.id);
+      if (!member) return;
+
+      io.to(getPartyRoom(party)).emit("message", {
+        sender: getPlayer(socket)?.name || member.name,
+        text,
+        timestamp: Date.now(),
+        channel: "party",
+      });
+      return;
+    }
+
+    const player = getPlayer(socket);
+    if (!player) return;
+
+    io.to(GAME_ROOM).emit("message", {
+      sender: player.name,
+      team: player.team,
+      text,
+      timestamp: Date.now(),
+    });
+  };
+
+  // ----- Spectators -----
+
+  /**
+   * Watch the match without a character. Spectators take no slot and count
+   * toward no team, so anyone can watch - including someone who's queued,
+   * who keeps their place in the queue.
+   */
+  const handleSpectate = (socket, data = {}) => {
+    if (outdatedSockets.has(socket.id)) return;
+    if (getPlayer(socket) || spectators.has(socket.id)) return;
+
+    if (settings.room?.password && data.password !== settings.room.password) {
+      socket.emit("roomError", {
+        reason: "wrong_password",
+        message: "Wrong password for this room.",
+      });
+      return;
+    }
+
+    spectators.add(socket.id);
+    socket.join(GAME_ROOM);
+    socket.join(SPECTATOR_ROOM);
+    console.log(`👀 ${socket.id} spectating (${spectators.size} watching)`);
+
+    socket.emit("spectateSuccess", {
+      totalPlayers: Object.keys(players).length,
+      spectators: spectators.size,
+    });
+    sendMatchState(socket);
+    sendSpectatorSnapshot(socket.id);
+  };
+
+  /**
+   * Stop getting spectator updates - on request, or because the socket is
+   * joining the game
+   */
+  const leaveSpectators = (socket) => {
+    if (!spectators.delete(socket.id)) return;
+
+    socket.leave(SPECTATOR_ROOM);
+    if (!getPlayer(socket)) socket.leave(GAME_ROOM);
+    console.log(`👀 ${socket.id} stopped spectating`);
+  };
+
+  /**
+   * A player asks to change sides. Refused while they carry a flag, too
+   * soon after their last change, or if it would unbalance the teams.
+   */
+  const handleSwitchTeam = (socket, data = {}) => {
+    const player = getPlayer(socket);
+    if (!player) return;
+
+    const team = normalizeTeam(data.team) || otherTeam(player.team);
+    if (team === player.team) return;
+
+    const deny = (reason, message) =>
+      socket.emit("teamSwitchDenied", { reason, message });
+    const counts = getTeamCounts();
+    counts[player.team]--;
+
+    if (Date.now() - player.lastTeamChangeAt < settings.teamSwitchCooldown) {
+      deny("cooldown", "You just changed teams. Try again in a moment.");
+    } else if (isFlagCarrier(player)) {
+      deny("carrying_flag", "Drop the flag before switching teams.");
+    } else if (isInParty(player)) {
+      deny("in_party", "Your party plays on one team.");
+    } else if (counts[team] >= settings.maxPlayersPerTeam) {
+      deny("team_full", `${team} is full.`);
+    } else if (!canJoinTeam(team, counts)) {
+      deny("unbalanced", `Switching would leave ${player.team} short-handed.`);
+    } else {
+      moveToTeam(player, team, "switch", `You switched to ${team}.`);
+    }
+  };
+
+  /**
+   * The host of a private room starts the match once everyone is in
+   */
+  const handleStartMatch = (socket) => {
+    const player = getPlayer(socket);
+    if (!settings.room || !player || player.id !== hostId) return;
+    if (match.isRunning()) return;
+
+    console.log(
+      `🟢 ${player.name} started the match in room ${settings.room.code}`
+    );
+    match.start();
+  };
+
+  const handleDisconnect = (socket, reason) => {
+    console.log(`❌ ${socket.id} disconnected: ${reason}`);
+
+    outdatedSockets.delete(socket.id);
+    const wasQueued = queue.includes(socket.id);
+    queue = queue.filter((id) => id !== socket.id);
+    releaseReservation(socket.id);
+    leaveParty(socket.id);
+    spectators.delete(socket.id);
+
+    // Leaving on purpose frees the slot now; dropping out leaves a ghost
+    // that can be resumed
+    const player = getPlayer(socket);
+    if (player && reason !== "client namespace disconnect") {
+      leaveGhost(player);
+    } else if (player) {
+      removePlayer(player.id);
+    }
+
+    if (wasQueued) {
+      sendQueuePositions();
+    }
+    handlePlayerGone();
+  };
+
+  io.on("connection", (rawSocket) => {
+    console.log(`✅ ${rawSocket.id} connected`);
+
+    // Drop messages that don't match the protocol before any handler sees
+    // them. Validation is off in production, so the handlers are protected
+    // either way.
+    const validated = settings.validateProtocol
+      ? guardSocket(rawSocket, {
+          incoming: CLIENT_MESSAGES,
+          onInvalid: (event, direction, errors) => {
+            malformedMessages[event] = (malformedMessages[event] || 0) + 1;
+            console.log(
+              `🚫 Malformed ${event} from ${rawSocket.id}: ${errors.join("; ")}`
+            );
+          },
+        })
+      : rawSocket;
+    const socket = protectSocket(validated, {
+      onError: (event, error) =>
+        console.log(`💥 ${event} from ${rawSocket.id} failed: ${error.stack}`),
+    });
+
+    // Clock sync - echo the client's send time with ours
+    socket.on("clockPing", (data = {}) => {
+      if (!Number.isFinite(data.clientTime)) return;
+      socket.emit("clockPong", {
+        clientTime: data.clientTime,
+        serverTime: Date.now(),
+      });
+    });
+
+    socket.on("hello", (data) => handleHello(socket, data));
+    socket.on("join", (data) => handleJoin(socket, data));
+    socket.on("requestServerStatus", () =>
+      socket.emit("serverStatus", getServerStatus())
+    );
+    socket.on("updatePosition", (data) => handleUpdatePosition(socket, data));
+    socket.on("snapshotAck", (data) => handleSnapshotAck(socket, data));
+    socket.on("shoot", (data) => handleShoot(socket, data));
+    socket.on("hit", (data) => handleHit(socket, data));
+    socket.on("captureFlag", (data) => handleCaptureFlag(socket, data));
+    socket.on("scoreFlag", (data) => handleScoreFlag(socket, data));
+    socket.on("message", (data) => handleMessage(socket, data));
+    socket.on("startMatch", () => handleStartMatch(socket));
+    socket.on("switchTeam", (data) => handleSwitchTeam(socket, data));
+    socket.on("createParty", (data) => handleCreateParty(socket, data));
+    socket.on("joinParty", (data) => handleJoinParty(socket, data));
+    socket.on("leaveParty", () => leaveParty(socket.id));
+    socket.on("setPartyReady", (data) => handleSetPartyReady(socket, data));
+    socket.on("queueParty", () => handleQueueParty(socket));
+    socket.on("spectate", (data) => handleSpectate(socket, data));
+    socket.on("stopSpectating", () => leaveSpectators(socket));
+    socket.on("disconnect", (reason) => handleDisconnect(socket, reason));
+  });
+
+  const broadcastTimer = setInterval(
+    broadcastPlayers,
+    settings.broadcastInterval
+  );
+  const matchTimer = setInterval(match.tick, MATCH_TICK_INTERVAL);
+  // Wait estimates and the trend change even while nobody moves up
+  const queueTimer = setInterval(
+    sendQueuePositions,
+    settings.queueRefreshInterval
+  );
+
+  return {
+    getServerStatus,
+    getListing,
+    getPlayersSnapshot,
+    getMatchState: match.getState,
+    getMalformedMessages: () => ({ ...malformedMessages }),
+
+    /**
+     * Stop timers so the process (or a test) can exit cleanly
+     */
+    close: () => {
+      clearInterval(broadcastTimer);
+      clearInterval(matchTimer);
+      clearInterval(queueTimer);
+      clearTimeout(balanceTimer);
+      Object.values(reservations).forEach(clearTimeout);
+      Object.values(respawnTimers).forEach(clearTimeout);
+      Object.values(graceTimers).forEach(clearTimeout);
+    },
+  };
+};
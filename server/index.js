@@ -0,0 +1,92 @@
+/**
+ * PaintBlast reference game server
+ * Headless Socket.IO server that speaks the same protocol as the hosted
+ * deployment, so multiplayer sessions and integration tests can run locally.
+ */
+
+import { createServer } from "http";
+import { pathToFileURL } from "url";
+import { Server } from "socket.io";
+import { createGameServer } from "./gameServer.js";
+import { createRoomManager } from "./rooms.js";
+
+const DEFAULT_PORT = 8000;
+
+/**
+ * Start the HTTP + Socket.IO server
+ * @param {Object} options Server options
+ * @param {number} options.port Port to listen on (0 picks a free port)
+ * @param {string} options.corsOrigin Allowed CORS origin for the web client
+ * @param {string} options.name Name shown in the lobby's server list
+ * @param {Object} options.game Overrides passed to createGameServer (private
+ *   rooms start from them too)
+ * @param {Object} options.rooms Options passed to createRoomManager
+ * @returns {Promise<Object>} Handle with io, game, rooms, port and close()
+ */
+export const startServer = ({
+  port = Number(process.env.PORT) || DEFAULT_PORT,
+  corsOrigin = process.env.CORS_ORIGIN || "*",
+  name = process.env.SERVER_NAME,
+  game: gameOptions = {},
+  rooms: roomOptions = {},
+} = {}) => {
+  let game = null;
+
+  const httpServer = createServer((req, res) => {
+    // Health check for hosting platforms and test harnesses
+    if (req.url === "/health") {
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ status: "ok" }));
+      return;
+    }
+
+    // Listing for the lobby's server browser, which also times this request
+    // to measure ping
+    if (req.url === "/status") {
+      res.writeHead(200, {
+        "Content-Type": "application/json",
+        "Access-Control-Allow-Origin": corsOrigin,
+        "Cache-Control": "no-store",
+      });
+      res.end(JSON.stringify(game.getListing()));
+      return;
+    }
+
+    res.writeHead(404);
+    res.end();
+  });
+
+  const io = new Server(httpServer, {
+    cors: { origin: corsOrigin },
+    transports: ["websocket", "polling"],
+    perMessageDeflate: { threshold: 1024 },
+  });
+
+  game = createGameServer(io, { ...(name && { name }), ...gameOptions });
+  const rooms = createRoomManager(io, { game: gameOptions, ...roomOptions });
+
+  return new Promise((resolve) => {
+    httpServer.listen(port, () => {
+      const actualPort = httpServer.address().port;
+      console.log(`🌐 PaintBlast server listening on http://localhost:${actualPort}`);
+
+      resolve({
+        io,
+        game,
+        rooms,
+        port: actualPort,
+        close: () =>
+          new Promise((done) => {
+            rooms.close();
+            game.close();
+            io.close(() => done());
+          }),
+      });
+    });
+  });
+};
+
+// Start immediately when run directly (`npm start` / `node index.js`)
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  startServer();
+}
@@ -0,0 +1,119 @@
+/**
+ * Interest management for the PaintBlast reference server
+ *
+ * With 100 players on the map, most of them are too far away to matter to
+ * any one client. Players are bucketed into a spatial grid every broadcast,
+ * and each client only hears about the players near it - and about distant
+ * ones at a lower rate. Teammates and flag carriers are always included so
+ * the HUD and minimap stay complete.
+ */
+
+import {
+  PLAYER_RENDER_DISTANCE,
+  LOW_DETAIL_DISTANCE,
+} from "../src/lib/config.js";
+
+export const INTEREST_RADIUS = PLAYER_RENDER_DISTANCE; // Nothing further is drawn
+const GRID_CELL_SIZE = 20; // 12x12 cells over the 240x240 map
+
+// How often (in broadcast ticks) a player at up to `distance` is updated
+export const UPDATE_RATE_TIERS = [
+  { distance: LOW_DETAIL_DISTANCE / 2, every: 1 },
+  { distance: LOW_DETAIL_DISTANCE, every: 2 },
+  { distance: Infinity, every: 4 },
+];
+
+/**
+ * Broadcast ticks between updates for a player at this distance
+ * @param {number} distance Distance from the viewer
+ * @returns {number} 1 for every tick, 2 for every other tick, ...
+ */
+export const getUpdateEvery = (distance) =>
+  UPDATE_RATE_TIERS.find((tier) => distance <= tier.distance).every;
+
+const distance2D = (a, b) => Math.hypot(a[0] - b[0], a[2] - b[2]);
+
+/**
+ * Uniform grid over the ground plane
+ * @param {Object} options Grid options
+ * @param {number} options.cellSize Cell edge length (units)
+ * @returns {Object} Grid handle
+ */
+export const createSpatialGrid = ({ cellSize = GRID_CELL_SIZE } = {}) => {
+  let cells = new Map(); // "cx,cz" -> [id]
+
+  const cellKey = (cx, cz) => `${cx},${cz}`;
+  const toCell = (value) => Math.floor(value / cellSize);
+
+  const clear = () => {
+    cells = new Map();
+  };
+
+  const insert = (id, position) => {
+    const key = cellKey(toCell(position[0]), toCell(position[2]));
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(id);
+  };
+
+  /**
+   * Ids in every cell touching the square around a position. Callers still
+   * check the exact distance - cells only narrow the search.
+   */
+  const query = (position, radius) => {
+    const ids = [];
+    const minX = toCell(position[0] - radius);
+    const maxX = toCell(position[0] + radius);
+    const minZ = toCell(position[2] - radius);
+    const maxZ = toCell(position[2] + radius);
+
+    for (let cx = minX; cx <= maxX; cx++) {
+      for (let cz = minZ; cz <= maxZ; cz++) {
+        const cell = cells.get(cellKey(cx, cz));
+        if (cell) ids.push(...cell);
+      }
+    }
+
+    return ids;
+  };
+
+  return { clear, insert, query };
+};
+
+/**
+ * Work out which players a viewer should hear about, and how often
+ * @param {Object} viewer Viewing player record
+ * @param {Object} players Socket id -> player record
+ * @param {Object} grid Spatial grid filled with the current positions
+ * @param {Function} isFlagCarrier (player) => whether they carry a flag
+ * @param {number} radius Interest radius
+ * @returns {Object} Player id -> update interval in ticks
+ */
+export const getInterestSet = (
+  viewer,
+  players,
+  grid,
+  isFlagCarrier,
+  radius = INTEREST_RADIUS
+) => {
+  const interest = { [viewer.id]: 1 };
+
+  grid.query(viewer.position, radius).forEach((id) => {
+    const player = players[id];
+    if (!player || interest[id]) return;
+
+    const distance = distance2D(viewer.position, player.position);
+    if (distance <= radius) interest[id] = getUpdateEvery(distance);
+  });
+
+  Object.values(players).forEach((player) => {
+    if (isFlagCarrier(player)) {
+      interest[player.id] = 1;
+    } else if (player.team === viewer.team && !interest[player.id]) {
+      interest[player.id] = getUpdateEvery(
+        distance2D(viewer.position, player.position)
+      );
+    }
+  });
+
+  return interest;
+};
@@ -0,0 +1,25 @@
+/**
+ * Short join codes for private rooms and parties
+ */
+
+import { randomInt } from "crypto";
+
+// No 0/O or 1/I, so codes survive being read out loud
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+/**
+ * Generate a random code that isn't in use yet
+ * @param {number} length Characters in the code
+ * @param {Function} isTaken Returns truthy for codes already in use
+ * @returns {string} Upper-case code
+ */
+export const generateJoinCode = (length, isTaken) => {
+  let code;
+  do {
+    code = Array.from(
+      { length },
+      () => CODE_ALPHABET[randomInt(CODE_ALPHABET.length)]
+    ).join("");
+  } while (isTaken(code));
+  return code;
+};
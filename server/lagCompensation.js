@@ -0,0 +1,165 @@
+/**
+ * Lag compensation for the PaintBlast reference server
+ *
+ * Players shoot at what their screen showed, which is the past: the shot
+ * travelled to us over the network and they draw remote players behind an
+ * interpolation delay. We keep a short history of every hitbox so a shot can
+ * be replayed against the world as the shooter saw it.
+ */
+
+import {
+  getMuzzleVelocity,
+  stepPaintball,
+  segmentHitsPlayer,
+  PAINTBALL_LIFETIME,
+  SIMULATION_STEP,
+  HITBOX_HEIGHT,
+} from "../src/lib/ballistics.js";
+
+const HISTORY_DURATION = 4000; // ms - longest rewind plus a full paintball flight
+export const MAX_REWIND = 300; // ms - most we will rewind for a shooter's view
+export const MAX_MUZZLE_DISTANCE = 1.5; // m a shot may start from its shooter
+
+/**
+ * Create a per-player history of hitbox positions
+ * @param {Object} options History options
+ * @param {number} options.duration How long to keep samples (ms)
+ * @returns {Object} History handle
+ */
+export const createHitboxHistory = ({ duration = HISTORY_DURATION } = {}) => {
+  const samples = {}; // player id -> [{ time, position }], oldest first
+
+  /**
+   * Record where a player is at a given server time
+   */
+  const record = (id, position, time = Date.now()) => {
+    if (!samples[id]) samples[id] = [];
+    const history = samples[id];
+
+    history.push({ time, position: [...position] });
+    while (history.length > 1 && history[0].time < time - duration) {
+      history.shift();
+    }
+  };
+
+  /**
+   * Where a player was at a past server time (interpolated between samples)
+   * @returns {Array|null} Position, or null if we know nothing about them
+   */
+  const getPosition = (id, time) => {
+    const history = samples[id];
+    if (!history || history.length === 0) return null;
+
+    if (time <= history[0].time) return history[0].position;
+
+    for (let i = history.length - 1; i >= 0; i--) {
+      const sample = history[i];
+      if (sample.time <= time) {
+        const next = history[i + 1];
+        if (!next) return sample.position;
+
+        const t = (time - sample.time) / (next.time - sample.time);
+        return [
+          sample.position[0] + (next.position[0] - sample.position[0]) * t,
+          sample.position[1] + (next.position[1] - sample.position[1]) * t,
+          sample.position[2] + (next.position[2] - sample.position[2]) * t,
+        ];
+      }
+    }
+
+    return history[0].position;
+  };
+
+  const remove = (id) => {
+    delete samples[id];
+  };
+
+  return { record, getPosition, remove };
+};
+
+/**
+ * Fly a paintball through the rewound world and see if it meets a target
+ * @param {Object} shot Shot as the shooter fired it
+ * @param {Array} shot.origin Muzzle position [x, y, z]
+ * @param {Array} shot.direction Aim direction [x, y, z]
+ * @param {number} shot.viewTime Server time the shooter was looking at
+ * @param {Function} getTargetPosition (time) => target position at that time
+ * @param {Object} options Trace options
+ * @param {number} options.tolerance Extra hitbox radius to allow for
+ * @param {number} options.maxFlightTime Stop after this many seconds
+ * @returns {{hit: boolean, flightTime: number}} Result of the trace
+ */
+export const traceShot = (
+  shot,
+  getTargetPosition,
+  { tolerance = 0, maxFlightTime = PAINTBALL_LIFETIME } = {}
+) => {
+  let position = shot.origin;
+  let velocity = getMuzzleVelocity(shot.direction);
+  let flightTime = 0;
+
+  while (flightTime < maxFlightTime) {
+    const next = stepPaintball(position, velocity, SIMULATION_STEP);
+    flightTime += SIMULATION_STEP;
+
+    // Targets keep moving while the paintball flies
+    const targetPosition = getTargetPosition(shot.viewTime + flightTime * 1000);
+    if (
+      targetPosition &&
+      segmentHitsPlayer(position, next.position, targetPosition, tolerance)
+    ) {
+      return { hit: true, flightTime };
+    }
+
+    // Splatted on the ground
+    if (next.position[1] <= 0) break;
+
+    position = next.position;
+    velocity = next.velocity;
+  }
+
+  return { hit: false, flightTime };
+};
+
+/**
+ * Keep a shot's claimed origin within reach of the shooter. The client
+ * says where its barrel was; we only believe it if that's near the
+ * shooter's hitbox, and otherwise pull the origin back towards it.
+ * @param {Array} origin Claimed muzzle position [x, y, z]
+ * @param {Array} bodyPositions Where the shooter may have been when they
+ *   fired (e.g. rewound to their view and now) - nulls are skipped
+ * @param {number} maxDistance Furthest the muzzle may be from the hitbox
+ * @returns {Array|null} The origin, or the clamped one; null if we know
+ *   nothing about where the shooter was
+ */
+export const clampShotOrigin = (
+  origin,
+  bodyPositions,
+  maxDistance = MAX_MUZZLE_DISTANCE
+) => {
+  let nearest = null;
+  bodyPositions.filter(Boolean).forEach((base) => {
+    // Closest point on the hitbox's axis, from the feet to the head
+    const axisPoint = [
+      base[0],
+      Math.min(base[1] + HITBOX_HEIGHT, Math.max(base[1], origin[1])),
+      base[2],
+    ];
+    const distance = Math.hypot(
+      origin[0] - axisPoint[0],
+      origin[1] - axisPoint[1],
+      origin[2] - axisPoint[2]
+    );
+    if (!nearest || distance < nearest.distance) {
+      nearest = { axisPoint, distance };
+    }
+  });
+
+  if (!nearest) return null;
+  if (nearest.distance <= maxDistance) return origin;
+
+  const scale = maxDistance / nearest.distance;
+  return nearest.axisPoint.map(
+    (value, axis) => value + (origin[axis] - value) * scale
+  );
+};
@@ -0,0 +1,80 @@
+/**
+ * Queue wait estimates for the PaintBlast reference server
+ *
+ * Instead of guessing a fixed time per queue position, the server remembers
+ * when slots actually opened (players leaving, reservations running out)
+ * over the last few minutes. The rate they opened at tells a queued player
+ * roughly how long it takes for the slots ahead of them - and theirs - to
+ * come free.
+ */
+
+import { QUEUE_TURNOVER_WINDOW, QUEUE_STALL_TIME } from "../src/lib/config.js";
+
+// Openings needed before we trust the rate enough to estimate with it
+const MIN_SAMPLES = 2;
+
+/**
+ * Track slot turnover for one game
+ * @param {Object} options
+ * @param {number} options.history ms of openings the rate is measured over
+ * @param {number} options.stallTime ms without an opening that counts as
+ *   the queue having stalled
+ * @returns {Object} Tracker
+ */
+export const createTurnoverTracker = ({
+  history = QUEUE_TURNOVER_WINDOW,
+  stallTime = QUEUE_STALL_TIME,
+} = {}) => {
+  const startedAt = Date.now();
+  const openings = []; // Times a slot opened, oldest first
+
+  const prune = (now) => {
+    while (openings.length > 0 && now - openings[0] > history) {
+      openings.shift();
+    }
+  };
+
+  /**
+   * Slots opened per second lately. A server that has only been up for a
+   * moment is measured over at least stallTime, so a couple of early
+   * departures don't promise an instant wait.
+   */
+  const getRate = (now = Date.now()) => {
+    prune(now);
+    const span = Math.max(stallTime, Math.min(history, now - startedAt));
+    return openings.length / (span / 1000);
+  };
+
+  return {
+    getRate,
+
+    /**
+     * A slot just opened
+     */
+    recordSlotOpened: (now = Date.now()) => {
+      openings.push(now);
+      prune(now);
+    },
+
+    /**
+     * Seconds until this many slots are likely to have opened
+     * @param {number} slots Slots that have to open - those of everyone
+     *   ahead in the queue plus the player's own
+     * @returns {number|null} Estimate, or null without enough turnover
+     *   seen to make one
+     */
+    estimateWait: (slots, now = Date.now()) => {
+      const rate = getRate(now);
+      if (openings.length < MIN_SAMPLES || rate === 0) return null;
+      return Math.ceil(slots / rate);
+    },
+
+    /**
+     * "moving" if a slot opened within stallTime, otherwise "stalled"
+     */
+    getTrend: (now = Date.now()) =>
+      openings.length > 0 && now - openings[openings.length - 1] < stallTime
+        ? "moving"
+        : "stalled",
+  };
+};
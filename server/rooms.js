@@ -0,0 +1,213 @@
+/**
+ * Private rooms for the PaintBlast reference server
+ * Players on the main game can open a room with its own rules and an
+ * optional password. Each room is a separate game on its own Socket.IO
+ * namespace (`/room/<code>`), so clients join one by connecting to that
+ * namespace instead of the main one.
+ */
+
+import {
+  ROOM_CODE_LENGTH,
+  MAX_ROOMS,
+  MAX_ROOMS_PER_CLIENT,
+  ROOM_IDLE_TIMEOUT,
+  ROOM_RULE_LIMITS,
+  VALIDATE_PROTOCOL,
+} from "../src/lib/config.js";
+import { CLIENT_MESSAGES, guardSocket } from "../src/lib/protocol.js";
+import { createGameServer } from "./gameServer.js";
+import { generateJoinCode } from "./joinCodes.js";
+import { protectSocket } from "./socketSafety.js";
+
+const ROOM_SWEEP_INTERVAL = 30000; // ms between checks for idle rooms
+const MAX_PASSWORD_LENGTH = 32;
+
+/**
+ * Namespace a room's game runs on
+ * @param {string} code Room code
+ */
+export const getRoomNamespace = (code) => `/room/${code}`;
+
+/**
+ * Clamp a requested rule to the allowed range
+ * @param {string} rule Key of ROOM_RULE_LIMITS
+ * @param {*} value Requested value
+ * @returns {number|undefined} Allowed value, or undefined to keep the default
+ */
+const clampRule = (rule, value) => {
+  if (!Number.isFinite(value)) return undefined;
+  const { min, max } = ROOM_RULE_LIMITS[rule];
+  return Math.min(max, Math.max(min, Math.round(value)));
+};
+
+/**
+ * Host private rooms next to the main game
+ * @param {import("socket.io").Server} io Socket.IO server
+ * @param {Object} options Room options
+ * @param {number} options.maxRooms Rooms open at once
+ * @param {number} options.maxRoomsPerClient Rooms one connection can have
+ *   open
+ * @param {number} options.idleTimeout ms an empty room stays open
+ * @param {Object} options.game createGameServer overrides rooms start from
+ * @returns {Object} Room manager handle
+ */
+export const createRoomManager = (io, options = {}) => {
+  const settings = {
+    maxRooms: MAX_ROOMS,
+    maxRoomsPerClient: MAX_ROOMS_PER_CLIENT,
+    idleTimeout: ROOM_IDLE_TIMEOUT,
+    validateProtocol: VALIDATE_PROTOCOL,
+    game: {},
+    ...options,
+  };
+
+  const rooms = {}; // code -> { game, emptySince, owner }, every open room
+
+  /**
+   * Open a room
+   * @param {Object} request What the host asked for
+   * @param {string} request.name Host's name, for the room's name
+   * @param {string} request.password Password to join (optional)
+   * @param {Object} request.rules maxPlayersPerTeam, roundTime and winScore
+   * @param {string} owner Socket id of the client asking, if any
+   * @returns {Object|null} { code, passwordRequired, game }, or null if the
+   *   server can't open another room
+   */
+  const createRoom = ({ name, password, rules = {} } = {}, owner = null) => {
+    if (Object.keys(rooms).length >= settings.maxRooms) return null;
+
+    const code = generateJoinCode(ROOM_CODE_LENGTH, (taken) => rooms[taken]);
+    const roomPassword =
+      typeof password === "string" && password
+        ? password.substring(0, MAX_PASSWORD_LENGTH)
+        : null;
+    const maxPlayersPerTeam = clampRule(
+      "maxPlayersPerTeam",
+      rules.maxPlayersPerTeam
+    );
+    const roundTime = clampRule("roundTime", rules.roundTime);
+    const winScore = clampRule("winScore", rules.winScore);
+
+    const game = createGameServer(io, {
+      ...settings.game,
+      name: name ? `${name}'s room` : `Room ${code}`,
+      namespace: getRoomNamespace(code),
+      room: { code, password: roomPassword },
+      ...(maxPlayersPerTeam && {
+        maxPlayersPerTeam,
+        maxPlayers: maxPlayersPerTeam * 2,
+      }),
+      match: {
+        ...settings.game.match,
+        ...(roundTime && { roundTime }),
+        ...(winScore && { winScore }),
+      },
+    });
+
+    rooms[code] = { game, emptySince: Date.now(), owner };
+    console.log(`🚪 Room ${code} opened (${Object.keys(rooms).length} open)`);
+    return { code, passwordRequired: Boolean(roomPassword), game };
+  };
+
+  /**
+   * Shut a room's game down and empty its namespace
+   * @param {string} code Room code
+   */
+  const closeRoom = (code) => {
+    const room = rooms[code];
+    if (!room) return;
+
+    const name = getRoomNamespace(code);
+    const namespace = io.of(name);
+    // Disconnect first, so the game clears the ghosts that leaves behind
+    namespace.disconnectSockets(true);
+    room.game.close();
+    namespace.removeAllListeners();
+    // Socket.IO has no public way to drop a namespace. Without this every
+    // room ever opened would stay in memory, and clients connecting to a
+    // closed one get the unknown namespace error.
+    io._nsps.delete(name);
+    delete rooms[code];
+    console.log(`🚪 Room ${code} closed`);
+  };
+
+  /**
+   * Close rooms nobody has been in for a while
+   */
+  const sweepRooms = () => {
+    const now = Date.now();
+    Object.entries(rooms).forEach(([code, room]) => {
+      const { currentPlayers, queueLength } = room.game.getServerStatus();
+      if (currentPlayers > 0 || queueLength > 0) {
+        room.emptySince = null;
+      } else if (room.emptySince === null) {
+        room.emptySince = now;
+      } else if (now - room.emptySince >= settings.idleTimeout) {
+        closeRoom(code);
+      }
+    });
+  };
+
+  io.on("connection", (rawSocket) => {
+    const validated = settings.validateProtocol
+      ? guardSocket(rawSocket, {
+          incoming: CLIENT_MESSAGES,
+          onInvalid: (event, direction, errors) =>
+            console.log(
+              `🚫 Malformed ${event} from ${rawSocket.id}: ${errors.join("; ")}`
+            ),
+        })
+      : rawSocket;
+    const socket = protectSocket(validated, {
+      onError: (event, error) =>
+        console.log(`💥 ${event} from ${rawSocket.id} failed: ${error.stack}`),
+    });
+
+    socket.on("createRoom", (data = {}) => {
+      // One client can't take every room the server has. Counted per
+      // connection: behind a proxy every client shares an address.
+      const owner = rawSocket.id;
+      const owned = Object.values(rooms).filter(
+        (room) => room.owner === owner
+      ).length;
+      if (owned >= settings.maxRoomsPerClient) {
+        socket.emit("roomError", {
+          reason: "too_many_rooms",
+          message: "You already have as many rooms open as you can.",
+        });
+        return;
+      }
+
+      const room = createRoom(data, owner);
+      if (!room) {
+        socket.emit("roomError", {
+          reason: "too_many_rooms",
+          message: "This server can't open any more rooms right now.",
+        });
+        return;
+      }
+
+      socket.emit("roomCreated", {
+        code: room.code,
+        passwordRequired: room.passwordRequired,
+      });
+    });
+  });
+
+  const sweepTimer = setInterval(sweepRooms, ROOM_SWEEP_INTERVAL);
+
+  return {
+    createRoom,
+    closeRoom,
+    getRoom: (code) => rooms[code]?.game || null,
+    getRoomCount: () => Object.keys(rooms).length,
+
+    /**
+     * Close every room and stop the idle sweep
+     */
+    close: () => {
+      clearInterval(sweepTimer);
+      Object.keys(rooms).forEach(closeRoom);
+    },
+  };
+};
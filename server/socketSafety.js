@@ -0,0 +1,55 @@
+/**
+ * Last line of defence for the PaintBlast reference server's socket handlers
+ * Protocol validation (src/lib/protocol.js) is switched off in production,
+ * so handlers can't count on its checks: every payload that isn't an object
+ * (or a binary frame) reaches them as {}, and a handler that throws is
+ * logged instead of taking the process down.
+ */
+
+import { LIFECYCLE_EVENTS } from "../src/lib/protocol.js";
+import { isBinaryPayload } from "../src/lib/wireFormat.js";
+
+/**
+ * A payload handlers can read fields from without checking it's there
+ * @param {*} payload Whatever the client sent
+ * @returns {Object} The payload if it's an object or binary, otherwise {}
+ */
+export const toPayload = (payload) =>
+  isBinaryPayload(payload) ||
+  (payload !== null && typeof payload === "object" && !Array.isArray(payload))
+    ? payload
+    : {};
+
+/**
+ * Wrap a socket so its handlers get safe payloads and can't crash the server
+ * @param {Object} socket Socket.IO server socket (or a guardSocket wrapper)
+ * @param {Object} options Options
+ * @param {Function} options.onError (event, error) => void, for a handler
+ *   that threw
+ * @returns {Object} Socket with the same interface
+ */
+export const protectSocket = (socket, { onError = () => {} } = {}) => {
+  const on = (event, callback) => {
+    socket.on(event, (payload, ...rest) => {
+      try {
+        callback(
+          LIFECYCLE_EVENTS.includes(event) ? payload : toPayload(payload),
+          ...rest
+        );
+      } catch (error) {
+        onError(event, error);
+      }
+    });
+    return wrapper;
+  };
+
+  const wrapper = new Proxy(socket, {
+    get(target, prop) {
+      if (prop === "on") return on;
+      const value = target[prop];
+      return typeof value === "function" ? value.bind(target) : value;
+    },
+  });
+
+  return wrapper;
+};
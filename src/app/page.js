@@ -4,6 +4,7 @@ import styles from "../styles/Home.module.css";
 import Lobby from "../components/Lobby";
 import Game from "../components/Game";
 import QueueStatus from "../components/QueueStatus";
+import Scoreboard from "../components/Scoreboard";
 import {
   connectSocket,
   disconnectSocket,
@@ -13,10 +14,21 @@ import { IS_MULTIPLAYER } from "../lib/config";
 import { EVENTS, addEventListener } from "../lib/events";
 import Head from "next/head";
 
-export default function Home() {
+/**
+ * @param {Object} props
+ * @param {string} props.roomCode Private room to go straight into (from
+ *   /room/[code])
+ * @param {string} props.roomServer Server the room is on, if not the default
+ */
+export default function Home({ roomCode = null, roomServer = null }) {
   const [gameState, setGameState] = useState("lobby"); // 'lobby', 'queue', 'game', 'scoreboard'
   const [playerName, setPlayerName] = useState("");
   const [isMultiplayerGame, setIsMultiplayerGame] = useState(IS_MULTIPLAYER);
+  const [matchResults, setMatchResults] = useState(null);
+  const [room, setRoom] = useState(null); // Private room we're playing in
+  const [preferredTeam, setPreferredTeam] = useState(null); // null lets the server pick
+  const [autoJoinRoom, setAutoJoinRoom] = useState(Boolean(roomCode));
+  const [roomError, setRoomError] = useState("");
 
   // Clean up socket connection on component unmount
   useEffect(() => {
@@ -39,6 +51,27 @@ export default function Home() {
       }
     );
 
+    // The server and this build can't talk, or we can't get into the
+    // room - back to the lobby, which explains why
+    const removeConnectionErrorListener = addEventListener(
+      EVENTS.CONNECTION_ERROR,
+      (data) => {
+        if (
+          data.type === "client_out_of_date" ||
+          data.type === "server_out_of_date"
+        ) {
+          setGameState("lobby");
+        } else if (
+          data.type === "room_not_found" ||
+          data.type === "wrong_password"
+        ) {
+          setAutoJoinRoom(false);
+          setRoomError(data.message);
+          setGameState("lobby");
+        }
+      }
+    );
+
     // Handle queue ready events
     const removeQueueReadyListener = addEventListener(
       EVENTS.QUEUE_READY,
@@ -47,25 +80,41 @@ export default function Home() {
       }
     );
 
-    // Handle game over events
-    const removeGameOverListener = addEventListener(EVENTS.GAME_OVER, () => {
-      setGameState("scoreboard");
-    });
-
     return () => {
       removeConnectionListener();
+      removeConnectionErrorListener();
       removeQueueReadyListener();
-      removeGameOverListener();
     };
   }, [gameState]);
 
-  const handleJoinGame = (name, multiplayer = false) => {
+  /**
+   * @param {string} name Player name
+   * @param {boolean} multiplayer Play online
+   * @param {Object} options
+   * @param {Object} options.room Private room ({ code, password, url }), or
+   *   null for the main game
+   * @param {string} options.team "Red", "Blue" or null for either
+   * @param {string} options.server Server URL to play on, if not the
+   *   current one
+   */
+  const handleJoinGame = (
+    name,
+    multiplayer = false,
+    { room: joinRoom = null, team = null, server = null } = {}
+  ) => {
     setPlayerName(name);
     setIsMultiplayerGame(multiplayer);
+    setRoom(joinRoom);
+    setPreferredTeam(team);
+    setRoomError("");
 
     if (multiplayer) {
       // For multiplayer, connect to the socket if not already connected
-      connectSocket({ multiplayer: true });
+      connectSocket({
+        multiplayer: true,
+        url: joinRoom?.url || server,
+        room: joinRoom,
+      });
 
       // Check connection state
       const connectionState = getConnectionState();
@@ -98,12 +147,26 @@ export default function Home() {
       </Head>
 
       <main className={styles.main}>
-        {gameState === "lobby" && <Lobby onJoinGame={handleJoinGame} />}
+        {gameState === "lobby" && (
+          <Lobby
+            onJoinGame={handleJoinGame}
+            roomCode={room?.code || roomCode}
+            roomServer={room?.url || roomServer}
+            autoJoinRoom={autoJoinRoom}
+            roomError={roomError}
+          />
+        )}
 
         {gameState === "queue" && (
           <QueueStatus
             onCancel={handleCancelQueue}
             onJoinGame={() => setGameState("game")}
+            onSwitchServer={(url) =>
+              handleJoinGame(playerName, true, {
+                server: url,
+                team: preferredTeam,
+              })
+            }
           />
         )}
 
@@ -111,15 +174,26 @@ export default function Home() {
           <Game
             playerName={playerName}
             isMultiplayer={isMultiplayerGame}
-            onGameEnd={() => setGameState("scoreboard")}
+            preferredTeam={preferredTeam}
+            onGameEnd={(results) => {
+              setMatchResults(results || null);
+              setGameState("scoreboard");
+            }}
           />
         )}
 
         {gameState === "scoreboard" && (
-          <div className={styles.scoreboard}>
-            <h1>Game Over</h1>
-            <button onClick={() => setGameState("lobby")}>Back to Lobby</button>
-          </div>
+          <Scoreboard
+            results={matchResults}
+            playerName={playerName}
+            onPlayAgain={() =>
+              handleJoinGame(playerName, isMultiplayerGame, {
+                room,
+                team: preferredTeam,
+              })
+            }
+            onBackToLobby={() => setGameState("lobby")}
+          />
         )}
       </main>
     </div>
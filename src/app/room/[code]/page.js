@@ -0,0 +1,15 @@
+"use client";
+import { use } from "react";
+import Home from "../../page";
+
+/**
+ * Invite link for a private room: skips the lobby's name prompt and joins
+ * the room straight away. `?server=` names the server if it isn't the
+ * default one.
+ */
+export default function RoomPage({ params, searchParams }) {
+  const { code } = use(params);
+  const { server } = use(searchParams);
+
+  return <Home roomCode={code.toUpperCase()} roomServer={server || null} />;
+}
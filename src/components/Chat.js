@@ -29,6 +29,9 @@ export default function Chat({ messages, onSendMessage }) {
           <div className={styles.messages}>
             {messages.map((msg, index) => (
               <div key={index} className={styles.message}>
+                {msg.channel === "party" && (
+                  <span className={styles.party}>[Party] </span>
+                )}
                 <span className={styles.sender}>{msg.sender}: </span>
                 <span className={styles.text}>{msg.text}</span>
               </div>
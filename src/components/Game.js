@@ -10,6 +10,8 @@ import styles from "../styles/Game.module.css";
 import Paintball from "../game/paintball";
 import { Physics } from "@react-three/rapier";
 import PhysicsDebug from "../game/debug";
+import NavGraphBuilder from "../game/navigation";
+import BotSight from "../game/botSight";
 import {
   DEFAULT_PERFORMANCE_LEVEL,
   PERFORMANCE_SETTINGS,
@@ -18,6 +20,21 @@ import {
   getAverageFPS,
 } from "../game/performanceSettings";
 import { EVENTS, addEventListener } from "../lib/events";
+import { createMatchStats } from "../lib/matchStats";
+import { clearPendingInputs } from "../lib/prediction";
+import { getRenderTime } from "../lib/interpolation";
+import { getServerTime } from "../lib/networkTiming";
+import { SUPPORTED_ENCODINGS } from "../lib/wireFormat";
+import {
+  NETWORK_PRESETS,
+  NO_CONDITIONS,
+  SIMULATED_EVENTS,
+  applyNetworkPreset,
+  setNetworkConditions,
+  clearEventConditions,
+  getEventConditions,
+  getNetworkConditions,
+} from "../lib/networkSimulator";
 import PerformanceStats from "./PerformanceStats";
 import {
   updateFps,
@@ -25,17 +42,33 @@ import {
   getPlayersToRender,
   shouldRenderPlayer,
 } from "../lib/performance";
-import { SHOW_PERFORMANCE_STATS, PLAYER_RENDER_DISTANCE } from "../lib/config";
+import {
+  SHOW_PERFORMANCE_STATS,
+  PLAYER_RENDER_DISTANCE,
+  BOTS_PER_TEAM,
+  BOT_SKILL,
+  SHOW_NAVIGATION_DEBUG,
+} from "../lib/config";
+import { initializeBots, stopBots, setNavGraph } from "../lib/bots";
 import {
   sendPositionUpdate,
   getConnectionState,
-  getSocket,
   connectSocket,
   setPlayerSession,
+  getSessionToken,
+  getRoom,
+  getPlayerId,
+  getParty,
+  sendPartyMessage,
 } from "../lib/socket";
 import SoundFX from "../lib/soundEffects";
 
-export default function Game({ playerName, isMultiplayer = false, onGameEnd }) {
+export default function Game({
+  playerName,
+  isMultiplayer = false,
+  preferredTeam = null,
+  onGameEnd,
+}) {
   const [socket, setSocket] = useState(null);
   const [players, setPlayers] = useState({});
   const [messages, setMessages] = useState([]);
@@ -96,6 +129,12 @@ export default function Game({ playerName, isMultiplayer = false, onGameEnd }) {
     socketConnected: false,
   });
 
+  // Simulated network conditions (dev overlay); "" edits every event
+  const [networkConditions, setNetworkConditionsState] = useState(
+    getNetworkConditions
+  );
+  const [networkEvent, setNetworkEvent] = useState("");
+
   // Modify the playerTeam state to use null as initial value
   const [playerTeam, setPlayerTeam] = useState(null);
 
@@ -135,6 +174,9 @@ export default function Game({ playerName, isMultiplayer = false, onGameEnd }) {
   const [respawnCountdown, setRespawnCountdown] = useState(0);
   const [lastKiller, setLastKiller] = useState(null); // Store killer info
   const [killFeed, setKillFeed] = useState([]); // Store kill messages {id, text}
+  const [matchState, setMatchState] = useState(null);
+  const [matchStats] = useState(createMatchStats);
+  const lastMatchNumberRef = useRef(null); // Phase and clock from the server
   const respawnIntervalRef = useRef(null); // Ref for countdown interval
   const MAX_KILL_FEED_MESSAGES = 5; // Max messages to show
 
@@ -320,14 +362,6 @@ export default function Game({ playerName, isMultiplayer = false, onGameEnd }) {
         }
       );
 
-      const removeGameOverListener = addEventListener(
-        EVENTS.GAME_END,
-        (data) => {
-          console.log("Game is over!", data);
-          onGameEnd();
-        }
-      );
-
       // Listen for player updates via the DOM event system
       // (socket.js is the SINGLE handler for "players" socket events,
       //  it relays them via EVENTS.PLAYERS_UPDATE to avoid double-handling)
@@ -375,6 +409,12 @@ export default function Game({ playerName, isMultiplayer = false, onGameEnd }) {
         }
       );
 
+      // Chat messages relayed by the server (party chat included)
+      const handleChatMessage = (message) => {
+        setMessages((prev) => [...prev, message]);
+      };
+      socketInstance.on("message", handleChatMessage);
+
       // Listen for remote paintballs from other players
       socketInstance.on("paintball", (data) => {
         if (data && data.origin && data.direction) {
@@ -438,14 +478,11 @@ export default function Game({ playerName, isMultiplayer = false, onGameEnd }) {
         });
       });
 
-      socketInstance.on("gameOver", (data) => {
-        console.log("Game over:", data);
-        onGameEnd();
-      });
-
-      // Join the game
-      const assignedTeam = Math.random() < 0.5 ? "Red" : "Blue"; // Default team, server will override
-      console.log("Requesting team:", assignedTeam);
+      // Join the team picked in the lobby. Without one, show a provisional
+      // team until the server assigns us
+      const assignedTeam =
+        preferredTeam || (Math.random() < 0.5 ? "Red" : "Blue");
+      console.log("Requesting team:", preferredTeam || "any");
 
       // Update game stats with the team
       setPlayerTeam(assignedTeam);
@@ -455,16 +492,20 @@ export default function Game({ playerName, isMultiplayer = false, onGameEnd }) {
       }));
 
       // Store session so socket.js can auto-rejoin on reconnect
-      setPlayerSession(playerName, assignedTeam);
+      setPlayerSession(playerName, preferredTeam);
 
       // Send join request to server
       socketInstance.emit("join", {
         name: playerName,
-        team: assignedTeam,
+        team: preferredTeam,
+        encodings: SUPPORTED_ENCODINGS,
+        // Picks our character back up after a page reload
+        sessionToken: getSessionToken(playerName),
+        password: getRoom()?.password,
       });
 
       // Register for join success
-      socketInstance.on("joinSuccess", (data) => {
+      const handleJoinSuccess = (data) => {
         // Server has confirmed our join and assigned a team
         console.log("Join success:", data);
         setPlayerTeam(data.team);
@@ -488,8 +529,9 @@ export default function Game({ playerName, isMultiplayer = false, onGameEnd }) {
         }, 10000); // Request every 10 seconds
 
         // Store interval so we can clean it up
-        setPingIntervalRef(pingInterval);
-      });
+        pingIntervalRef.current = pingInterval;
+      };
+      socketInstance.on("joinSuccess", handleJoinSuccess);
 
       // Set the socket state
       setSocket(socketInstance);
@@ -504,7 +546,6 @@ export default function Game({ playerName, isMultiplayer = false, onGameEnd }) {
         removeFlagReturnedListener();
         removeFlagScoredListener();
         removeGameStartListener();
-        removeGameOverListener();
         removePlayersUpdateListener();
 
         // Clear ping interval if set
@@ -514,13 +555,14 @@ export default function Game({ playerName, isMultiplayer = false, onGameEnd }) {
 
         // Remove direct socket event listeners
         if (socketInstance) {
-          socketInstance.off("message");
-          socketInstance.off("joinSuccess");
+          // socket.js keeps the party chat - only remove ours
+          socketInstance.off("message", handleChatMessage);
+          // socket.js listens for joinSuccess too - only remove ours
+          socketInstance.off("joinSuccess", handleJoinSuccess);
           socketInstance.off("paintball");
           socketInstance.off("flagCaptured");
           socketInstance.off("flagScored");
           socketInstance.off("flagReturned");
-          socketInstance.off("gameOver");
         }
       };
     } else {
@@ -531,8 +573,9 @@ export default function Game({ playerName, isMultiplayer = false, onGameEnd }) {
       // Set up single player mode with the mock socket
       setSocket(mockSocket);
 
-      // Random team assignment
-      const singlePlayerAssignedTeam = Math.random() < 0.5 ? "Red" : "Blue";
+      // The lobby's pick, or a random team
+      const singlePlayerAssignedTeam =
+        preferredTeam || (Math.random() < 0.5 ? "Red" : "Blue");
       setPlayerTeam(singlePlayerAssignedTeam);
       setGameStats((prev) => ({
         ...prev,
@@ -544,12 +587,80 @@ export default function Game({ playerName, isMultiplayer = false, onGameEnd }) {
         setMessages((prev) => [...prev, message]);
       });
 
+      // Bots' paintballs, relayed like the real server's - they keep their
+      // shooter so a hit on us can be reported
+      mockSocket.on("paintball", (data) => {
+        setPaintballs((prev) => [
+          ...prev,
+          {
+            id: data.id,
+            position: data.origin,
+            direction: data.direction,
+            color: data.color,
+            shooterId: data.shooterId,
+            isRemote: true,
+          },
+        ]);
+      });
+
+      // The mock server owns the flags like the real one - bots take,
+      // score and drop them too
+      const setFlagCarrier = (team, carrier) =>
+        setFlagState((prev) => ({
+          ...prev,
+          [`${team}FlagCaptured`]: Boolean(carrier),
+          [`${team}FlagCarrier`]: carrier,
+        }));
+      const handleFlagHome = (data) => {
+        setFlagCarrier(data.team, null);
+        // Our run is over if it was our flag (we scored or were eliminated)
+        setPlayerFlagState((prev) =>
+          prev.carryingFlagTeam?.toLowerCase() === data.team
+            ? { ...prev, isCarryingFlag: false, carryingFlagTeam: null }
+            : prev
+        );
+      };
+      const removeFlagListeners = [
+        addEventListener(EVENTS.FLAG_CAPTURED, (data) =>
+          setFlagCarrier(data.team, data.carrier)
+        ),
+        addEventListener(EVENTS.FLAG_RETURNED, handleFlagHome),
+        addEventListener(EVENTS.FLAG_SCORED, handleFlagHome),
+      ];
+
+      // The mock server relays bot moves like the real server's players
+      const removePlayersUpdateListener = addEventListener(
+        EVENTS.PLAYERS_UPDATE,
+        (playersData) => {
+          if (playersData && typeof playersData === "object") {
+            setPlayers(playersData);
+          }
+        }
+      );
+
+      // Join the mock server so it starts the match clock
+      mockSocket.emit("join", {
+        name: playerName,
+        team: singlePlayerAssignedTeam,
+      });
+
+      // Opponents (and teammates) - the player makes up the numbers on
+      // their own team
+      initializeBots(BOTS_PER_TEAM * 2 - 1, {
+        playerTeam: singlePlayerAssignedTeam,
+        skill: BOT_SKILL,
+      });
+
       // Clean up
       return () => {
         // No need to disconnect the mock socket
+        removePlayersUpdateListener();
+        removeFlagListeners.forEach((removeListener) => removeListener());
+        mockSocket.off("paintball");
+        stopBots();
       };
     }
-  }, [playerName, onGameEnd, isMultiplayer]);
+  }, [playerName, onGameEnd, isMultiplayer, preferredTeam]);
 
   // Add state for tracking the ping interval
   const [pingIntervalRef] = useState({ current: null });
@@ -566,8 +677,8 @@ export default function Game({ playerName, isMultiplayer = false, onGameEnd }) {
       return [];
     }
 
-    // Get the local player ID
-    const localPlayerId = socket.id;
+    // Get the local player ID (stable across resumed sessions)
+    const localPlayerId = getPlayerId();
 
     if (!localPlayerId) {
       console.warn(
@@ -655,6 +766,7 @@ export default function Game({ playerName, isMultiplayer = false, onGameEnd }) {
             }
             isEliminated={player.is_eliminated || false}
             isCrouching={player.isCrouching || false}
+            isDisconnected={player.disconnected || false}
           />
         );
       });
@@ -665,6 +777,12 @@ export default function Game({ playerName, isMultiplayer = false, onGameEnd }) {
   }, [getRemotePlayers, flagState, performanceLevel]);
 
   const sendMessage = (text) => {
+    // "/p ..." goes to our party only
+    if (isMultiplayer && getParty() && text.startsWith("/p ")) {
+      sendPartyMessage(text.substring(3));
+      return;
+    }
+
     if (socket && text.trim()) {
       socket.emit("message", {
         text,
@@ -677,6 +795,9 @@ export default function Game({ playerName, isMultiplayer = false, onGameEnd }) {
     if (socket && isMultiplayer) {
       // Use the optimized position update function (includes crouch state etc.)
       sendPositionUpdate(position, rotation, extra);
+    } else if (socket) {
+      // The mock server tells the bots where we are
+      socket.emit("updatePosition", { position, rotation });
     }
   };
 
@@ -731,7 +852,7 @@ export default function Game({ playerName, isMultiplayer = false, onGameEnd }) {
       position,
       direction,
       color: paintballColor, // Use team color
-      shooterId: socket?.id || null, // Track who fired this paintball
+      shooterId: getPlayerId(), // Track who fired this paintball
     };
 
     // Add the new paintball to the state
@@ -744,6 +865,9 @@ export default function Game({ playerName, isMultiplayer = false, onGameEnd }) {
         direction,
         color: newPaintball.color,
         id: paintballId,
+        // The server time our view of remote players shows, so the server
+        // can rewind hitboxes to what we were aiming at
+        viewTime: getRenderTime(),
       });
     }
   };
@@ -816,14 +940,31 @@ export default function Game({ playerName, isMultiplayer = false, onGameEnd }) {
   }, []);
 
   const handlePaintballHit = (id, hitInfo) => {
+    // --- A bot's paintball hit us (single player; the server decides these
+    // in multiplayer) - the mock server applies the damage ---
+    if (hitInfo && hitInfo.hitLocalPlayer) {
+      const localPlayerId = getPlayerId();
+      if (!isMultiplayer && socket && hitInfo.shooterId !== localPlayerId) {
+        socket.emit("hit", {
+          target: localPlayerId,
+          shooter: hitInfo.shooterId,
+          paintballId: id,
+        });
+      }
+      setPaintballs((prev) => prev.filter((p) => p.id !== id));
+      return;
+    }
+
     // --- If this paintball hit a player, emit 'hit' to server ---
     if (hitInfo && hitInfo.hitPlayerId && hitInfo.shooterId && socket) {
       console.log(
         `Paintball hit player ${hitInfo.hitPlayerId} by ${hitInfo.shooterId}`
       );
+      // Only a hint - the server replays this paintball to confirm the hit
       socket.emit("hit", {
         target: hitInfo.hitPlayerId,
         shooter: hitInfo.shooterId,
+        paintballId: id,
       });
       // Remove the paintball (no splat on player hits)
       setPaintballs((prev) => prev.filter((p) => p.id !== id));
@@ -1074,12 +1215,38 @@ export default function Game({ playerName, isMultiplayer = false, onGameEnd }) {
           },
           true
         );
+        clearPendingInputs();
       }
     }
   }, [playerTeam, isGameReady]);
 
+  // Snap to the server's position when it rejects our predicted movement
+  useEffect(() => {
+    const removeCorrectionListener = addEventListener(
+      EVENTS.POSITION_CORRECTION,
+      (data) => {
+        if (!playerRef.current?.setTranslation) return;
+
+        console.log("Server corrected our position:", data.position);
+        playerRef.current.setTranslation(
+          { x: data.position[0], y: data.position[1], z: data.position[2] },
+          true
+        );
+      }
+    );
+
+    return () => removeCorrectionListener();
+  }, []);
+
   // Add function to handle flag capture
   const handleFlagCapture = (capturedFlagTeam) => {
+    // Someone else (a bot, in single player) already has it
+    const isTaken =
+      capturedFlagTeam === "Red"
+        ? flagState.redFlagCaptured
+        : flagState.blueFlagCaptured;
+    if (isTaken) return;
+
     console.log(`Player has captured the ${capturedFlagTeam} flag!`);
 
     // Set local state
@@ -1108,8 +1275,9 @@ export default function Game({ playerName, isMultiplayer = false, onGameEnd }) {
       return prev;
     });
 
-    // Send to server in multiplayer mode
-    if (socket && isMultiplayer) {
+    // Send to the server (or the mock server, which bots share the flags
+    // with in single player)
+    if (socket) {
       socket.emit("captureFlag", {
         team: capturedFlagTeam.toLowerCase(),
       });
@@ -1127,32 +1295,15 @@ export default function Game({ playerName, isMultiplayer = false, onGameEnd }) {
       carryingFlagTeam: null,
     }));
 
-    // In multiplayer, the server will handle this and send updates
-    if (socket && isMultiplayer) {
+    // The server (or mock server in single player) owns the score and
+    // reports it back through matchState
+    if (socket) {
       socket.emit("scoreFlag", {
         team: returnedFlagTeam.toLowerCase(),
       });
-    } else {
-      // In single player, we update the score locally
-      setGameStats((prev) => {
-        // Only increment score if player's team matches their base
-        const newRedScore =
-          playerTeam === "Red" && returnedFlagTeam === "Blue"
-            ? prev.redScore + 1
-            : prev.redScore;
-
-        const newBlueScore =
-          playerTeam === "Blue" && returnedFlagTeam === "Red"
-            ? prev.blueScore + 1
-            : prev.blueScore;
-
-        return {
-          ...prev,
-          redScore: newRedScore,
-          blueScore: newBlueScore,
-        };
-      });
+    }
 
+    if (!isMultiplayer) {
       // Reset flag state
       setFlagState((prev) => {
         if (returnedFlagTeam === "Red") {
@@ -1173,9 +1324,70 @@ export default function Game({ playerName, isMultiplayer = false, onGameEnd }) {
     }
   };
 
-  // --- Additional multiplayer event listeners (health, respawn, kill feed, stats) ---
+  // --- Match lifecycle (both modes: real server or mock socket) ---
+  useEffect(() => {
+    const removeMatchStateListener = addEventListener(
+      EVENTS.MATCH_STATE,
+      (data) => {
+        // A new match number means the old tallies no longer apply
+        if (data.matchNumber !== lastMatchNumberRef.current) {
+          lastMatchNumberRef.current = data.matchNumber;
+          matchStats.reset();
+        }
+
+        // The HUD clock counts down to the phase deadline on the server clock
+        setMatchState({
+          ...data,
+          endsAt: data.phaseEndsAt,
+        });
+        setGameStats((prev) => ({
+          ...prev,
+          redScore: data.redScore,
+          blueScore: data.blueScore,
+        }));
+      }
+    );
+
+    // Tally per-player stats for the post-match scoreboard
+    const removeKillTallyListener = addEventListener(
+      EVENTS.PLAYER_KILLED,
+      (data) => matchStats.recordKill(data.killer, data.victim)
+    );
+    const removeScoreTallyListener = addEventListener(
+      EVENTS.FLAG_SCORED,
+      (data) => matchStats.recordCapture(data.scorer)
+    );
+    const removeReturnTallyListener = addEventListener(
+      EVENTS.FLAG_RETURNED,
+      (data) => matchStats.recordReturn(data.returnedBy)
+    );
+    const removeStatsTallyListener = addEventListener(
+      EVENTS.STATS_UPDATE,
+      (data) => matchStats.recordPlayerStats(playerName, playerTeam, data)
+    );
+
+    const removeGameOverListener = addEventListener(EVENTS.GAME_END, (data) => {
+      console.log("Game is over!", data);
+      onGameEnd({
+        ...data,
+        players: matchStats.getScoreboard(data.players),
+      });
+    });
+
+    return () => {
+      removeMatchStateListener();
+      removeKillTallyListener();
+      removeScoreTallyListener();
+      removeReturnTallyListener();
+      removeStatsTallyListener();
+      removeGameOverListener();
+    };
+  }, [onGameEnd, matchStats, playerName, playerTeam]);
+
+  // --- Additional event listeners (health, respawn, kill feed, stats) ---
+  // Both modes: the mock socket sends the same events in single player
   useEffect(() => {
-    if (!isMultiplayer || !socket) return;
+    if (!socket) return;
 
     const cleanupFunctions = [];
 
@@ -1225,23 +1437,30 @@ export default function Game({ playerName, isMultiplayer = false, onGameEnd }) {
     const handleStartRespawn = (data) => {
       console.log("Received start respawn timer:", data);
       setIsRespawning(true);
-      setRespawnCountdown(data.duration);
       setGameStats((prev) => ({ ...prev, health: 0 }));
 
       if (respawnIntervalRef.current) {
         clearInterval(respawnIntervalRef.current);
       }
 
-      respawnIntervalRef.current = setInterval(() => {
-        setRespawnCountdown((prev) => {
-          if (prev <= 1) {
-            clearInterval(respawnIntervalRef.current);
-            respawnIntervalRef.current = null;
-            return 0;
-          }
-          return prev - 1;
-        });
-      }, 1000);
+      // Count down to the server's respawn time when it gives us one
+      const respawnAt =
+        typeof data.respawnAt === "number"
+          ? data.respawnAt
+          : getServerTime() + data.duration * 1000;
+      const updateCountdown = () => {
+        const secondsLeft = Math.max(
+          0,
+          Math.ceil((respawnAt - getServerTime()) / 1000)
+        );
+        setRespawnCountdown(secondsLeft);
+        if (secondsLeft === 0 && respawnIntervalRef.current) {
+          clearInterval(respawnIntervalRef.current);
+          respawnIntervalRef.current = null;
+        }
+      };
+      updateCountdown();
+      respawnIntervalRef.current = setInterval(updateCountdown, 250);
     };
     socket.on("startRespawnTimer", handleStartRespawn);
     cleanupFunctions.push(() =>
@@ -1273,6 +1492,8 @@ export default function Game({ playerName, isMultiplayer = false, onGameEnd }) {
           { x: data.position[0], y: data.position[1], z: data.position[2] },
           true
         );
+        // Inputs from before the teleport no longer apply
+        clearPendingInputs();
       }
     };
     socket.on("playerRespawned", handlePlayerRespawned);
@@ -1305,7 +1526,7 @@ export default function Game({ playerName, isMultiplayer = false, onGameEnd }) {
         return newFeed;
       });
 
-      const localPlayerId = getSocket()?.id;
+      const localPlayerId = getPlayerId();
       if (localPlayerId && data.victim?.id === localPlayerId) {
         setLastKiller(killerName);
       }
@@ -1327,8 +1548,53 @@ export default function Game({ playerName, isMultiplayer = false, onGameEnd }) {
       socket.off("statsUpdate", handleStatsUpdate)
     );
 
+    // --- Team changes: our own switch, or the server evening the teams ---
+    const handleTeamChanged = (data) => {
+      console.log("Team changed:", data);
+      // The team effect above moves us to the new base
+      setPlayerTeam(data.team);
+      setGameStats((prev) => ({
+        ...prev,
+        team: data.team,
+        ...(typeof data.health === "number" && { health: data.health }),
+      }));
+      setMessages((prev) => [
+        ...prev,
+        { sender: "Server", text: data.message, timestamp: Date.now() },
+      ]);
+    };
+    socket.on("teamChanged", handleTeamChanged);
+    cleanupFunctions.push(() =>
+      socket.off("teamChanged", handleTeamChanged)
+    );
+
+    const handleTeamSwitchDenied = (data) => {
+      setMessages((prev) => [
+        ...prev,
+        { sender: "Server", text: data.message, timestamp: Date.now() },
+      ]);
+    };
+    socket.on("teamSwitchDenied", handleTeamSwitchDenied);
+    cleanupFunctions.push(() =>
+      socket.off("teamSwitchDenied", handleTeamSwitchDenied)
+    );
+
+    // M asks to switch teams (the server refuses if it would unbalance them)
+    const handleSwitchTeamKey = (e) => {
+      if (e.code !== "KeyM" || e.repeat || e.target.tagName === "INPUT") {
+        return;
+      }
+      socket.emit("switchTeam", {});
+    };
+    if (isMultiplayer) {
+      window.addEventListener("keydown", handleSwitchTeamKey);
+      cleanupFunctions.push(() =>
+        window.removeEventListener("keydown", handleSwitchTeamKey)
+      );
+    }
+
     return () => {
-      console.log("Cleaning up additional multiplayer listeners...");
+      console.log("Cleaning up additional event listeners...");
       cleanupFunctions.forEach((cleanup) => cleanup());
       if (respawnIntervalRef.current) {
         clearInterval(respawnIntervalRef.current);
@@ -1415,7 +1681,13 @@ export default function Game({ playerName, isMultiplayer = false, onGameEnd }) {
         }}
       >
         <Physics gravity={[0, -9.81, 0]} interpolate={false} timeStep={1 / 60}>
-          {process.env.NODE_ENV === "development" && <PhysicsDebug />}
+          {process.env.NODE_ENV === "development" && (
+            <PhysicsDebug
+              showNavigation={SHOW_NAVIGATION_DEBUG && !isMultiplayer}
+            />
+          )}
+          {!isMultiplayer && <NavGraphBuilder onBuild={setNavGraph} />}
+          {!isMultiplayer && <BotSight />}
 
           {isGameReady && !isRespawning && <PointerLockControls />}
 
@@ -1506,6 +1778,10 @@ export default function Game({ playerName, isMultiplayer = false, onGameEnd }) {
               direction={paintball.direction}
               color={paintball.color}
               shooterId={paintball.shooterId || null}
+              canHitLocalPlayer={
+                Boolean(paintball.shooterId) &&
+                paintball.shooterId !== getPlayerId()
+              }
               onHit={(id, hitInfo) => handlePaintballHit(id, hitInfo)}
             />
           ))}
@@ -1528,6 +1804,7 @@ export default function Game({ playerName, isMultiplayer = false, onGameEnd }) {
           showPerformance={process.env.NODE_ENV === "development"}
           isRespawning={isRespawning}
           respawnCountdown={respawnCountdown}
+          matchState={matchState}
         />
       )}
 
@@ -1622,6 +1899,74 @@ export default function Game({ playerName, isMultiplayer = false, onGameEnd }) {
               Test Shoot
             </button>
           </div>
+
+          <div className={styles.debugControls}>
+            <h4>Network Conditions</h4>
+            <select
+              value={networkConditions.preset}
+              onChange={(e) => {
+                applyNetworkPreset(e.target.value);
+                setNetworkConditionsState(getNetworkConditions());
+              }}
+            >
+              {Object.keys(NETWORK_PRESETS).map((name) => (
+                <option key={name} value={name}>
+                  {name}
+                </option>
+              ))}
+              {networkConditions.preset === "custom" && (
+                <option value="custom">custom</option>
+              )}
+            </select>
+            <select
+              value={networkEvent}
+              onChange={(e) => setNetworkEvent(e.target.value)}
+            >
+              <option value="">all events</option>
+              {SIMULATED_EVENTS.map((event) => (
+                <option key={event} value={event}>
+                  {event}
+                  {networkConditions.events[event] ? " *" : ""}
+                </option>
+              ))}
+            </select>
+            {Object.keys(NO_CONDITIONS).map((key) => {
+              const current = networkEvent
+                ? getEventConditions(networkEvent)
+                : networkConditions.conditions;
+              const isRate = key !== "latency" && key !== "jitter";
+
+              return (
+                <label key={key} className={styles.networkControl}>
+                  {isRate ? `${key} %` : `${key} ms`}
+                  <input
+                    type="number"
+                    min={0}
+                    max={isRate ? 100 : 2000}
+                    value={isRate ? current[key] * 100 : current[key]}
+                    onChange={(e) => {
+                      const value = Math.max(0, Number(e.target.value) || 0);
+                      setNetworkConditions(
+                        { [key]: isRate ? Math.min(value, 100) / 100 : value },
+                        networkEvent || null
+                      );
+                      setNetworkConditionsState(getNetworkConditions());
+                    }}
+                  />
+                </label>
+              );
+            })}
+            {networkEvent && networkConditions.events[networkEvent] && (
+              <button
+                onClick={() => {
+                  clearEventConditions(networkEvent);
+                  setNetworkConditionsState(getNetworkConditions());
+                }}
+              >
+                Clear {networkEvent} override
+              </button>
+            )}
+          </div>
         </div>
       )}
     </div>
@@ -1,7 +1,15 @@
 import React, { memo, useMemo, useState, useEffect } from "react";
 import styles from "../styles/HUD.module.css";
-import { getServerStatus } from "../lib/socket";
+import {
+  getServerStatus,
+  getRoomState,
+  getRoomLink,
+  isRoomHost,
+  startMatch,
+} from "../lib/socket";
+import { EVENTS, addEventListener } from "../lib/events";
 import { getFPS, getPerformanceLevel } from "../lib/performance";
+import { getServerTime, getNetworkTiming } from "../lib/networkTiming";
 
 // Memoize the health display to prevent re-renders when other states change
 const HealthDisplay = memo(({ health }) => {
@@ -191,6 +199,105 @@ const FlagStatusDisplay = memo(({ team, isCarryingFlag, carryingFlagTeam }) => {
   );
 });
 
+// Labels shown above the match clock for each phase
+const MATCH_PHASE_LABELS = {
+  warmup: "WARMUP",
+  live: "",
+  overtime: "OVERTIME",
+  postMatch: "MATCH OVER",
+};
+
+// Match clock - ticks towards the deadline the server gave us, on its clock
+const MatchTimerDisplay = memo(({ phase, endsAt, waitingLabel }) => {
+  const [now, setNow] = useState(() => getServerTime());
+
+  useEffect(() => {
+    if (endsAt === null) return;
+
+    const timerInterval = setInterval(() => {
+      setNow(getServerTime());
+    }, 250);
+
+    return () => clearInterval(timerInterval);
+  }, [endsAt]);
+
+  const secondsLeft =
+    endsAt === null ? null : Math.max(0, Math.ceil((endsAt - now) / 1000));
+
+  const label = MATCH_PHASE_LABELS[phase] || "";
+  const isUrgent = phase !== "warmup" && secondsLeft !== null && secondsLeft <= 30;
+
+  return (
+    <div className={styles.matchTimer}>
+      {label && <div className={styles.matchPhase}>{label}</div>}
+      <div
+        className={`${styles.matchClock} ${isUrgent ? styles.matchClockUrgent : ""}`}
+      >
+        {secondsLeft === null
+          ? waitingLabel
+          : `${Math.floor(secondsLeft / 60)}:${String(secondsLeft % 60).padStart(2, "0")}`}
+      </div>
+    </div>
+  );
+});
+
+// Private room: its code, an invite link, and the host's start button
+const RoomPanel = memo(({ room, isWaiting }) => {
+  const [copied, setCopied] = useState(false);
+  const isHost = isRoomHost();
+
+  const copyInviteLink = () => {
+    navigator.clipboard?.writeText(getRoomLink()).then(() => {
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    });
+  };
+
+  return (
+    <div className={styles.roomPanel}>
+      <div>
+        ROOM <strong>{room.code}</strong>
+        {room.hostName && ` · Host: ${isHost ? "you" : room.hostName}`}
+      </div>
+      <button className={styles.roomButton} onClick={copyInviteLink}>
+        {copied ? "Link copied" : "Copy invite link"}
+      </button>
+      {isWaiting && isHost && (
+        <button className={styles.roomButton} onClick={startMatch}>
+          Start match
+        </button>
+      )}
+      {isWaiting && !isHost && room.hostName && (
+        <div>Waiting for {room.hostName} to start the match</div>
+      )}
+    </div>
+  );
+});
+
+// Round-trip time to the server, hidden until the first measurement
+const PingDisplay = memo(() => {
+  const [timing, setTiming] = useState(() => getNetworkTiming());
+
+  useEffect(() => {
+    const pingInterval = setInterval(() => {
+      setTiming(getNetworkTiming());
+    }, 1000);
+
+    return () => clearInterval(pingInterval);
+  }, []);
+
+  if (!timing.synced) return null;
+
+  const quality =
+    timing.rtt < 80
+      ? styles.pingGood
+      : timing.rtt < 160
+        ? styles.pingFair
+        : styles.pingPoor;
+
+  return <div className={`${styles.ping} ${quality}`}>{timing.rtt} ms</div>;
+});
+
 // Main HUD component with React.memo
 const HUD = memo(
   ({
@@ -210,11 +317,13 @@ const HUD = memo(
     showPerformance = false,
     isRespawning = false,
     respawnCountdown = 0,
+    matchState = null,
   }) => {
     const [isChatting, setIsChatting] = useState(false);
     const [serverStatus, setServerStatus] = useState(getServerStatus());
     const [fps, setFps] = useState(60);
     const [showExtendedStats, setShowExtendedStats] = useState(false);
+    const [room, setRoom] = useState(getRoomState());
 
     // Update FPS meter
     useEffect(() => {
@@ -227,6 +336,9 @@ const HUD = memo(
       return () => clearInterval(fpsInterval);
     }, [showPerformance]);
 
+    // Track the private room we're in (host changes hands as players leave)
+    useEffect(() => addEventListener(EVENTS.ROOM_UPDATE, setRoom), []);
+
     // Update server status
     useEffect(() => {
       const serverStatusInterval = setInterval(() => {
@@ -282,6 +394,19 @@ const HUD = memo(
 
         <div className={styles.crosshair}>+</div>
 
+        {/* Match phase and countdown */}
+        {matchState && (
+          <MatchTimerDisplay
+            phase={matchState.phase}
+            endsAt={matchState.endsAt}
+            waitingLabel={room ? "WAITING FOR HOST" : "WAITING FOR PLAYERS"}
+          />
+        )}
+
+        {room && (
+          <RoomPanel room={room} isWaiting={matchState?.endsAt === null} />
+        )}
+
         <div className={styles.bottomLeft}>
           <div className={styles.health}>
             <HealthDisplay health={stats.health} />
@@ -313,6 +438,8 @@ const HUD = memo(
             K: {stats.kills || 0} / D: {stats.deaths || 0}
           </div>
 
+          <PingDisplay />
+
           {/* Performance display */}
           {showPerformance && performanceInfo && (
             <PerformanceDisplay
@@ -415,5 +542,8 @@ ReplenishWheel.displayName = "ReplenishWheel";
 PerformanceDisplay.displayName = "PerformanceDisplay";
 TeamDisplay.displayName = "TeamDisplay";
 FlagStatusDisplay.displayName = "FlagStatusDisplay";
+MatchTimerDisplay.displayName = "MatchTimerDisplay";
+RoomPanel.displayName = "RoomPanel";
+PingDisplay.displayName = "PingDisplay";
 
 export default HUD;
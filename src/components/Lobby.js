@@ -1,4 +1,4 @@
-import { useState, useEffect, useCallback } from "react";
+import { useState, useEffect, useCallback, useRef } from "react";
 import styles from "../styles/Lobby.module.css";
 import {
   getServerStatus,
@@ -7,28 +7,111 @@ import {
   getConnectionState,
   isServerOnline,
   getSocket,
+  getServerInfo,
+  getProtocolMismatch,
+  getServerUrl,
+  createRoom,
+  getParty,
 } from "../lib/socket";
-import { IS_MULTIPLAYER, SERVER_URL } from "../lib/config";
+import {
+  refreshServers,
+  getServers,
+  isServerFresh,
+  pickBestServer,
+} from "../lib/serverBrowser";
+import {
+  IS_MULTIPLAYER,
+  AUTO_CONNECT_TO_BEST_SERVER,
+  SERVER_STATUS_REFRESH_RATE,
+  MAX_PLAYERS_PER_TEAM,
+  ROUND_TIME,
+  WIN_SCORE,
+  ROOM_RULE_LIMITS,
+} from "../lib/config";
 import { EVENTS, addEventListener } from "../lib/events";
-
-export default function Lobby({ onJoinGame }) {
+import Party from "./Party";
+
+const MODE_LABELS = { ctf: "CTF" };
+const TEAM_CHOICES = [
+  { label: "Auto", team: null, color: "#4a5" },
+  { label: "Red", team: "Red", color: "#ff4444" },
+  { label: "Blue", team: "Blue", color: "#4488ff" },
+];
+const NAME_STORAGE_KEY = "paintblast:name";
+
+// Remember the callsign so room invite links can skip the name prompt
+const readSavedName = () => {
+  try {
+    return window.localStorage.getItem(NAME_STORAGE_KEY) || "";
+  } catch {
+    return "";
+  }
+};
+
+const saveName = (name) => {
+  try {
+    window.localStorage.setItem(NAME_STORAGE_KEY, name);
+  } catch {
+    // Private browsing - the next invite link just picks a name
+  }
+};
+
+/**
+ * @param {Object} props
+ * @param {Function} props.onJoinGame Called with (name, multiplayer,
+ *   { room, team })
+ * @param {string} props.roomCode Private room code to fill in
+ * @param {string} props.roomServer Server that room is on, if not ours
+ * @param {boolean} props.autoJoinRoom Join roomCode right away (invite link)
+ * @param {string} props.roomError Why the last room join failed
+ */
+export default function Lobby({
+  onJoinGame,
+  roomCode = null,
+  roomServer = null,
+  autoJoinRoom = false,
+  roomError = "",
+}) {
   const [name, setName] = useState("");
-  const [error, setError] = useState("");
+  const [team, setTeam] = useState(null); // null lets the server pick
+  const [error, setError] = useState(
+    roomError || getProtocolMismatch()?.message || ""
+  );
   const [serverStats, setServerStats] = useState(getServerStatus());
   const [isConnecting, setIsConnecting] = useState(false);
   const [multiplayerEnabled, setMultiplayerEnabled] = useState(IS_MULTIPLAYER);
   const [connectionState, setConnectionState] = useState(getConnectionState());
   const [isServerUp, setIsServerUp] = useState(isServerOnline());
   const [connectionAttempts, setConnectionAttempts] = useState(0);
-
-  // Memoized function to connect to server
-  const connectToServer = useCallback(() => {
+  const [serverInfo, setServerInfo] = useState(getServerInfo());
+  const [servers, setServers] = useState(getServers());
+  const [selectedUrl, setSelectedUrl] = useState(getServerUrl());
+  // Once the player picks a server themselves, auto-select leaves it alone
+  const manualPick = useRef(false);
+  const [roomPanel, setRoomPanel] = useState(roomCode ? "join" : null); // null, "join" or "create"
+  const [joinCode, setJoinCode] = useState(roomCode || "");
+  const [roomPassword, setRoomPassword] = useState("");
+  const [roomRules, setRoomRules] = useState({
+    maxPlayersPerTeam: Math.min(
+      MAX_PLAYERS_PER_TEAM,
+      ROOM_RULE_LIMITS.maxPlayersPerTeam.max
+    ),
+    roundMinutes: ROUND_TIME / 60,
+    winScore: WIN_SCORE,
+  });
+  const [isCreatingRoom, setIsCreatingRoom] = useState(false);
+  const autoJoined = useRef(false);
+  const partyStatus = useRef(getParty()?.status);
+
+  // Memoized function to connect to server (the last one picked by default)
+  const connectToServer = useCallback((url = null) => {
     setIsConnecting(true);
     setError("");
 
     try {
-      // Connect to the socket server
-      const socket = connectSocket({ multiplayer: true });
+      // Connect to the socket server (the main game, not a private room)
+      const socket = connectSocket({ multiplayer: true, url, room: null });
+      setSelectedUrl(getServerUrl());
 
       if (socket) {
         // Request server status immediately
@@ -53,9 +136,47 @@ export default function Lobby({ onJoinGame }) {
     }
   }, []);
 
+  // Arriving through a room invite link: straight into the room, under the
+  // name we played as last time
+  useEffect(() => {
+    if (!autoJoinRoom || autoJoined.current) return;
+    autoJoined.current = true;
+
+    const savedName =
+      readSavedName() || `Player${Math.floor(1000 + Math.random() * 9000)}`;
+    onJoinGame(savedName, true, { room: { code: roomCode, url: roomServer } });
+  }, [autoJoinRoom, roomCode, roomServer, onJoinGame]);
+
+  // When the party leader takes the party in, everyone follows - into the
+  // game, or into the queue if the party has to wait for room
+  useEffect(() => {
+    const removePartyListener = addEventListener(
+      EVENTS.PARTY_UPDATE,
+      (data) => {
+        const wasForming = partyStatus.current === "forming";
+        partyStatus.current = data?.status;
+        if (!wasForming || !data || data.status === "forming") return;
+
+        const self = data.members.find(
+          (member) => member.id === getSocket()?.id
+        );
+        if (self) onJoinGame(self.name, true);
+      }
+    );
+
+    return removePartyListener;
+  }, [onJoinGame]);
+
   // Initialize socket connection on component mount
   useEffect(() => {
-    if (multiplayerEnabled) {
+    if (autoJoinRoom) return;
+
+    if (multiplayerEnabled && AUTO_CONNECT_TO_BEST_SERVER) {
+      refreshServers().then((list) => {
+        const best = pickBestServer(list);
+        connectToServer(best ? best.url : null);
+      });
+    } else if (multiplayerEnabled) {
       connectToServer();
     }
 
@@ -63,7 +184,7 @@ export default function Lobby({ onJoinGame }) {
     return () => {
       // Component cleanup can go here if needed
     };
-  }, [multiplayerEnabled, connectToServer]);
+  }, [multiplayerEnabled, connectToServer, autoJoinRoom]);
 
   // Listen for server status updates and connection state changes
   useEffect(() => {
@@ -74,6 +195,16 @@ export default function Lobby({ onJoinGame }) {
         setServerStats(data);
         setIsServerUp(true);
         setIsConnecting(false);
+        setServerInfo(getServerInfo());
+      }
+    );
+
+    // Handle errors we can't retry our way out of (e.g. an outdated client)
+    const removeConnectionErrorListener = addEventListener(
+      EVENTS.CONNECTION_ERROR,
+      (data) => {
+        setError(data.message);
+        setIsConnecting(false);
       }
     );
 
@@ -123,11 +254,52 @@ export default function Lobby({ onJoinGame }) {
 
     return () => {
       removeStatusListener();
+      removeConnectionErrorListener();
       removeConnectionListener();
       removeServerStatusChangeListener();
     };
   }, [multiplayerEnabled, connectionState]);
 
+  // Keep the server list fresh, and move to another server if ours stops
+  // answering
+  useEffect(() => {
+    if (!multiplayerEnabled) return;
+
+    const removeServerListListener = addEventListener(
+      EVENTS.SERVER_LIST_UPDATE,
+      (list) => {
+        setServers(list);
+        if (!AUTO_CONNECT_TO_BEST_SERVER || manualPick.current) return;
+
+        const currentUrl = getServerUrl();
+        const current = list.find((server) => server.url === currentUrl);
+        if (isServerOnline() || isServerFresh(current)) return;
+
+        const fallback = pickBestServer(list, [currentUrl]);
+        if (fallback) {
+          console.log(
+            `🔀 ${currentUrl} went quiet, switching to ${fallback.url}`
+          );
+          connectToServer(fallback.url);
+        }
+      }
+    );
+
+    refreshServers();
+    const refreshTimer = setInterval(refreshServers, SERVER_STATUS_REFRESH_RATE);
+
+    return () => {
+      removeServerListListener();
+      clearInterval(refreshTimer);
+    };
+  }, [multiplayerEnabled, connectToServer]);
+
+  const handlePickServer = (url) => {
+    if (url === selectedUrl && isServerUp) return;
+    manualPick.current = true;
+    connectToServer(url);
+  };
+
   // Effect to retry connection when it fails
   useEffect(() => {
     if (
@@ -146,12 +318,14 @@ export default function Lobby({ onJoinGame }) {
     }
   }, [connectionAttempts, multiplayerEnabled, isServerUp, connectToServer]);
 
-  const handleSubmit = (e) => {
-    e.preventDefault();
-
+  /**
+   * Check the name and the connection before joining anything
+   * @returns {string|null} Name to play as, or null (error shown)
+   */
+  const validateJoin = () => {
     if (!name.trim()) {
       setError("Please enter a name");
-      return;
+      return null;
     }
 
     // Check connection status before proceeding
@@ -159,16 +333,82 @@ export default function Lobby({ onJoinGame }) {
       setError(
         "Server is currently offline. Try single-player mode or wait for server to come back online."
       );
-      return;
+      return null;
     }
 
     // Limit name length
     const trimmedName = name.trim().substring(0, 16);
+    saveName(trimmedName);
+    return trimmedName;
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    const trimmedName = validateJoin();
+    if (!trimmedName) return;
+
+    // Join game with name, multiplayer preference and team
+    onJoinGame(trimmedName, multiplayerEnabled, { team });
+  };
+
+  const handleJoinRoom = () => {
+    const code = joinCode.trim().toUpperCase();
+    if (!code) {
+      setError("Enter the room code");
+      return;
+    }
 
-    // Join game with name and multiplayer preference
-    onJoinGame(trimmedName, multiplayerEnabled);
+    const trimmedName = validateJoin();
+    if (!trimmedName) return;
+
+    onJoinGame(trimmedName, true, {
+      room: {
+        code,
+        password: roomPassword,
+        url: code === roomCode ? roomServer : null,
+      },
+      team,
+    });
   };
 
+  const handleCreateRoom = async () => {
+    const trimmedName = validateJoin();
+    if (!trimmedName) return;
+
+    setIsCreatingRoom(true);
+    try {
+      const { code } = await createRoom({
+        name: trimmedName,
+        ...(roomPassword && { password: roomPassword }),
+        rules: {
+          maxPlayersPerTeam: roomRules.maxPlayersPerTeam,
+          roundTime: Math.round(roomRules.roundMinutes * 60),
+          winScore: roomRules.winScore,
+        },
+      });
+      onJoinGame(trimmedName, true, {
+        room: { code, password: roomPassword, url: getServerUrl() },
+        team,
+      });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsCreatingRoom(false);
+    }
+  };
+
+  const updateRoomRule = (rule, value) => {
+    setRoomRules((prev) => ({ ...prev, [rule]: Number(value) }));
+  };
+
+  // Servers from before private rooms (or parties) don't know createRoom
+  // (or createParty)
+  const canCreateRooms = Boolean(
+    serverInfo?.features?.includes("privateRooms")
+  );
+  const canMakeParties = Boolean(serverInfo?.features?.includes("parties"));
+
   const toggleMultiplayer = () => {
     if (isConnecting) return;
 
@@ -199,6 +439,27 @@ export default function Lobby({ onJoinGame }) {
             maxLength={16}
           />
 
+          <div className={styles.teamSelect}>
+            {TEAM_CHOICES.map((choice) => (
+              <button
+                key={choice.label}
+                type="button"
+                className={`${styles.teamChoice} ${
+                  team === choice.team ? styles.selectedTeam : ""
+                }`}
+                style={{ borderColor: choice.color }}
+                onClick={() => setTeam(choice.team)}
+              >
+                {choice.label}
+              </button>
+            ))}
+          </div>
+          {multiplayerEnabled && team && (
+            <p className={styles.teamHint}>
+              If {team} is full or ahead, the server puts you on the other team.
+            </p>
+          )}
+
           {error && <p className={styles.error}>{error}</p>}
 
           <div className={styles.modeToggle}>
@@ -243,8 +504,69 @@ export default function Lobby({ onJoinGame }) {
                       ({serverStats.queueLength} in queue)
                     </span>
                   )}
+                  {serverInfo?.rules?.gameMode === "ctf" && (
+                    <span className={styles.modeInfo}>
+                      Capture the Flag, first to {serverInfo.rules.winScore}
+                    </span>
+                  )}
                 </div>
               )}
+              {servers.length > 0 && (
+                <table className={styles.serverList}>
+                  <thead>
+                    <tr>
+                      <th>Server</th>
+                      <th>Mode</th>
+                      <th>Map</th>
+                      <th>Players</th>
+                      <th>Queue</th>
+                      <th>Ping</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {servers.map((listed) => {
+                      const isSelected = listed.url === selectedUrl;
+                      // Servers without a /status endpoint still report
+                      // over the socket once we're connected
+                      const server =
+                        isSelected && isServerUp
+                          ? { ...listed, ...serverStats }
+                          : listed;
+                      const isUp =
+                        isServerFresh(listed) || (isSelected && isServerUp);
+
+                      return (
+                        <tr
+                          key={listed.url}
+                          className={`${
+                            isSelected ? styles.selectedServer : ""
+                          } ${isUp ? "" : styles.offlineServer}`}
+                          onClick={() => handlePickServer(listed.url)}
+                        >
+                          <td>{server.name}</td>
+                          <td>
+                            {MODE_LABELS[server.mode] || server.mode || "-"}
+                          </td>
+                          <td>{server.map || "-"}</td>
+                          <td>
+                            {server.maxPlayers
+                              ? `${server.currentPlayers}/${server.maxPlayers}`
+                              : "-"}
+                          </td>
+                          <td>{server.queueLength ?? "-"}</td>
+                          <td>
+                            {Number.isFinite(listed.ping)
+                              ? `${listed.ping} ms`
+                              : isUp
+                              ? "-"
+                              : "offline"}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              )}
             </div>
           )}
 
@@ -255,8 +577,125 @@ export default function Lobby({ onJoinGame }) {
           >
             {multiplayerEnabled ? "Join Multiplayer" : "Play Solo"}
           </button>
+
+          {multiplayerEnabled && isServerUp && (
+            <div className={styles.roomPanel}>
+              <div className={styles.roomTabs}>
+                <button
+                  type="button"
+                  className={roomPanel === "join" ? styles.activeTab : ""}
+                  onClick={() =>
+                    setRoomPanel(roomPanel === "join" ? null : "join")
+                  }
+                >
+                  Join private room
+                </button>
+                {canCreateRooms && (
+                  <button
+                    type="button"
+                    className={roomPanel === "create" ? styles.activeTab : ""}
+                    onClick={() =>
+                      setRoomPanel(roomPanel === "create" ? null : "create")
+                    }
+                  >
+                    Create private room
+                  </button>
+                )}
+              </div>
+
+              {roomPanel === "join" && (
+                <div className={styles.roomForm}>
+                  <input
+                    type="text"
+                    placeholder="Room code"
+                    value={joinCode}
+                    onChange={(e) => setJoinCode(e.target.value)}
+                    className={styles.input}
+                    maxLength={16}
+                  />
+                  <input
+                    type="password"
+                    placeholder="Password (if the room has one)"
+                    value={roomPassword}
+                    onChange={(e) => setRoomPassword(e.target.value)}
+                    className={styles.input}
+                    maxLength={32}
+                  />
+                  <button
+                    type="button"
+                    className={styles.button}
+                    onClick={handleJoinRoom}
+                  >
+                    Join Room
+                  </button>
+                </div>
+              )}
+
+              {roomPanel === "create" && (
+                <div className={styles.roomForm}>
+                  <input
+                    type="password"
+                    placeholder="Password (optional)"
+                    value={roomPassword}
+                    onChange={(e) => setRoomPassword(e.target.value)}
+                    className={styles.input}
+                    maxLength={32}
+                  />
+                  <label className={styles.roomRule}>
+                    Players per team
+                    <input
+                      type="number"
+                      min={ROOM_RULE_LIMITS.maxPlayersPerTeam.min}
+                      max={ROOM_RULE_LIMITS.maxPlayersPerTeam.max}
+                      value={roomRules.maxPlayersPerTeam}
+                      onChange={(e) =>
+                        updateRoomRule("maxPlayersPerTeam", e.target.value)
+                      }
+                    />
+                  </label>
+                  <label className={styles.roomRule}>
+                    Round time (minutes)
+                    <input
+                      type="number"
+                      min={ROOM_RULE_LIMITS.roundTime.min / 60}
+                      max={ROOM_RULE_LIMITS.roundTime.max / 60}
+                      value={roomRules.roundMinutes}
+                      onChange={(e) =>
+                        updateRoomRule("roundMinutes", e.target.value)
+                      }
+                    />
+                  </label>
+                  <label className={styles.roomRule}>
+                    Captures to win
+                    <input
+                      type="number"
+                      min={ROOM_RULE_LIMITS.winScore.min}
+                      max={ROOM_RULE_LIMITS.winScore.max}
+                      value={roomRules.winScore}
+                      onChange={(e) =>
+                        updateRoomRule("winScore", e.target.value)
+                      }
+                    />
+                  </label>
+                  <button
+                    type="button"
+                    className={styles.button}
+                    onClick={handleCreateRoom}
+                    disabled={isCreatingRoom}
+                  >
+                    {isCreatingRoom ? "Creating..." : "Create Room"}
+                  </button>
+                </div>
+              )}
+            </div>
+          )}
         </form>
 
+        {/* Outside the form - the party chat is a form of its own */}
+        {multiplayerEnabled && isServerUp && canMakeParties && (
+          <Party getName={validateJoin} />
+        )}
+
         <div className={styles.info}>
           <h3>How to Play</h3>
           <ul>
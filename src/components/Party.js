@@ -0,0 +1,204 @@
+import { useEffect, useState } from "react";
+import styles from "../styles/Party.module.css";
+import {
+  getParty,
+  getPartyMessages,
+  getSocket,
+  isPartyLeader,
+  createParty,
+  joinParty,
+  leaveParty,
+  setPartyReady,
+  queueParty,
+  sendPartyMessage,
+} from "../lib/socket";
+import { EVENTS, addEventListener } from "../lib/events";
+
+const STATUS_LABELS = {
+  forming: "Getting ready",
+  queued: "Queued together",
+  playing: "In the game",
+};
+
+/**
+ * Party roster, controls and chat. In the lobby it also starts and joins
+ * parties; in the queue it only shows who's in and lets them talk.
+ * @param {Object} props
+ * @param {Function} props.getName Returns the name to join a party under,
+ *   or null if there isn't a valid one yet (lobby only)
+ * @param {boolean} props.inQueue Read-only roster for the queue screen
+ */
+export default function Party({ getName = null, inQueue = false }) {
+  const [party, setParty] = useState(getParty());
+  const [messages, setMessages] = useState(getPartyMessages());
+  const [error, setError] = useState("");
+  const [code, setCode] = useState("");
+  const [draft, setDraft] = useState("");
+
+  useEffect(() => {
+    const removeUpdateListener = addEventListener(
+      EVENTS.PARTY_UPDATE,
+      (data) => {
+        setParty(data);
+        setMessages(getPartyMessages());
+        setError("");
+      }
+    );
+    const removeErrorListener = addEventListener(EVENTS.PARTY_ERROR, (data) =>
+      setError(data.message)
+    );
+    const removeMessageListener = addEventListener(EVENTS.PARTY_MESSAGE, () =>
+      setMessages(getPartyMessages())
+    );
+
+    return () => {
+      removeUpdateListener();
+      removeErrorListener();
+      removeMessageListener();
+    };
+  }, []);
+
+  const handleCreate = () => {
+    const name = getName?.();
+    if (name) createParty(name);
+  };
+
+  const handleJoin = () => {
+    if (!code.trim()) {
+      setError("Enter the party code");
+      return;
+    }
+    const name = getName?.();
+    if (name) joinParty(code, name);
+  };
+
+  const handleSend = (e) => {
+    e.preventDefault();
+    if (!draft.trim()) return;
+    sendPartyMessage(draft);
+    setDraft("");
+  };
+
+  if (!party) {
+    if (inQueue) return null;
+
+    return (
+      <div className={styles.party}>
+        <div className={styles.row}>
+          <button
+            type="button"
+            className={styles.button}
+            onClick={handleCreate}
+          >
+            Start a party
+          </button>
+          <input
+            type="text"
+            placeholder="Party code"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            className={styles.input}
+            maxLength={16}
+          />
+          <button type="button" className={styles.button} onClick={handleJoin}>
+            Join
+          </button>
+        </div>
+        {error && <p className={styles.error}>{error}</p>}
+      </div>
+    );
+  }
+
+  const ownId = getSocket()?.id;
+  const isLeader = isPartyLeader();
+  const self = party.members.find((member) => member.id === ownId);
+  // The leader is ready by definition - they decide when to go
+  const isReady = (member) => member.ready || member.id === party.leaderId;
+  const everyoneReady = party.members.every(isReady);
+
+  return (
+    <div className={styles.party}>
+      <div className={styles.header}>
+        <span>
+          Party <strong className={styles.code}>{party.code}</strong>
+        </span>
+        <span className={styles.status}>
+          {party.status === "playing" && party.team
+            ? `Playing on ${party.team}`
+            : STATUS_LABELS[party.status]}
+        </span>
+      </div>
+
+      <ul className={styles.roster}>
+        {party.members.map((member) => (
+          <li key={member.id} className={styles.member}>
+            <span>
+              {member.id === party.leaderId && "★ "}
+              {member.name}
+              {member.id === ownId && " (you)"}
+            </span>
+            <span className={isReady(member) ? styles.ready : styles.notReady}>
+              {isReady(member) ? "Ready" : "Not ready"}
+            </span>
+          </li>
+        ))}
+      </ul>
+
+      {!inQueue && party.status === "forming" && (
+        <div className={styles.row}>
+          {isLeader ? (
+            <button
+              type="button"
+              className={styles.button}
+              onClick={queueParty}
+              disabled={!everyoneReady}
+            >
+              {everyoneReady ? "Play together" : "Waiting for everyone..."}
+            </button>
+          ) : (
+            <button
+              type="button"
+              className={styles.button}
+              onClick={() => setPartyReady(!self?.ready)}
+            >
+              {self?.ready ? "Not ready" : "Ready"}
+            </button>
+          )}
+          <button type="button" className={styles.button} onClick={leaveParty}>
+            Leave
+          </button>
+        </div>
+      )}
+      {!inQueue && party.status === "forming" && isLeader && (
+        <p className={styles.hint}>
+          Share the code - friends join from their lobby.
+        </p>
+      )}
+      {error && <p className={styles.error}>{error}</p>}
+
+      <div className={styles.chat}>
+        <div className={styles.messages}>
+          {messages.map((message, index) => (
+            <div key={index}>
+              <span className={styles.sender}>{message.sender}: </span>
+              {message.text}
+            </div>
+          ))}
+        </div>
+        <form onSubmit={handleSend} className={styles.row}>
+          <input
+            type="text"
+            placeholder="Message your party..."
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            className={styles.input}
+            maxLength={200}
+          />
+          <button type="submit" className={styles.button}>
+            Send
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
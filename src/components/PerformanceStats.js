@@ -7,6 +7,9 @@ import {
   getCurrentSettings,
   getNetworkStats,
 } from "../lib/performance";
+import { getInterpolationStats } from "../lib/interpolation";
+import { getNetworkTiming } from "../lib/networkTiming";
+import { getNetworkSimulatorStats } from "../lib/networkSimulator";
 import { SHOW_PERFORMANCE_STATS, NETWORK_STATS_ENABLED } from "../lib/config";
 
 /**
@@ -35,6 +38,9 @@ export default function PerformanceStats({ visible = SHOW_PERFORMANCE_STATS }) {
         performanceLevel: getPerformanceLevel(),
         settings: getCurrentSettings(),
         networkStats: NETWORK_STATS_ENABLED ? getNetworkStats() : {},
+        interpolation: getInterpolationStats(),
+        timing: getNetworkTiming(),
+        simulator: getNetworkSimulatorStats(),
         expanded: stats.expanded,
       });
     }, 500);
@@ -121,6 +127,51 @@ export default function PerformanceStats({ visible = SHOW_PERFORMANCE_STATS }) {
                 <span>Messages In:</span>
                 <span>{stats.networkStats.messagesReceivedPerSecond}/s</span>
               </div>
+              {stats.timing?.synced && (
+                <>
+                  <div className={styles.statRow}>
+                    <span>Ping:</span>
+                    <span>{stats.timing.rtt} ms</span>
+                  </div>
+                  <div className={styles.statRow}>
+                    <span>Ping Jitter:</span>
+                    <span>{stats.timing.jitter} ms</span>
+                  </div>
+                  <div className={styles.statRow}>
+                    <span>Clock Offset:</span>
+                    <span>{stats.timing.clockOffset} ms</span>
+                  </div>
+                </>
+              )}
+              {Object.entries(stats.networkStats.malformedMessages || {}).map(
+                ([key, count]) => (
+                  <div key={key} className={`${styles.statRow} ${styles.poor}`}>
+                    <span>Malformed {key}:</span>
+                    <span>{count}</span>
+                  </div>
+                )
+              )}
+              {stats.simulator?.delayed > 0 && (
+                <div className={styles.statRow}>
+                  <span>Simulated Drop/Dup/Reorder:</span>
+                  <span>
+                    {stats.simulator.dropped}/{stats.simulator.duplicated}/
+                    {stats.simulator.reordered}
+                  </span>
+                </div>
+              )}
+              {stats.interpolation && (
+                <>
+                  <div className={styles.statRow}>
+                    <span>Render Delay:</span>
+                    <span>{stats.interpolation.renderDelay} ms</span>
+                  </div>
+                  <div className={styles.statRow}>
+                    <span>Update Jitter:</span>
+                    <span>{stats.interpolation.jitter} ms</span>
+                  </div>
+                </>
+              )}
             </div>
           )}
         </div>
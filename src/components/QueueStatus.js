@@ -3,20 +3,35 @@ import styles from "../styles/QueueStatus.module.css";
 import {
   getQueuePosition,
   getEstimatedWaitTime,
+  getQueueTrend,
+  formatWaitTime,
   getServerStatus,
+  getServerUrl,
+  getParty,
+  getRoom,
+  getServerInfo,
 } from "../lib/socket";
+import { refreshServers, pickBestServer } from "../lib/serverBrowser";
+import { SERVER_STATUS_REFRESH_RATE } from "../lib/config";
 import { EVENTS, addEventListener } from "../lib/events";
+import Party from "./Party";
+import Spectator from "./Spectator";
 
 /**
  * QueueStatus component displays a waiting screen when a player is in queue
  * @param {Object} props - Component props
  * @param {Function} props.onCancel - Function to call when player cancels waiting
  * @param {Function} props.onJoinGame - Function to call when player can join the game
+ * @param {Function} props.onSwitchServer - Called with a server URL when the
+ *   player would rather play on a less busy server than wait
  */
-export default function QueueStatus({ onCancel, onJoinGame }) {
+export default function QueueStatus({ onCancel, onJoinGame, onSwitchServer }) {
   const [position, setPosition] = useState(getQueuePosition());
-  const [waitTime, setWaitTime] = useState(getEstimatedWaitTime(position));
+  const [waitTime, setWaitTime] = useState(getEstimatedWaitTime());
+  const [trend, setTrend] = useState(getQueueTrend());
   const [serverStats, setServerStats] = useState(getServerStatus());
+  const [otherServer, setOtherServer] = useState(null);
+  const [isSpectating, setIsSpectating] = useState(false);
   const [dots, setDots] = useState(".");
 
   // Update animated dots for waiting indicator
@@ -38,11 +53,8 @@ export default function QueueStatus({ onCancel, onJoinGame }) {
       EVENTS.QUEUE_UPDATE,
       (data) => {
         setPosition(data.position);
-        setWaitTime(
-          data.estimatedWaitTime
-            ? data.estimatedWaitTime
-            : getEstimatedWaitTime(data.position)
-        );
+        setWaitTime(formatWaitTime(data.estimatedWaitTime));
+        setTrend(data.trend);
       }
     );
 
@@ -67,6 +79,54 @@ export default function QueueStatus({ onCancel, onJoinGame }) {
     };
   }, [onJoinGame]);
 
+  // Keep an eye out for a server with room to spare, in case the player
+  // would rather play there than wait. Private rooms and parties are tied to
+  // this server, so they stay.
+  const canSwitchServer = Boolean(onSwitchServer);
+  useEffect(() => {
+    if (!canSwitchServer || getRoom() || getParty()) return;
+
+    const removeServerListListener = addEventListener(
+      EVENTS.SERVER_LIST_UPDATE,
+      (list) => {
+        const best = pickBestServer(list, [getServerUrl()]);
+        const lessBusy =
+          best &&
+          (best.hasSpace === true ||
+            (best.queueLength ?? Infinity) < getServerStatus().queueLength);
+        setOtherServer(lessBusy ? best : null);
+      }
+    );
+
+    refreshServers();
+    const refreshTimer = setInterval(
+      refreshServers,
+      SERVER_STATUS_REFRESH_RATE
+    );
+
+    return () => {
+      removeServerListListener();
+      clearInterval(refreshTimer);
+    };
+  }, [canSwitchServer]);
+
+  const canSpectate = Boolean(
+    getServerInfo()?.features?.includes("spectators")
+  );
+  const formattedWait =
+    waitTime || (trend === "stalled" ? "unknown" : "Calculating" + dots);
+
+  // Watch the match while we wait - we keep our place, and go straight in
+  // once it's our turn
+  if (isSpectating && position !== 0) {
+    return (
+      <Spectator
+        onExit={() => setIsSpectating(false)}
+        status={`Queue position ${position} · ${formattedWait}`}
+      />
+    );
+  }
+
   // If position is 0, the player is ready to join
   if (position === 0) {
     return (
@@ -90,12 +150,19 @@ export default function QueueStatus({ onCancel, onJoinGame }) {
         <h1 className={styles.title}>Waiting in Queue</h1>
         <p className={styles.position}>Position: {position}</p>
         <p className={styles.message}>
-          The server is currently full. You&apos;ll be automatically joined when
-          a spot opens up.
-        </p>
-        <p className={styles.waitTime}>
-          Estimated wait time: {waitTime || "Calculating" + dots}
+          The server is currently full.{" "}
+          {getParty()
+            ? "Your party joins together, on one team, once there are spots for all of you."
+            : "You'll be automatically joined when a spot opens up."}
         </p>
+        <p className={styles.waitTime}>Estimated wait time: {formattedWait}</p>
+        {trend && (
+          <p className={trend === "moving" ? styles.moving : styles.stalled}>
+            {trend === "moving"
+              ? "▲ The queue is moving"
+              : "■ The queue has stalled - nobody has left for a while"}
+          </p>
+        )}
 
         <div className={styles.serverInfo}>
           <p>
@@ -104,6 +171,35 @@ export default function QueueStatus({ onCancel, onJoinGame }) {
           <p>People waiting: {serverStats.queueLength}</p>
         </div>
 
+        <Party inQueue />
+
+        {canSpectate && (
+          <button
+            className={styles.spectateButton}
+            onClick={() => setIsSpectating(true)}
+          >
+            Watch the match while you wait
+          </button>
+        )}
+
+        {otherServer && (
+          <div className={styles.otherServer}>
+            <p>
+              {otherServer.name}{" "}
+              {otherServer.hasSpace
+                ? "has room right now"
+                : `has a shorter queue (${otherServer.queueLength})`}
+              {Number.isFinite(otherServer.ping) && ` - ${otherServer.ping} ms`}
+            </p>
+            <button
+              className={styles.switchButton}
+              onClick={() => onSwitchServer(otherServer.url)}
+            >
+              Join {otherServer.name} instead
+            </button>
+          </div>
+        )}
+
         <div className={styles.progressContainer}>
           <div
             className={styles.progress}
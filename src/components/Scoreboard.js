@@ -0,0 +1,120 @@
+import styles from "../styles/Scoreboard.module.css";
+
+// How the match was decided, shown under the final score
+const MATCH_END_REASONS = {
+  score: "Win score reached",
+  time: "Time expired",
+  overtime: "Decided in overtime",
+  draw: "Overtime expired with the scores level",
+};
+
+/**
+ * Format an accuracy fraction as a percentage
+ * @param {number|null} accuracy Accuracy from 0 to 1, or null if unknown
+ */
+const formatAccuracy = (accuracy) =>
+  accuracy === null || accuracy === undefined
+    ? "—"
+    : `${Math.round(accuracy * 100)}%`;
+
+/**
+ * Scoreboard component shows the results of a finished match
+ * @param {Object} props - Component props
+ * @param {Object} props.results - Match results ({ winner, reason, redScore, blueScore, players })
+ * @param {string} props.playerName - Local player's name, highlighted in the table
+ * @param {Function} props.onPlayAgain - Function to call to join another match
+ * @param {Function} props.onBackToLobby - Function to call to return to the lobby
+ */
+export default function Scoreboard({
+  results,
+  playerName,
+  onPlayAgain,
+  onBackToLobby,
+}) {
+  const players = results?.players || [];
+
+  const renderTeam = (team) => {
+    const teamPlayers = players.filter((player) => player.team === team);
+    if (teamPlayers.length === 0) return null;
+
+    return (
+      <tbody key={team} className={styles[`team${team}`]}>
+        <tr>
+          <th colSpan={7} className={styles.teamHeader}>
+            {team} Team
+          </th>
+        </tr>
+        {teamPlayers.map((player) => (
+          <tr
+            key={player.name}
+            className={
+              player.name === playerName ? styles.localPlayer : undefined
+            }
+          >
+            <td className={styles.playerName}>{player.name}</td>
+            <td>{player.kills}</td>
+            <td>{player.deaths}</td>
+            <td>{player.hits}</td>
+            <td>{formatAccuracy(player.accuracy)}</td>
+            <td>{player.captures}</td>
+            <td>{player.returns}</td>
+          </tr>
+        ))}
+      </tbody>
+    );
+  };
+
+  return (
+    <div className={styles.scoreboard}>
+      <div className={styles.container}>
+        <h1 className={styles.title}>
+          {!results
+            ? "Game Over"
+            : results.winner
+            ? `${results.winner} Team Wins!`
+            : "Draw"}
+        </h1>
+
+        {results && (
+          <>
+            <p className={styles.finalScore}>
+              <span className={styles.redScore}>{results.redScore}</span>
+              {" - "}
+              <span className={styles.blueScore}>{results.blueScore}</span>
+            </p>
+            <p className={styles.reason}>
+              {MATCH_END_REASONS[results.reason] || ""}
+            </p>
+          </>
+        )}
+
+        {players.length > 0 && (
+          <table className={styles.statsTable}>
+            <thead>
+              <tr>
+                <th className={styles.playerName}>Player</th>
+                <th>Kills</th>
+                <th>Deaths</th>
+                <th>Hits</th>
+                <th>Accuracy</th>
+                <th>Captures</th>
+                <th>Returns</th>
+              </tr>
+            </thead>
+            {renderTeam("Red")}
+            {renderTeam("Blue")}
+          </table>
+        )}
+
+        <div className={styles.buttons}>
+          <button className={styles.playAgainButton} onClick={onPlayAgain}>
+            Play Again
+          </button>
+          <button className={styles.lobbyButton} onClick={onBackToLobby}>
+            Back to Lobby
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,236 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { Canvas } from "@react-three/fiber";
+import { Sky } from "@react-three/drei";
+import { Physics } from "@react-three/rapier";
+import Player from "../game/player";
+import Map from "../game/map";
+import Paintball from "../game/paintball";
+import SpectatorCamera, {
+  CAMERA_MODES,
+  CAMERA_MODE_LABELS,
+} from "../game/spectatorCamera";
+import styles from "../styles/Spectator.module.css";
+import { getSocket, spectate, stopSpectating } from "../lib/socket";
+import { EVENTS, addEventListener } from "../lib/events";
+
+const MAX_PAINTBALLS = 100; // In flight at once; the oldest give way
+
+const CONTROLS_HINT = {
+  free: "WASD fly · Space/C up/down · Shift faster · drag to look",
+  firstPerson: "Q/E switch player",
+  thirdPerson: "Q/E switch player",
+  overhead: "WASD pan · mouse wheel zoom",
+};
+
+/**
+ * Order players the way the scoreboard does - by team, then name
+ */
+const sortPlayers = (players) =>
+  Object.entries(players)
+    .filter(([, player]) => !player.disconnected)
+    .sort(
+      ([, a], [, b]) =>
+        a.team.localeCompare(b.team) || a.name.localeCompare(b.name)
+    )
+    .map(([id]) => id);
+
+/**
+ * Watch the match without a character: every player and paintball, seen
+ * through a free, first-person, third-person or overhead camera
+ * @param {Object} props
+ * @param {Function} props.onExit Called when the spectator stops watching
+ * @param {React.ReactNode} props.status Shown in the corner (e.g. the
+ *   spectator's place in the queue)
+ */
+export default function Spectator({ onExit, status = null }) {
+  const [isWatching, setIsWatching] = useState(false);
+  const [players, setPlayers] = useState({});
+  const [paintballs, setPaintballs] = useState([]);
+  const [flagCarriers, setFlagCarriers] = useState({ red: null, blue: null });
+  const [scores, setScores] = useState({ redScore: 0, blueScore: 0 });
+  const [mode, setMode] = useState("free");
+  const [targetId, setTargetId] = useState(null);
+
+  const playerIds = useMemo(() => sortPlayers(players), [players]);
+  // Follow whoever comes first if our player left (or we haven't picked)
+  const followedId = players[targetId] ? targetId : playerIds[0] || null;
+  const followed = players[followedId];
+
+  useEffect(() => {
+    const socket = getSocket();
+    const handlePaintball = (data) => {
+      if (!data || !data.origin || !data.direction) return;
+      setPaintballs((prev) =>
+        [
+          ...prev,
+          {
+            id: data.id,
+            position: data.origin,
+            direction: data.direction,
+            color: data.color || "#ff4500",
+          },
+        ].slice(-MAX_PAINTBALLS)
+      );
+    };
+    const clearFlag = (data) =>
+      setFlagCarriers((prev) => ({ ...prev, [data.team.toLowerCase()]: null }));
+
+    const removeListeners = [
+      addEventListener(EVENTS.SPECTATE_START, () => setIsWatching(true)),
+      addEventListener(EVENTS.PLAYERS_UPDATE, setPlayers),
+      addEventListener(EVENTS.FLAG_CAPTURED, (data) =>
+        setFlagCarriers((prev) => ({
+          ...prev,
+          [data.team.toLowerCase()]: data.carrier,
+        }))
+      ),
+      addEventListener(EVENTS.FLAG_RETURNED, clearFlag),
+      addEventListener(EVENTS.FLAG_SCORED, (data) => {
+        clearFlag(data);
+        setScores({ redScore: data.redScore, blueScore: data.blueScore });
+      }),
+      addEventListener(EVENTS.STATS_UPDATE, (data) => {
+        if (data.redScore === undefined) return; // Only team scores matter
+        setScores({ redScore: data.redScore, blueScore: data.blueScore });
+      }),
+    ];
+    socket?.on("paintball", handlePaintball);
+
+    spectate();
+
+    return () => {
+      removeListeners.forEach((removeListener) => removeListener());
+      socket?.off("paintball", handlePaintball);
+      stopSpectating();
+    };
+  }, []);
+
+  // 1-4 pick a camera, V cycles them, Q/E step through the players
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.target?.tagName === "INPUT") return;
+
+      const digit = Number(event.key);
+      if (digit >= 1 && digit <= CAMERA_MODES.length) {
+        setMode(CAMERA_MODES[digit - 1]);
+      } else if (event.code === "KeyV") {
+        setMode((prev) => {
+          const next = (CAMERA_MODES.indexOf(prev) + 1) % CAMERA_MODES.length;
+          return CAMERA_MODES[next];
+        });
+      } else if (
+        (event.code === "KeyQ" || event.code === "KeyE") &&
+        playerIds.length > 0
+      ) {
+        const step = event.code === "KeyE" ? 1 : -1;
+        const index = playerIds.indexOf(followedId);
+        setTargetId(
+          playerIds[(index + step + playerIds.length) % playerIds.length]
+        );
+      }
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [playerIds, followedId]);
+
+  const handlePaintballHit = useCallback((id) => {
+    setPaintballs((prev) => prev.filter((paintball) => paintball.id !== id));
+  }, []);
+
+  const isFollowing = mode === "firstPerson" || mode === "thirdPerson";
+
+  return (
+    <div className={styles.spectator}>
+      <Canvas camera={{ fov: 75, position: [0, 40, 150] }}>
+        <Physics gravity={[0, -9.81, 0]} interpolate={false} timeStep={1 / 60}>
+          <Sky sunPosition={[100, 100, 20]} />
+          <ambientLight intensity={0.5} />
+          <directionalLight position={[10, 10, 5]} intensity={1} />
+
+          <Map
+            redFlagCaptured={Boolean(flagCarriers.red)}
+            blueFlagCaptured={Boolean(flagCarriers.blue)}
+          />
+
+          {Object.entries(players).map(([id, player]) => (
+            <Player
+              key={id}
+              id={id}
+              isLocalPlayer={false}
+              position={player.position}
+              rotation={player.rotation || [0, 0, 0]}
+              name={player.name}
+              team={player.team}
+              useLowDetail
+              isCarryingFlag={
+                (flagCarriers.red === player.name && player.team === "Blue") ||
+                (flagCarriers.blue === player.name && player.team === "Red")
+              }
+              carryingFlagTeam={
+                flagCarriers.red === player.name
+                  ? "Red"
+                  : flagCarriers.blue === player.name
+                  ? "Blue"
+                  : null
+              }
+              isEliminated={player.is_eliminated || false}
+              isCrouching={player.isCrouching || false}
+              isDisconnected={player.disconnected || false}
+            />
+          ))}
+
+          {paintballs.map((paintball) => (
+            <Paintball
+              key={paintball.id}
+              id={paintball.id}
+              position={paintball.position}
+              direction={paintball.direction}
+              color={paintball.color}
+              onHit={handlePaintballHit}
+            />
+          ))}
+
+          <SpectatorCamera
+            mode={mode}
+            targetId={followedId}
+            players={players}
+          />
+        </Physics>
+      </Canvas>
+
+      <div className={styles.overlay}>
+        <div className={styles.topBar}>
+          <span className={styles.score}>
+            <span className={styles.red}>Red {scores.redScore}</span>
+            {" - "}
+            <span className={styles.blue}>{scores.blueScore} Blue</span>
+          </span>
+          {status && <span className={styles.status}>{status}</span>}
+        </div>
+
+        <div className={styles.bottomBar}>
+          <div>
+            <strong>{CAMERA_MODE_LABELS[mode]}</strong>
+            {isFollowing &&
+              (followed ? (
+                <span className={styles[followed.team.toLowerCase()]}>
+                  {" "}
+                  - {followed.name}
+                </span>
+              ) : (
+                " - nobody to follow yet"
+              ))}
+            {!isWatching && " (connecting...)"}
+            <p className={styles.hint}>
+              1-4 or V change camera · {CONTROLS_HINT[mode]}
+            </p>
+          </div>
+          <button className={styles.exitButton} onClick={onExit}>
+            Stop watching
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
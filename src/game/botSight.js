@@ -0,0 +1,20 @@
+import { useEffect } from "react";
+import { usePhysics } from "./physics";
+import { setLineOfSight } from "../lib/bots";
+
+/**
+ * Lets single-player bots check their line of sight against the map's
+ * colliders, for as long as it's mounted inside the Physics world
+ */
+export default function BotSight() {
+  const { hasLineOfSight } = usePhysics();
+
+  useEffect(() => {
+    setLineOfSight(hasLineOfSight);
+  }, [hasLineOfSight]);
+
+  // Back to view cones alone once the world is gone
+  useEffect(() => () => setLineOfSight(null), []);
+
+  return null;
+}
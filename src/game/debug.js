@@ -2,8 +2,79 @@ import { useEffect, useState } from "react";
 import { useThree } from "@react-three/fiber";
 import { useRapier } from "@react-three/rapier";
 import * as THREE from "three";
+import { getNavGraph, getBotPaths } from "../lib/bots";
+import { getNeighbours, getNodePosition } from "../lib/navigation";
 
-export default function PhysicsDebug({ debugMode = false }) {
+const NAV_REFRESH_INTERVAL = 250; // ms between redraws of the bots' paths
+const NAV_LINE_HEIGHT = 0.05; // Just off the ground so it isn't z-fighting
+const PATH_LINE_HEIGHT = 0.3;
+const PATH_COLORS = { Red: 0xff3333, Blue: 0x3399ff };
+
+/**
+ * Line segments joining every pair of walkable neighbours in a nav graph
+ * @param {Object} graph From buildNavGraph
+ * @returns {THREE.LineSegments}
+ */
+const createNavGraphLines = (graph) => {
+  const vertices = [];
+  for (let node = 0; node < graph.walkable.length; node++) {
+    if (!graph.walkable[node]) continue;
+    const [x, , z] = getNodePosition(graph, node);
+    getNeighbours(graph, node).forEach(([next]) => {
+      if (next < node) return; // Each edge once
+      const [nextX, , nextZ] = getNodePosition(graph, next);
+      vertices.push(x, NAV_LINE_HEIGHT, z, nextX, NAV_LINE_HEIGHT, nextZ);
+    });
+  }
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute(
+    "position",
+    new THREE.Float32BufferAttribute(vertices, 3)
+  );
+  return new THREE.LineSegments(
+    geometry,
+    new THREE.LineBasicMaterial({
+      color: 0x00ffaa,
+      transparent: true,
+      opacity: 0.25,
+    })
+  );
+};
+
+/**
+ * A line along a bot's path, in its team's color
+ * @param {Object} path Entry from getBotPaths
+ * @returns {THREE.Line}
+ */
+const createPathLine = ({ team, points }) =>
+  new THREE.Line(
+    new THREE.BufferGeometry().setFromPoints(
+      points.map(([x, , z]) => new THREE.Vector3(x, PATH_LINE_HEIGHT, z))
+    ),
+    new THREE.LineBasicMaterial({ color: PATH_COLORS[team] || 0xffffff })
+  );
+
+const clearGroup = (group) => {
+  while (group.children.length > 0) {
+    const child = group.children[0];
+    child.geometry?.dispose();
+    child.material?.dispose();
+    group.remove(child);
+  }
+};
+
+/**
+ * Colliders (debugMode) and the single-player bots' nav graph and current
+ * paths (showNavigation)
+ * @param {Object} props
+ * @param {boolean} props.debugMode Draw the physics colliders
+ * @param {boolean} props.showNavigation Draw the nav graph and bot paths
+ */
+export default function PhysicsDebug({
+  debugMode = false,
+  showNavigation = false,
+}) {
   const { scene } = useThree();
   const { world } = useRapier();
   const [debugObjects, setDebugObjects] = useState([]);
@@ -138,5 +209,41 @@ export default function PhysicsDebug({ debugMode = false }) {
     };
   }, [scene, world, debugMode]);
 
+  // The graph appears once the map has loaded; paths change all the time
+  useEffect(() => {
+    if (!showNavigation) return;
+
+    const graphGroup = new THREE.Group();
+    graphGroup.name = "nav-graph-debug";
+    const pathGroup = new THREE.Group();
+    pathGroup.name = "nav-path-debug";
+    scene.add(graphGroup, pathGroup);
+    let drawnGraph = null;
+
+    const updateNavigation = () => {
+      const graph = getNavGraph();
+      if (graph !== drawnGraph) {
+        clearGroup(graphGroup);
+        if (graph) graphGroup.add(createNavGraphLines(graph));
+        drawnGraph = graph;
+      }
+
+      clearGroup(pathGroup);
+      Object.values(getBotPaths()).forEach((path) => {
+        pathGroup.add(createPathLine(path));
+      });
+    };
+
+    updateNavigation();
+    const interval = setInterval(updateNavigation, NAV_REFRESH_INTERVAL);
+
+    return () => {
+      clearInterval(interval);
+      clearGroup(graphGroup);
+      clearGroup(pathGroup);
+      scene.remove(graphGroup, pathGroup);
+    };
+  }, [scene, showNavigation]);
+
   return null;
 }
@@ -15,6 +15,7 @@ const CharacterModel = ({
   isShooting = false,
   isReloading = false,
   isCrouching = false,
+  isDisconnected = false,
 }) => {
   // Memoize colors to prevent re-calculations
   const colors = useMemo(() => {
@@ -41,6 +42,10 @@ const CharacterModel = ({
     };
   }, [team]);
 
+  // Dropped players stay in the world as a ghost until they resume
+  const nameLabel = isDisconnected ? `${name} (disconnected)` : name;
+  const nameColor = isDisconnected ? "#999999" : colors.accent;
+
   const flagColor = carryingFlagTeam
     ? carryingFlagTeam === "Red"
       ? "#ff3333"
@@ -64,13 +69,13 @@ const CharacterModel = ({
         <Text
           position={[0, 1.5, 0]}
           fontSize={0.25}
-          color={colors.accent}
+          color={nameColor}
           anchorX="center"
           anchorY="middle"
           outlineWidth={0.02}
           outlineColor="#000000"
         >
-          {name}
+          {nameLabel}
         </Text>
       </group>
     );
@@ -318,14 +323,14 @@ const CharacterModel = ({
       <Text
         position={[0, 1.15, 0]}
         fontSize={0.22}
-        color={colors.accent}
+        color={nameColor}
         anchorX="center"
         anchorY="middle"
         outlineWidth={0.03}
         outlineColor="#000000"
         font={undefined}
       >
-        {name}
+        {nameLabel}
       </Text>
 
       {/* Team indicator dot above name */}
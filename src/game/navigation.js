@@ -0,0 +1,86 @@
+import { useRef } from "react";
+import { useFrame } from "@react-three/fiber";
+import { useRapier } from "@react-three/rapier";
+import { buildNavGraph } from "../lib/navigation";
+
+// How often to look at the colliders while the map is still being added
+const POLL_INTERVAL = 1; // seconds
+
+/**
+ * Footprint of a map collider for the nav graph, or null if the collider
+ * doesn't get in anyone's way (sensors, moving bodies, shapes the map
+ * doesn't use)
+ * @param {Object} collider Rapier collider
+ * @param {Object} rapier Rapier module
+ * @returns {Object|null} Footprint, as src/lib/navigation.js takes it
+ */
+const toFootprint = (collider, rapier) => {
+  if (collider.isSensor() || !collider.parent()?.isFixed()) return null;
+
+  const { x, y, z } = collider.translation();
+  const position = [x, y, z];
+
+  switch (collider.shapeType()) {
+    case rapier.ShapeType.Cuboid: {
+      const halfExtents = collider.halfExtents();
+      const rotation = collider.rotation();
+      return {
+        shape: "box",
+        position,
+        halfExtents: [halfExtents.x, halfExtents.y, halfExtents.z],
+        // The map only turns things about the vertical axis
+        yaw: 2 * Math.atan2(rotation.y, rotation.w),
+      };
+    }
+    case rapier.ShapeType.Cylinder:
+      return {
+        shape: "cylinder",
+        position,
+        radius: collider.radius(),
+        halfHeight: collider.halfHeight(),
+      };
+    default:
+      return null;
+  }
+};
+
+/**
+ * Builds the bots' nav graph from the map's static colliders once they have
+ * all been added to the physics world (the count stops changing)
+ * @param {Object} props
+ * @param {Function} props.onBuild Called once with the nav graph
+ */
+export default function NavGraphBuilder({ onBuild }) {
+  const { world, rapier } = useRapier();
+  const state = useRef({ elapsed: 0, lastCount: 0, built: false });
+
+  useFrame((_, delta) => {
+    const current = state.current;
+    if (current.built) return;
+
+    current.elapsed += delta;
+    if (current.elapsed < POLL_INTERVAL) return;
+    current.elapsed = 0;
+
+    const footprints = [];
+    world.forEachCollider((collider) => {
+      const footprint = toFootprint(collider, rapier);
+      if (footprint) footprints.push(footprint);
+    });
+
+    // Wait for a poll that finds the same colliders as the last one
+    if (footprints.length === 0 || footprints.length !== current.lastCount) {
+      current.lastCount = footprints.length;
+      return;
+    }
+
+    current.built = true;
+    const graph = buildNavGraph(footprints);
+    console.log(
+      `🧭 Nav graph built from ${footprints.length} colliders (${graph.obstacles.length} in the way)`
+    );
+    onBuild(graph);
+  });
+
+  return null;
+}
@@ -2,13 +2,21 @@ import { useRef, useEffect, useState } from "react";
 import { useFrame } from "@react-three/fiber";
 import { Vector3, Quaternion, Matrix4 } from "three";
 import { RigidBody, BallCollider } from "@react-three/rapier";
+import {
+  PAINTBALL_SPEED,
+  PAINTBALL_RADIUS,
+  PAINTBALL_LIFETIME,
+  PAINTBALL_DAMPING,
+  PAINTBALL_GRAVITY_SCALE,
+} from "../lib/ballistics";
 
 // Constants for performance optimization
-const MAX_LIFETIME = 3; // seconds
+// (flight constants are shared with the server's hit registration)
+const MAX_LIFETIME = PAINTBALL_LIFETIME; // seconds
 const MAX_SPLAT_LIFETIME = 5; // Reduced from 10 to 5 seconds
-const PAINTBALL_SIZE = 0.06;
+const PAINTBALL_SIZE = PAINTBALL_RADIUS;
 const SPLAT_SIZE = 0.4;
-const INITIAL_VELOCITY = 60;
+const INITIAL_VELOCITY = PAINTBALL_SPEED;
 const PHYSICS_STEPS = 2; // Frequency of physics calculations
 
 export default function Paintball({
@@ -18,6 +26,7 @@ export default function Paintball({
   onHit = () => {},
   id,
   shooterId = null,
+  canHitLocalPlayer = false,
 }) {
   const paintballRef = useRef();
   const lifetime = useRef(0);
@@ -97,6 +106,23 @@ export default function Paintball({
       });
       return; // No splat for player hits – paintball is consumed
     }
+    if (
+      otherUserData?.type === "player" &&
+      otherUserData.isLocal &&
+      canHitLocalPlayer
+    ) {
+      // Someone else's paintball hit the local player – the parent decides
+      // whether that counts (a bot's in single player) or is the server's
+      // call (multiplayer). Our own paintballs splat like on anything else.
+      onHit(id, {
+        position: [pos.x, pos.y, pos.z],
+        normal: [0, 1, 0],
+        color: color,
+        hitLocalPlayer: true,
+        shooterId: shooterId,
+      });
+      return;
+    }
 
     // Extract collision normal (default to up if not available)
     let normal = [0, 1, 0];
@@ -168,9 +194,9 @@ export default function Paintball({
             initialVelocity.current.z,
           ]}
           angularDamping={0.5}
-          linearDamping={0.15}
+          linearDamping={PAINTBALL_DAMPING}
           colliders={false}
-          gravityScale={1.5}
+          gravityScale={PAINTBALL_GRAVITY_SCALE}
           onCollisionEnter={handleCollision}
           sensor={false}
           type="dynamic"
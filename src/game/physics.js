@@ -4,21 +4,31 @@ import { useRapier } from "@react-three/rapier";
 export function usePhysics() {
   const { rapier, world } = useRapier();
 
-  // Raycast function for hit detection
-  const raycast = (origin, direction, maxDistance = 100) => {
+  // Raycast function for hit detection. Pass onlyMap to look past players,
+  // paintballs and sensors and only hit the map's static colliders.
+  const raycast = (
+    origin,
+    direction,
+    maxDistance = 100,
+    { onlyMap = false } = {}
+  ) => {
     const rayOrigin = { x: origin[0], y: origin[1], z: origin[2] };
     const rayDir = { x: direction[0], y: direction[1], z: direction[2] };
 
     const ray = new rapier.Ray(rayOrigin, rayDir);
-    const hit = world.castRay(ray, maxDistance, true);
+    const filterFlags = onlyMap
+      ? rapier.QueryFilterFlags.ONLY_FIXED |
+        rapier.QueryFilterFlags.EXCLUDE_SENSORS
+      : undefined;
+    const hit = world.castRayAndGetNormal(ray, maxDistance, true, filterFlags);
 
     if (hit) {
       return {
-        distance: hit.toi,
+        distance: hit.timeOfImpact,
         point: [
-          rayOrigin.x + rayDir.x * hit.toi,
-          rayOrigin.y + rayDir.y * hit.toi,
-          rayOrigin.z + rayDir.z * hit.toi,
+          rayOrigin.x + rayDir.x * hit.timeOfImpact,
+          rayOrigin.y + rayDir.y * hit.timeOfImpact,
+          rayOrigin.z + rayDir.z * hit.timeOfImpact,
         ],
         normal: [hit.normal.x, hit.normal.y, hit.normal.z],
         collider: hit.collider,
@@ -28,7 +38,18 @@ export function usePhysics() {
     return null;
   };
 
+  // Whether nothing on the map stands between two points
+  const hasLineOfSight = (from, to) => {
+    const delta = [to[0] - from[0], to[1] - from[1], to[2] - from[2]];
+    const length = Math.hypot(...delta);
+    if (length === 0) return true;
+
+    const direction = delta.map((value) => value / length);
+    return !raycast(from, direction, length, { onlyMap: true });
+  };
+
   return {
     raycast,
+    hasLineOfSight,
   };
 }
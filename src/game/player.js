@@ -12,6 +12,15 @@ import { RigidBody, CapsuleCollider, useRapier } from "@react-three/rapier";
 import { useKeyboardControls } from "../hooks/useKeyboardControls";
 import CharacterModel from "./models/CharacterModel";
 import FirstPersonGun from "./models/FirstPersonGun";
+import { getMoveSpeed, MAX_INPUT_DT } from "../lib/movement";
+import { sampleSnapshot } from "../lib/interpolation";
+import {
+  FIRE_RATE,
+  RELOAD_TIME,
+  REPLENISH_TIME,
+  FLAG_POSITIONS,
+  CRATE_POSITIONS,
+} from "../lib/config";
 
 // Movement constants
 const SPEED = 500.0; // Force-based movement needs higher values
@@ -54,6 +63,7 @@ const Player = forwardRef(
       isShooting = false, // Use this prop from parent instead of local state
       isRespawning = false, // Add isRespawning prop
       isCrouching = false, // Remote crouch state
+      isDisconnected = false, // Remote player dropped out, waiting to resume
     },
     ref
   ) => {
@@ -162,11 +172,6 @@ const Player = forwardRef(
      * first-person experience with appropriate animations.
      */
 
-    // Add a constant for fire rate if it doesn't exist
-    const FIRE_RATE = 150; // ms between shots
-    const RELOAD_TIME = 5000; // 5 seconds to reload
-    const MAGAZINE_CAPACITY = 30;
-
     // Add these refs if they don't exist
     const lastShotTime = useRef(0);
     const reloadStartTime = useRef(Date.now());
@@ -198,7 +203,6 @@ const Player = forwardRef(
     const [isReplenishing, setIsReplenishing] = useState(false);
     const [replenishProgress, setReplenishProgress] = useState(0);
     const [replenishStartTime, setReplenishStartTime] = useState(null);
-    const REPLENISH_TIME = 10000; // 10 seconds to replenish canisters
 
     // Performance optimization timers
     const lastPositionUpdateTime = useRef(0);
@@ -474,27 +478,38 @@ const Player = forwardRef(
 
       // Remote player smooth interpolation
       if (!isLocalPlayer && playerRef.current) {
-        const lerpSpeed = Math.min(1, delta * 12); // Smooth interpolation
-
-        // --- Position lerp ---
-        const tp = targetPosition.current;
         const cp = currentPosition.current;
-        cp[0] += (tp[0] - cp[0]) * lerpSpeed;
-        cp[1] += (tp[1] - cp[1]) * lerpSpeed;
-        cp[2] += (tp[2] - cp[2]) * lerpSpeed;
-
-        // --- Rotation lerp (shortest-path angular interpolation) ---
-        // The sender computes yaw via atan2(forward.x, forward.z) which
-        // directly maps to model rotation.y (no offset needed).
-        const targetYaw = targetRotation.current[1];
         let currentYaw = currentRotation.current[1];
 
-        // Compute shortest angular difference (wraps around ±π)
-        let diff = targetYaw - currentYaw;
-        diff = ((diff + Math.PI) % (2 * Math.PI)) - Math.PI;
-        if (diff < -Math.PI) diff += 2 * Math.PI;
+        // Draw from the snapshot buffer (slightly in the past) when we have
+        // one; otherwise ease towards the latest props
+        const snapshot = id ? sampleSnapshot(id) : null;
+        if (snapshot) {
+          cp[0] = snapshot.position[0];
+          cp[1] = snapshot.position[1];
+          cp[2] = snapshot.position[2];
+          currentYaw = snapshot.rotation[1];
+        } else {
+          const lerpSpeed = Math.min(1, delta * 12); // Smooth interpolation
+
+          // --- Position lerp ---
+          const tp = targetPosition.current;
+          cp[0] += (tp[0] - cp[0]) * lerpSpeed;
+          cp[1] += (tp[1] - cp[1]) * lerpSpeed;
+          cp[2] += (tp[2] - cp[2]) * lerpSpeed;
+
+          // --- Rotation lerp (shortest-path angular interpolation) ---
+          // The sender computes yaw via atan2(forward.x, forward.z) which
+          // directly maps to model rotation.y (no offset needed).
+          const targetYaw = targetRotation.current[1];
+
+          // Compute shortest angular difference (wraps around ±π)
+          let diff = targetYaw - currentYaw;
+          diff = ((diff + Math.PI) % (2 * Math.PI)) - Math.PI;
+          if (diff < -Math.PI) diff += 2 * Math.PI;
 
-        currentYaw += diff * lerpSpeed;
+          currentYaw += diff * lerpSpeed;
+        }
         currentRotation.current[1] = currentYaw;
 
         // Move the kinematic rigid body (for physics/collision detection)
@@ -560,11 +575,30 @@ const Player = forwardRef(
           const fwd = new Vector3(0, 0, -1).applyQuaternion(camera.quaternion);
           const yaw = Math.atan2(fwd.x, fwd.z) + Math.PI;
 
-          // Send position update to server/other players (include crouch state)
+          // Send position update to server/other players (include crouch state
+          // and the input that produced it, so the server can validate the move)
+          const isCrouchingNow = keys.crouch && isOnGround.current;
           onPositionUpdate(
             [position.x, position.y, position.z],
             [0, yaw, 0],
-            { isCrouching: keys.crouch && isOnGround.current }
+            {
+              isCrouching: isCrouchingNow,
+              input: {
+                dt: Math.min(
+                  (now - lastPositionUpdateTime.current) / 1000,
+                  MAX_INPUT_DT
+                ),
+                keys: {
+                  forward: moveForward,
+                  backward: moveBackward,
+                  left: moveLeft,
+                  right: moveRight,
+                  jump: keys.jump,
+                  sprint: keys.sprint,
+                  crouch: isCrouchingNow,
+                },
+              },
+            }
           );
 
           lastPositionUpdateTime.current = now;
@@ -619,15 +653,9 @@ const Player = forwardRef(
           // Get current velocity
           const currentVel = playerRef.current.linvel();
 
-          // Set a target speed based on stance (standing or crouching)
-          let targetSpeed;
-          if (keys.crouch) {
-            // Crouching speed (much slower)
-            targetSpeed = keys.sprint ? 6 : 4;
-          } else {
-            // Normal speed
-            targetSpeed = keys.sprint ? 20 : 12;
-          }
+          // Set a target speed based on stance (standing or crouching).
+          // Shared with the server so it can reject impossible moves.
+          const targetSpeed = getMoveSpeed(keys);
 
           movement.multiplyScalar(targetSpeed);
 
@@ -820,8 +848,8 @@ const Player = forwardRef(
 
           // Check if near red or blue canister crate
           // Update coordinates to match the positions of crates at rear walls
-          const redCratePos = [0, 0, -130]; // Red castle crate position (back wall)
-          const blueCratePos = [0, 0, 130]; // Blue castle crate position (back wall)
+          const redCratePos = CRATE_POSITIONS.Red; // Red castle back wall
+          const blueCratePos = CRATE_POSITIONS.Blue; // Blue castle back wall
 
           const distToRedCrate = Math.sqrt(
             Math.pow(position.x - redCratePos[0], 2) +
@@ -897,8 +925,8 @@ const Player = forwardRef(
           }
 
           // Flag positions for both teams
-          const redFlagPos = [0, 0, -120]; // Red team flag at north castle
-          const blueFlagPos = [0, 0, 120]; // Blue team flag at south castle
+          const redFlagPos = FLAG_POSITIONS.Red; // North castle
+          const blueFlagPos = FLAG_POSITIONS.Blue; // South castle
 
           // Calculate distance to flags
           const distToRedFlag = Math.sqrt(
@@ -1539,6 +1567,7 @@ const Player = forwardRef(
                 isShooting={isShooting}
                 isReloading={isReloading}
                 isCrouching={isCrouching}
+                isDisconnected={isDisconnected}
               />
             </group>
           </RigidBody>
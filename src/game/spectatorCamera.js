@@ -0,0 +1,207 @@
+import { useEffect, useRef } from "react";
+import { useFrame, useThree } from "@react-three/fiber";
+import { Euler, Vector3 } from "three";
+import { sampleSnapshot } from "../lib/interpolation";
+
+// Camera modes, in the order the spectator cycles through them
+export const CAMERA_MODES = ["free", "firstPerson", "thirdPerson", "overhead"];
+
+export const CAMERA_MODE_LABELS = {
+  free: "Free camera",
+  firstPerson: "First person",
+  thirdPerson: "Third person",
+  overhead: "Overhead",
+};
+
+// Follow cameras (eye heights match the local player's camera in player.js)
+const EYE_HEIGHT = 1.7;
+const CROUCH_EYE_HEIGHT = 0.85;
+const EYE_FORWARD_OFFSET = 0.4; // Keeps the camera out of the player's head
+const FOLLOW_DISTANCE = 6;
+const FOLLOW_HEIGHT = 2.5;
+const FOLLOW_SMOOTHING = 8; // Higher catches up faster
+
+// Free camera
+const FLY_SPEED = 20; // m/s
+const FLY_FAST_MULTIPLIER = 3;
+const LOOK_SENSITIVITY = 0.004; // Radians per pixel dragged
+const MAX_PITCH = Math.PI / 2 - 0.05;
+
+// Overhead view - the whole map fits at the initial height
+const OVERHEAD_HEIGHT = { min: 40, max: 250, initial: 180 };
+const OVERHEAD_PAN_SPEED = 60; // m/s at the initial height
+const OVERHEAD_ZOOM_STEP = 0.1; // Fraction of the height per wheel notch
+
+const FLY_KEYS = {
+  KeyW: "forward",
+  KeyS: "backward",
+  KeyA: "left",
+  KeyD: "right",
+  Space: "up",
+  KeyC: "down",
+  ShiftLeft: "fast",
+  ShiftRight: "fast",
+};
+
+const isTyping = (event) =>
+  event.target?.tagName === "INPUT" || event.target?.tagName === "TEXTAREA";
+
+/**
+ * Camera for spectators. Free flies with WASD (Space/C up and down, Shift
+ * faster) and drag-to-look; the follow modes ride along with a player from
+ * the interpolation buffer; overhead looks straight down on the map and
+ * pans with WASD and zooms with the mouse wheel.
+ * @param {Object} props
+ * @param {string} props.mode One of CAMERA_MODES
+ * @param {string} props.targetId Player the follow modes watch
+ * @param {Object} props.players Player id -> latest player state, for
+ *   players the interpolation buffer has nothing on yet
+ */
+export default function SpectatorCamera({
+  mode = "free",
+  targetId = null,
+  players = {},
+}) {
+  const { camera, gl } = useThree();
+  const keys = useRef({});
+  const look = useRef({ yaw: 0, pitch: -0.3 });
+  const overhead = useRef({ x: 0, z: 0, height: OVERHEAD_HEIGHT.initial });
+  const euler = useRef(new Euler(0, 0, 0, "YXZ"));
+  const move = useRef(new Vector3());
+  const followPosition = useRef(new Vector3());
+
+  // Free flight picks up from wherever the last mode left the camera
+  useEffect(() => {
+    if (mode !== "free") return;
+    euler.current.setFromQuaternion(camera.quaternion, "YXZ");
+    look.current = { yaw: euler.current.y, pitch: euler.current.x };
+  }, [mode, camera]);
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (isTyping(event) || !FLY_KEYS[event.code]) return;
+      keys.current[FLY_KEYS[event.code]] = true;
+      if (event.code === "Space") event.preventDefault();
+    };
+    const handleKeyUp = (event) => {
+      if (FLY_KEYS[event.code]) keys.current[FLY_KEYS[event.code]] = false;
+    };
+    const handleBlur = () => {
+      keys.current = {};
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    window.addEventListener("keyup", handleKeyUp);
+    window.addEventListener("blur", handleBlur);
+    return () => {
+      window.removeEventListener("keydown", handleKeyDown);
+      window.removeEventListener("keyup", handleKeyUp);
+      window.removeEventListener("blur", handleBlur);
+    };
+  }, []);
+
+  // Drag to look around (free camera), wheel to zoom (overhead)
+  useEffect(() => {
+    const canvas = gl.domElement;
+
+    const handleMouseMove = (event) => {
+      if (mode !== "free" || !(event.buttons & 1)) return;
+      const { yaw, pitch } = look.current;
+      look.current = {
+        yaw: yaw - event.movementX * LOOK_SENSITIVITY,
+        pitch: Math.max(
+          -MAX_PITCH,
+          Math.min(MAX_PITCH, pitch - event.movementY * LOOK_SENSITIVITY)
+        ),
+      };
+    };
+    const handleWheel = (event) => {
+      if (mode !== "overhead") return;
+      event.preventDefault();
+      const view = overhead.current;
+      const factor = 1 + Math.sign(event.deltaY) * OVERHEAD_ZOOM_STEP;
+      view.height = Math.max(
+        OVERHEAD_HEIGHT.min,
+        Math.min(OVERHEAD_HEIGHT.max, view.height * factor)
+      );
+    };
+
+    canvas.addEventListener("mousemove", handleMouseMove);
+    canvas.addEventListener("wheel", handleWheel, { passive: false });
+    return () => {
+      canvas.removeEventListener("mousemove", handleMouseMove);
+      canvas.removeEventListener("wheel", handleWheel);
+    };
+  }, [gl, mode]);
+
+  useFrame((state, delta) => {
+    const held = keys.current;
+    const forwardInput = (held.forward ? 1 : 0) - (held.backward ? 1 : 0);
+    const rightInput = (held.right ? 1 : 0) - (held.left ? 1 : 0);
+
+    if (mode === "overhead") {
+      const view = overhead.current;
+      const speed =
+        OVERHEAD_PAN_SPEED * (view.height / OVERHEAD_HEIGHT.initial) * delta;
+      // Straight down with -Z (the red base) at the top of the screen
+      view.x += rightInput * speed;
+      view.z -= forwardInput * speed;
+      camera.position.set(view.x, view.height, view.z);
+      euler.current.set(-Math.PI / 2, 0, 0);
+      camera.quaternion.setFromEuler(euler.current);
+      return;
+    }
+
+    if (mode === "free") {
+      const { yaw, pitch } = look.current;
+      euler.current.set(pitch, yaw, 0);
+      camera.quaternion.setFromEuler(euler.current);
+
+      const speed = FLY_SPEED * (held.fast ? FLY_FAST_MULTIPLIER : 1) * delta;
+      const verticalInput = (held.up ? 1 : 0) - (held.down ? 1 : 0);
+      move.current.set(rightInput, 0, -forwardInput);
+      move.current.applyQuaternion(camera.quaternion);
+      move.current.y += verticalInput;
+      if (move.current.lengthSq() > 0) {
+        camera.position.addScaledVector(move.current.normalize(), speed);
+      }
+      return;
+    }
+
+    // Follow modes - stay put until there's someone to follow
+    const snapshot = targetId ? sampleSnapshot(targetId) : null;
+    const target = players[targetId];
+    const position = snapshot?.position || target?.position;
+    if (!position) return;
+
+    const yaw = snapshot?.rotation[1] ?? target?.rotation?.[1] ?? 0;
+    // Players send their camera's yaw, so they look along (-sin, -cos)
+    const lookX = -Math.sin(yaw);
+    const lookZ = -Math.cos(yaw);
+
+    if (mode === "firstPerson") {
+      const eyeHeight = target?.isCrouching ? CROUCH_EYE_HEIGHT : EYE_HEIGHT;
+      camera.position.set(
+        position[0] + lookX * EYE_FORWARD_OFFSET,
+        position[1] + eyeHeight,
+        position[2] + lookZ * EYE_FORWARD_OFFSET
+      );
+      euler.current.set(0, yaw, 0);
+      camera.quaternion.setFromEuler(euler.current);
+      return;
+    }
+
+    followPosition.current.set(
+      position[0] - lookX * FOLLOW_DISTANCE,
+      position[1] + FOLLOW_HEIGHT,
+      position[2] - lookZ * FOLLOW_DISTANCE
+    );
+    camera.position.lerp(
+      followPosition.current,
+      Math.min(1, delta * FOLLOW_SMOOTHING)
+    );
+    camera.lookAt(position[0], position[1] + EYE_HEIGHT, position[2]);
+  });
+
+  return null;
+}
@@ -0,0 +1,126 @@
+/**
+ * Paintball ballistics and player hitboxes shared by the client (Rapier
+ * bodies in paintball.js / player.js) and the reference server (hit
+ * registration). Keep these in sync with the physics props on those bodies.
+ */
+
+export const PAINTBALL_SPEED = 60; // Muzzle velocity (units/second)
+export const PAINTBALL_RADIUS = 0.06;
+export const WORLD_GRAVITY = 9.81; // Physics gravity in Game.js
+export const PAINTBALL_GRAVITY_SCALE = 1.5; // Rapier gravityScale on paintballs
+export const PAINTBALL_GRAVITY = WORLD_GRAVITY * PAINTBALL_GRAVITY_SCALE;
+export const PAINTBALL_DAMPING = 0.15; // Rapier linearDamping
+export const PAINTBALL_LIFETIME = 3; // Seconds before a paintball is removed
+export const SIMULATION_STEP = 1 / 60; // Matches the Physics timeStep
+
+// Player capsule: segment from the body origin up to HITBOX_HEIGHT, radius around it
+export const HITBOX_RADIUS = 0.5;
+export const HITBOX_HEIGHT = 1.7;
+
+/**
+ * Initial velocity of a paintball fired along a direction
+ * @param {Array} direction Aim direction [x, y, z] (any length)
+ * @returns {Array} Velocity [x, y, z]
+ */
+export const getMuzzleVelocity = (direction) => {
+  const length = Math.hypot(direction[0], direction[1], direction[2]) || 1;
+  return [
+    (direction[0] / length) * PAINTBALL_SPEED,
+    (direction[1] / length) * PAINTBALL_SPEED,
+    (direction[2] / length) * PAINTBALL_SPEED,
+  ];
+};
+
+/**
+ * Advance a paintball by one step, the way Rapier integrates it
+ * (gravity, then damping, then position)
+ * @param {Array} position Current position [x, y, z]
+ * @param {Array} velocity Current velocity [x, y, z]
+ * @param {number} dt Step length in seconds
+ * @returns {{position: Array, velocity: Array}} State after the step
+ */
+export const stepPaintball = (position, velocity, dt = SIMULATION_STEP) => {
+  const damping = 1 / (1 + dt * PAINTBALL_DAMPING);
+  const nextVelocity = [
+    velocity[0] * damping,
+    (velocity[1] - PAINTBALL_GRAVITY * dt) * damping,
+    velocity[2] * damping,
+  ];
+
+  return {
+    position: [
+      position[0] + nextVelocity[0] * dt,
+      position[1] + nextVelocity[1] * dt,
+      position[2] + nextVelocity[2] * dt,
+    ],
+    velocity: nextVelocity,
+  };
+};
+
+/**
+ * Shortest distance between segment p1-p2 and segment q1-q2
+ */
+const segmentDistance = (p1, p2, q1, q2) => {
+  const d1 = [p2[0] - p1[0], p2[1] - p1[1], p2[2] - p1[2]];
+  const d2 = [q2[0] - q1[0], q2[1] - q1[1], q2[2] - q1[2]];
+  const r = [p1[0] - q1[0], p1[1] - q1[1], p1[2] - q1[2]];
+  const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+
+  const a = dot(d1, d1);
+  const e = dot(d2, d2);
+  const f = dot(d2, r);
+  const clamp = (value) => Math.min(1, Math.max(0, value));
+
+  let s;
+  let t;
+  if (a <= 1e-9 && e <= 1e-9) {
+    s = 0;
+    t = 0;
+  } else if (a <= 1e-9) {
+    s = 0;
+    t = clamp(f / e);
+  } else {
+    const c = dot(d1, r);
+    if (e <= 1e-9) {
+      t = 0;
+      s = clamp(-c / a);
+    } else {
+      const b = dot(d1, d2);
+      const denom = a * e - b * b;
+      s = denom > 1e-9 ? clamp((b * f - c * e) / denom) : 0;
+      t = (b * s + f) / e;
+      if (t < 0) {
+        t = 0;
+        s = clamp(-c / a);
+      } else if (t > 1) {
+        t = 1;
+        s = clamp((b - c) / a);
+      }
+    }
+  }
+
+  const closestP = [p1[0] + d1[0] * s, p1[1] + d1[1] * s, p1[2] + d1[2] * s];
+  const closestQ = [q1[0] + d2[0] * t, q1[1] + d2[1] * t, q1[2] + d2[2] * t];
+  return Math.hypot(
+    closestP[0] - closestQ[0],
+    closestP[1] - closestQ[1],
+    closestP[2] - closestQ[2]
+  );
+};
+
+/**
+ * Whether a paintball moving from `from` to `to` touches a player hitbox
+ * @param {Array} from Paintball position at the start of the step
+ * @param {Array} to Paintball position at the end of the step
+ * @param {Array} playerPosition Player body position [x, y, z]
+ * @param {number} tolerance Extra radius to allow for (latency, rounding)
+ * @returns {boolean}
+ */
+export const segmentHitsPlayer = (from, to, playerPosition, tolerance = 0) => {
+  const base = playerPosition;
+  const top = [base[0], base[1] + HITBOX_HEIGHT, base[2]];
+  return (
+    segmentDistance(from, to, base, top) <=
+    HITBOX_RADIUS + PAINTBALL_RADIUS + tolerance
+  );
+};
@@ -0,0 +1,179 @@
+/**
+ * What single-player bots see, hear and remember of their enemies
+ * Plain rules like botTactics.js: bots.js hands them positions, the sounds a
+ * bot has been sent and a line-of-sight check (raycasts against the map's
+ * colliders, from src/game/botSight.js), and keeps the memory they return.
+ *
+ * A memory is enemy id -> { position, time, confidence, source } - where
+ * the enemy was last seen or heard, when, and how sure the bot was then.
+ */
+
+import { distance2D } from "./botTactics.js";
+
+export const PERCEPTION = {
+  eyeHeight: 1.7, // Above a player's position, like the player's camera
+  targetHeights: [1.0, 1.7], // Chest and head - seeing either one will do
+  nearSenseDistance: 2, // Close enough to notice someone behind the bot
+  shotHearingDistance: 50,
+  footstepHearingDistance: 12,
+  footstepSpeed: 2.5, // m/s - anyone moving faster than this can be heard
+  memoryDuration: 10000, // ms for a memory to fade to nothing
+  soundConfidence: 0.6, // Hearing someone is less sure than seeing them
+  attentionConfidence: 0.3, // Sure enough to turn and look
+};
+
+export const SOUND_TYPES = {
+  SHOT: "shot",
+  FOOTSTEP: "footstep",
+};
+
+/**
+ * Whether a position is within a bot's view distance and field of view
+ * @param {Object} bot { position, rotation } - facing along (-sin, -cos) of
+ *   its yaw, like the local player
+ * @param {Array} position Position [x, y, z]
+ * @param {Object} skill Entry in BOT_SKILLS (viewDistance, fieldOfView)
+ * @param {Object} settings Tuning, PERCEPTION by default
+ * @returns {boolean}
+ */
+export const isInViewCone = (bot, position, skill, settings = PERCEPTION) => {
+  const dist = distance2D(bot.position, position);
+  if (dist > skill.viewDistance) return false;
+  if (dist <= settings.nearSenseDistance) return true;
+
+  const yaw = bot.rotation[1];
+  const dot =
+    (-Math.sin(yaw) * (position[0] - bot.position[0]) -
+      Math.cos(yaw) * (position[2] - bot.position[2])) /
+    dist;
+  return dot >= Math.cos(skill.fieldOfView / 2);
+};
+
+/**
+ * Whether a bot can see an enemy: in its view cone and, if there's a
+ * line-of-sight check, with the map out of the way of their chest or head
+ * @param {Object} bot { position, rotation }
+ * @param {Object} target { position }
+ * @param {Object} skill Entry in BOT_SKILLS
+ * @param {Function|null} hasLineOfSight (from, to) => boolean, or null to
+ *   go by the view cone alone
+ * @param {Object} settings Tuning, PERCEPTION by default
+ * @returns {boolean}
+ */
+export const canSee = (
+  bot,
+  target,
+  skill,
+  hasLineOfSight,
+  settings = PERCEPTION
+) => {
+  if (!isInViewCone(bot, target.position, skill, settings)) return false;
+  if (!hasLineOfSight) return true;
+
+  const eye = [
+    bot.position[0],
+    bot.position[1] + settings.eyeHeight,
+    bot.position[2],
+  ];
+  return settings.targetHeights.some((height) =>
+    hasLineOfSight(eye, [
+      target.position[0],
+      target.position[1] + height,
+      target.position[2],
+    ])
+  );
+};
+
+/**
+ * Whether a bot is close enough to a sound to hear it. Walls don't stop
+ * sound.
+ * @param {Object} bot { position }
+ * @param {Object} sound { type (one of SOUND_TYPES), position }
+ * @param {Object} settings Tuning, PERCEPTION by default
+ * @returns {boolean}
+ */
+export const canHear = (bot, sound, settings = PERCEPTION) => {
+  const range =
+    sound.type === SOUND_TYPES.SHOT
+      ? settings.shotHearingDistance
+      : settings.footstepHearingDistance;
+  return distance2D(bot.position, sound.position) <= range;
+};
+
+/**
+ * How sure a bot still is of a memory - its confidence fading to nothing
+ * over memoryDuration
+ * @param {Object} entry Memory entry
+ * @param {number} now Current time (ms)
+ * @param {Object} settings Tuning, PERCEPTION by default
+ * @returns {number} 0 to 1
+ */
+export const getConfidence = (entry, now, settings = PERCEPTION) =>
+  Math.max(
+    0,
+    entry.confidence * (1 - (now - entry.time) / settings.memoryDuration)
+  );
+
+/**
+ * A bot's memory after what it has just seen and heard. Faded memories are
+ * forgotten, and a sound only replaces a memory it's surer than.
+ * @param {Object} memory Enemy id -> entry
+ * @param {Object} perceived { seen: [{ id, position }], heard: [{ sourceId,
+ *   position }] }
+ * @param {number} now Current time (ms)
+ * @param {Object} settings Tuning, PERCEPTION by default
+ * @returns {Object} New memory
+ */
+export const updateMemory = (
+  memory,
+  { seen = [], heard = [] },
+  now,
+  settings = PERCEPTION
+) => {
+  const updated = {};
+  Object.entries(memory).forEach(([id, entry]) => {
+    if (getConfidence(entry, now, settings) > 0) updated[id] = entry;
+  });
+
+  heard.forEach(({ sourceId, position }) => {
+    const known = updated[sourceId];
+    if (
+      known &&
+      getConfidence(known, now, settings) > settings.soundConfidence
+    ) {
+      return;
+    }
+    updated[sourceId] = {
+      position,
+      time: now,
+      confidence: settings.soundConfidence,
+      source: "sound",
+    };
+  });
+  seen.forEach(({ id, position }) => {
+    updated[id] = { position, time: now, confidence: 1, source: "sight" };
+  });
+
+  return updated;
+};
+
+/**
+ * The enemy a bot is surest about, if it's sure enough to look their way
+ * @param {Object} memory Enemy id -> entry
+ * @param {number} now Current time (ms)
+ * @param {Object} settings Tuning, PERCEPTION by default
+ * @returns {Object|null} { id, position, confidence }
+ */
+export const getStrongestMemory = (memory, now, settings = PERCEPTION) => {
+  let strongest = null;
+  Object.entries(memory).forEach(([id, entry]) => {
+    const confidence = getConfidence(entry, now, settings);
+    if (
+      confidence >= settings.attentionConfidence &&
+      (!strongest || confidence > strongest.confidence)
+    ) {
+      strongest = { id, position: entry.position, confidence };
+    }
+  });
+  return strongest;
+};
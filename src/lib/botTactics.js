@@ -0,0 +1,197 @@
+/**
+ * Capture-the-flag tactics for single-player bots
+ * Plain rules with no timers or sockets of their own (randomness is passed
+ * in), so they can be tuned here and checked on their own. bots.js feeds
+ * them what the mock server knows and carries out what they decide.
+ */
+
+import { FLAG_POSITIONS, CRATE_POSITIONS } from "./config.js";
+
+export const BOT_ROLES = {
+  ATTACKER: "attacker", // Goes for the enemy flag (and runs it home)
+  DEFENDER: "defender", // Patrols around its own flag
+  ESCORT: "escort", // Sticks with a teammate carrying the enemy flag
+  CHASER: "chaser", // Hunts the enemy carrying its flag
+};
+
+// Objective actions bots.js carries out when a bot gets where it's going
+export const BOT_ACTIONS = {
+  CAPTURE_FLAG: "captureFlag",
+  SCORE_FLAG: "scoreFlag",
+  REPLENISH: "replenish",
+};
+
+export const TACTICS = {
+  defenderShare: 1 / 3, // Of a team's bots defending while no flag is out
+  minDefenders: 1, // Kept home whatever happens, once a team has two bots
+  chaserShare: 0.5, // Of a team's bots sent after an enemy carrying its flag
+  defendRadius: 12, // How far from their flag defenders patrol
+  escortDistance: 5, // How close escorts keep to their carrier
+  flagRadius: 3, // How close to a flag a bot takes or scores it (player.js)
+  crateRadius: 4, // How close to the crate a bot replenishes (player.js: 5)
+  lowPaint: 5, // Paintballs left, with no spare canister, before resupplying
+  arriveRadius: 2, // Close enough to a patrol point to pick the next one
+};
+
+export const otherTeam = (team) => (team === "Red" ? "Blue" : "Red");
+
+export const distance2D = (a, b) => Math.hypot(a[0] - b[0], a[2] - b[2]);
+
+/**
+ * Whether a bot should head back to its crate: no spare canisters and
+ * hardly anything left in the one it has loaded
+ * @param {Object} bot { chamberAmmo, canistersRemaining, reloadEndsAt }
+ * @param {Object} tactics Tuning, TACTICS by default
+ * @returns {boolean}
+ */
+export const isLowOnPaint = (bot, tactics = TACTICS) =>
+  !bot.canistersRemaining &&
+  !bot.reloadEndsAt &&
+  bot.chamberAmmo <= tactics.lowPaint;
+
+/**
+ * Hand out roles to one team's bots. A bot carrying the enemy flag stays an
+ * attacker. If the enemy has the team's flag, the bots nearest the carrier
+ * chase it. The rest defend (a few) and attack, or escort their own carrier
+ * if the team has the enemy flag. Bots keep the role they had when they
+ * qualify for it, so roles don't flicker as bots move around.
+ * @param {Array} teamBots [{ id, position, role }] - the team's bots in play
+ * @param {string} team "Red" or "Blue"
+ * @param {Object} world { flagCarriers: { Red, Blue } (carrier id or null),
+ *   players: { id: { id, team, position } } (everyone in play) }
+ * @param {Object} tactics Tuning, TACTICS by default
+ * @returns {Object} Bot id -> role (one of BOT_ROLES)
+ */
+export const assignRoles = (teamBots, team, world, tactics = TACTICS) => {
+  const roles = {};
+  const home = FLAG_POSITIONS[team];
+  const enemyCarrier = world.players[world.flagCarriers[team]] || null;
+  const teamCarrierId = world.flagCarriers[otherTeam(team)];
+  const teamCarrier = world.players[teamCarrierId] || null;
+
+  let pool = teamBots.filter((bot) => bot.id !== teamCarrierId);
+  if (pool.length < teamBots.length) {
+    roles[teamCarrierId] = BOT_ROLES.ATTACKER;
+  }
+
+  // Take the best `count` bots for a role - those already in it first,
+  // then the nearest to `point`
+  const pick = (role, count, point) => {
+    const picked = [...pool]
+      .sort(
+        (a, b) =>
+          (b.role === role) - (a.role === role) ||
+          distance2D(a.position, point) - distance2D(b.position, point)
+      )
+      .slice(0, count);
+    picked.forEach((bot) => {
+      roles[bot.id] = role;
+    });
+    pool = pool.filter((bot) => !picked.includes(bot));
+  };
+
+  if (enemyCarrier) {
+    const chasers = Math.max(1, Math.round(pool.length * tactics.chaserShare));
+    pick(BOT_ROLES.CHASER, chasers, enemyCarrier.position);
+  }
+
+  // A lone bot is more use going for the flag than guarding it
+  if (teamBots.length > 1) {
+    const flagIsOut = enemyCarrier || teamCarrier;
+    const defenders = flagIsOut
+      ? tactics.minDefenders
+      : Math.max(
+          tactics.minDefenders,
+          Math.round(teamBots.length * tactics.defenderShare)
+        );
+    pick(BOT_ROLES.DEFENDER, defenders, home);
+  }
+
+  pool.forEach((bot) => {
+    roles[bot.id] = teamCarrier ? BOT_ROLES.ESCORT : BOT_ROLES.ATTACKER;
+  });
+
+  return roles;
+};
+
+/**
+ * Where a bot should go for its role, and what to do once it's there.
+ * Carrying the enemy flag and running low on paint come before the role.
+ * @param {Object} bot { id, team, role, position, waypoint, chamberAmmo,
+ *   canistersRemaining, reloadEndsAt }
+ * @param {Object} world As for assignRoles
+ * @param {Object} tactics Tuning, TACTICS by default
+ * @param {Function} random Returns a number in [0, 1), for patrol points
+ * @returns {{destination: Array, action: string|null}} Point to move to and
+ *   the BOT_ACTIONS entry to carry out there (null if none, or not there yet)
+ */
+export const getObjective = (
+  bot,
+  world,
+  tactics = TACTICS,
+  random = Math.random
+) => {
+  const enemyTeam = otherTeam(bot.team);
+  const home = FLAG_POSITIONS[bot.team];
+  const goTo = (destination, action = null, radius = tactics.flagRadius) => ({
+    destination,
+    action:
+      action && distance2D(bot.position, destination) <= radius ? action : null,
+  });
+
+  if (world.flagCarriers[enemyTeam] === bot.id) {
+    return goTo(home, BOT_ACTIONS.SCORE_FLAG);
+  }
+  if (isLowOnPaint(bot, tactics)) {
+    return goTo(
+      CRATE_POSITIONS[bot.team],
+      BOT_ACTIONS.REPLENISH,
+      tactics.crateRadius
+    );
+  }
+
+  const enemyCarrier = world.players[world.flagCarriers[bot.team]];
+  const teamCarrier = world.players[world.flagCarriers[enemyTeam]];
+
+  if (bot.role === BOT_ROLES.CHASER && enemyCarrier) {
+    return goTo(enemyCarrier.position);
+  }
+
+  if (
+    (bot.role === BOT_ROLES.ESCORT || bot.role === BOT_ROLES.ATTACKER) &&
+    teamCarrier
+  ) {
+    // Someone on the team has the flag - keep them company
+    const isClose =
+      distance2D(bot.position, teamCarrier.position) <= tactics.escortDistance;
+    return goTo(isClose ? bot.position : teamCarrier.position);
+  }
+
+  if (bot.role === BOT_ROLES.ATTACKER) {
+    return goTo(FLAG_POSITIONS[enemyTeam], BOT_ACTIONS.CAPTURE_FLAG);
+  }
+
+  // Defenders, and anyone whose carrier is gone, patrol around their flag
+  const keepPost =
+    bot.waypoint &&
+    distance2D(bot.waypoint, home) <= tactics.defendRadius &&
+    distance2D(bot.position, bot.waypoint) > tactics.arriveRadius;
+  return goTo(keepPost ? bot.waypoint : getPatrolPoint(home, tactics, random));
+};
+
+/**
+ * A random point within defendRadius of a flag
+ * @param {Array} home Flag position [x, y, z]
+ * @param {Object} tactics Tuning
+ * @param {Function} random Returns a number in [0, 1)
+ * @returns {Array} [x, y, z]
+ */
+const getPatrolPoint = (home, tactics, random) => {
+  const angle = random() * Math.PI * 2;
+  const radius = random() * tactics.defendRadius;
+  return [
+    home[0] + Math.sin(angle) * radius,
+    home[1],
+    home[2] + Math.cos(angle) * radius,
+  ];
+};
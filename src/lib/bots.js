@@ -1,7 +1,54 @@
 /**
  * Bot AI for single-player mode
+ * Bots are clients of the mock server in socket.js: they send their moves
+ * as "players" updates, fire paintballs and take flags through it, and take
+ * hits, eliminations and respawns through the same events a real player
+ * gets. What they go for is decided by the rules in botTactics.js, they
+ * find their way there over the nav graph from navigation.js, and they only
+ * know about the enemies botPerception.js lets them see or hear.
  */
-import { triggerMockEvent } from "./socket";
+import {
+  triggerMockEvent,
+  addMockBot,
+  removeMockBots,
+  fireMockPaintball,
+  getMockPlayerState,
+  getMockFlags,
+  takeMockFlag,
+  scoreMockFlag,
+} from "./socket";
+import {
+  MAX_HEALTH,
+  FIRE_RATE,
+  RELOAD_TIME,
+  MAGAZINE_CAPACITY,
+  SPARE_CANISTERS,
+  REPLENISH_TIME,
+} from "./config";
+import { PAINTBALL_GRAVITY, PAINTBALL_SPEED } from "./ballistics";
+import {
+  BOT_ROLES,
+  BOT_ACTIONS,
+  TACTICS,
+  assignRoles,
+  getObjective,
+  otherTeam,
+} from "./botTactics";
+import {
+  STANDING_HEIGHT,
+  findPath,
+  smoothPath,
+  getAvoidance,
+  isWalkable,
+} from "./navigation";
+import {
+  PERCEPTION,
+  SOUND_TYPES,
+  canSee,
+  canHear,
+  updateMemory,
+  getStrongestMemory,
+} from "./botPerception";
 
 // Default bot names
 const BOT_NAMES = [
@@ -19,21 +66,84 @@ const BOT_NAMES = [
   "Sniper",
 ];
 
+// How each skill level fights:
+// - viewDistance, fieldOfView: how far and how wide (radians) it spots enemies
+// - reactionTime: ms from spotting an enemy to the first shot
+// - aimError: largest aim offset (radians) sideways and up or down
+// - leadFactor: share of a moving target's travel during the flight it aims
+//   ahead for (0 shoots where the target is)
+// - burstLength, burstPause: shots per burst and ms between bursts
+export const BOT_SKILLS = {
+  easy: {
+    viewDistance: 40,
+    fieldOfView: Math.PI / 2,
+    reactionTime: 900,
+    aimError: 0.07,
+    leadFactor: 0,
+    burstLength: 2,
+    burstPause: 1200,
+  },
+  medium: {
+    viewDistance: 60,
+    fieldOfView: (Math.PI * 2) / 3,
+    reactionTime: 450,
+    aimError: 0.035,
+    leadFactor: 0.6,
+    burstLength: 4,
+    burstPause: 700,
+  },
+  hard: {
+    viewDistance: 80,
+    fieldOfView: (Math.PI * 5) / 6,
+    reactionTime: 200,
+    aimError: 0.012,
+    leadFactor: 1,
+    burstLength: 6,
+    burstPause: 300,
+  },
+};
+
+// Same colors as the local player's paintballs (Game.js)
+const PAINTBALL_COLORS = { Red: "#ff0000", Blue: "#0066ff" };
+
+// Heights above a player's position (the bottom of their hitbox)
+const MUZZLE_HEIGHT = 1.35;
+const AIM_HEIGHT = 1.0; // Chest
+const MUZZLE_FORWARD_OFFSET = 0.8; // Clear of the bot's own hitbox
+const MAX_TRACKED_SPEED = 20; // m/s - a faster jump is a respawn, not movement
+
+// Path following
+const MOVE_SPEED = 5; // m/s
+const REPATH_DISTANCE = 2.5; // How far the waypoint moves before re-planning
+const REPATH_INTERVAL = 500; // ms - at least this long between plans
+const PATH_POINT_RADIUS = 0.5; // Close enough to a path point to go on
+
 // Bot state
 let bots = {};
 let updateInterval = null;
+let shotCounter = 0;
+let navGraph = null; // From src/game/navigation.js once the map has loaded
+let lineOfSight = null; // From src/game/botSight.js while the world is up
+const sightings = {}; // player id -> { position, time, velocity }
 
 /**
  * Initialize bots for single-player mode
  * @param {number} count Number of bots to create
  * @param {Object} options Bot options
+ * @param {string} options.playerTeam The local player's team, which gets the
+ *   smaller half of an odd count
+ * @param {string} options.skill "easy", "medium" or "hard"
+ * @param {Array} options.botNames Names to use before random ones
  */
 export const initializeBots = (count = 2, options = {}) => {
   // Clear existing bots
   stopBots();
   bots = {};
 
-  const { redTeamCount, blueTeamCount } = calculateTeamDistribution(count);
+  const { redTeamCount, blueTeamCount } = calculateTeamDistribution(
+    count,
+    options.playerTeam
+  );
 
   console.log(
     `Initializing ${count} bots (${redTeamCount} red, ${blueTeamCount} blue)`
@@ -48,7 +158,7 @@ export const initializeBots = (count = 2, options = {}) => {
       position: getRandomPosition("Red"),
       ...options,
     });
-    bots[bot.id] = bot;
+    addBot(bot);
   }
 
   // Create blue team bots
@@ -60,7 +170,7 @@ export const initializeBots = (count = 2, options = {}) => {
       position: getRandomPosition("Blue"),
       ...options,
     });
-    bots[bot.id] = bot;
+    addBot(bot);
   }
 
   // Start bot movement updates
@@ -69,6 +179,50 @@ export const initializeBots = (count = 2, options = {}) => {
   return Object.values(bots);
 };
 
+/**
+ * Track a bot and enter it into the mock server's combat
+ * @param {Object} bot Bot from createBot
+ */
+const addBot = (bot) => {
+  bots[bot.id] = bot;
+  addMockBot(bot, (event, data) => handleBotEvent(bot, event, data));
+};
+
+/**
+ * React to the mock server's per-player events, like Game.js does for the
+ * local player
+ * @param {Object} bot Bot the event is for
+ * @param {string} event healthUpdate, hitConfirmed, startRespawnTimer,
+ *   playerRespawned or paintball
+ * @param {Object} data Event payload
+ */
+const handleBotEvent = (bot, event, data) => {
+  if (event === "healthUpdate") {
+    bot.health = data.health;
+  } else if (event === "startRespawnTimer") {
+    bot.health = 0;
+    bot.isEliminated = true;
+    bot.target = null;
+  } else if (event === "paintball") {
+    // Someone else fired - the bot hears it if it's close enough
+    bot.heard.push({
+      type: SOUND_TYPES.SHOT,
+      sourceId: data.shooterId,
+      position: data.origin,
+    });
+  } else if (event === "playerRespawned") {
+    bot.health = data.health;
+    bot.isEliminated = false;
+    bot.position = data.position;
+    bot.waypoint = data.position;
+    bot.memory = {};
+    bot.heard = [];
+    clearPath(bot);
+    // A fresh load-out, like the local player gets
+    Object.assign(bot, createLoadout());
+  }
+};
+
 /**
  * Create a single bot
  * @param {Object} options Bot options
@@ -78,7 +232,7 @@ export const createBot = ({
   name = getRandomBotName(),
   team = Math.random() > 0.5 ? "Red" : "Blue",
   position = getRandomPosition(team),
-  health = 100,
+  health = MAX_HEALTH,
   skill = "medium", // "easy", "medium", "hard"
 }) => {
   const botId = `bot-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`;
@@ -90,18 +244,82 @@ export const createBot = ({
     position,
     rotation: [0, 0, 0],
     health,
+    isEliminated: false,
     isBot: true,
     skill,
     lastUpdateTime: Date.now(),
     target: null,
-    state: "patrol", // patrol, attack, defend, retreat
-    waypoint: getRandomWaypoint(team),
+    memory: {}, // What the bot has seen and heard of its enemies
+    heard: [], // Sounds since the last update
+    role: BOT_ROLES.ATTACKER, // Until the first update hands out roles
+    waypoint: position,
+    path: null, // Points to walk to the waypoint, from the nav graph
+    pathIndex: 0, // The point in path being walked to
+    pathGoal: null, // Waypoint the path was planned for
+    pathPlannedAt: 0,
     shootCooldown: 0,
+    targetSpottedAt: 0,
+    burstShots: 0,
+    ...createLoadout(),
   };
 
   return bot;
 };
 
+/**
+ * A full gun: a loaded canister plus the spares
+ * @returns {Object} Ammo fields for a bot
+ */
+const createLoadout = () => ({
+  chamberAmmo: MAGAZINE_CAPACITY,
+  canistersRemaining: SPARE_CANISTERS,
+  reloadEndsAt: 0, // When the canister being loaded is in (0 if not reloading)
+  replenishEndsAt: 0, // When the crate refill is done (0 if not at the crate)
+});
+
+/**
+ * Give the bots a nav graph to plan their routes over. Without one they walk
+ * straight at their waypoints.
+ * @param {Object|null} graph From buildNavGraph
+ */
+export const setNavGraph = (graph) => {
+  navGraph = graph;
+  Object.values(bots).forEach(clearPath);
+};
+
+/**
+ * Give the bots a way to check what the map hides from them. Without one
+ * they see everything in their view cone.
+ * @param {Function|null} check (from, to) => boolean, true if nothing on
+ *   the map is in the way
+ */
+export const setLineOfSight = (check) => {
+  lineOfSight = check;
+};
+
+/**
+ * The nav graph bots are using
+ * @returns {Object|null} From buildNavGraph, or null if there isn't one yet
+ */
+export const getNavGraph = () => navGraph;
+
+/**
+ * The routes bots in play are walking, for the debug overlay
+ * @returns {Object} Bot id -> { team, points } (the bot's position, then the
+ *   path points it has still to reach)
+ */
+export const getBotPaths = () => {
+  const paths = {};
+  Object.values(bots).forEach((bot) => {
+    if (bot.isEliminated || !bot.path) return;
+    paths[bot.id] = {
+      team: bot.team,
+      points: [bot.position, ...bot.path.slice(bot.pathIndex)],
+    };
+  });
+  return paths;
+};
+
 /**
  * Start bot update interval
  */
@@ -116,13 +334,15 @@ export const startBotUpdates = () => {
 };
 
 /**
- * Stop bot updates
+ * Stop bot updates and take the bots out of the game
  */
 export const stopBots = () => {
   if (updateInterval) {
     clearInterval(updateInterval);
     updateInterval = null;
   }
+  Object.keys(sightings).forEach((id) => delete sightings[id]);
+  removeMockBots();
 };
 
 /**
@@ -131,16 +351,27 @@ export const stopBots = () => {
 function updateBots() {
   const now = Date.now();
   const updatedPositions = {};
+  const combatants = getCombatants();
+  trackMovement(combatants, now);
+  const footsteps = getFootsteps(combatants);
+  const world = getWorld(combatants);
+  assignBotRoles(world);
 
   // Update each bot
   Object.values(bots).forEach((bot) => {
     const timeDelta = now - bot.lastUpdateTime;
 
-    // Update bot state based on simple AI
-    updateBotState(bot);
+    // Eliminated bots wait where they fell until they respawn
+    if (!bot.isEliminated) {
+      // Pick where to go for the bot's role, and take or score a flag
+      updateBotState(bot, world, now);
 
-    // Move bot based on current state
-    updateBotPosition(bot, timeDelta / 1000);
+      // Walk the route to the waypoint, keeping out of everyone's way
+      updateBotPosition(bot, timeDelta / 1000, combatants, now);
+
+      // Look for enemies and shoot at them
+      updateBotCombat(bot, combatants, footsteps, now);
+    }
 
     // Update shooting logic
     if (bot.shootCooldown > 0) {
@@ -153,6 +384,8 @@ function updateBots() {
       rotation: bot.rotation,
       name: bot.name,
       team: bot.team,
+      health: bot.health,
+      is_eliminated: bot.isEliminated,
       isBot: true,
     };
 
@@ -166,79 +399,433 @@ function updateBots() {
 }
 
 /**
- * Update bot state based on simple AI rules
+ * What bots know of the match: who carries each flag, and where everyone in
+ * play is
+ * @param {Array} combatants From getCombatants
+ * @returns {Object} World, as botTactics.js takes it
+ */
+function getWorld(combatants) {
+  const players = {};
+  combatants.forEach((combatant) => {
+    players[combatant.id] = combatant;
+  });
+  return { flagCarriers: getMockFlags(), players };
+}
+
+/**
+ * Hand each team's bots in play their roles
+ * @param {Object} world From getWorld
+ */
+function assignBotRoles(world) {
+  ["Red", "Blue"].forEach((team) => {
+    const teamBots = Object.values(bots).filter(
+      (bot) => bot.team === team && !bot.isEliminated
+    );
+    const roles = assignRoles(teamBots, team, world, TACTICS);
+    teamBots.forEach((bot) => {
+      bot.role = roles[bot.id];
+    });
+  });
+}
+
+/**
+ * Set the bot's waypoint from its objective and carry out the objective's
+ * action once it gets there
  * @param {Object} bot Bot object to update
+ * @param {Object} world From getWorld
+ * @param {number} now Current time (ms)
  */
-function updateBotState(bot) {
-  // Simple state machine:
-  // 1. If health is low, retreat to base
-  // 2. If at flag, try to capture
-  // 3. If has flag, return to base
-  // 4. Otherwise patrol between waypoints
-
-  // For now, just randomly change state occasionally
-  if (Math.random() < 0.01) {
-    const states = ["patrol", "attack", "defend"];
-    bot.state = states[Math.floor(Math.random() * states.length)];
-
-    // Set a new waypoint when changing to patrol
-    if (bot.state === "patrol") {
-      bot.waypoint = getRandomWaypoint(bot.team);
-    }
+function updateBotState(bot, world, now) {
+  const { destination, action } = getObjective(bot, world, TACTICS);
+  bot.waypoint = destination;
+
+  if (action === BOT_ACTIONS.CAPTURE_FLAG) {
+    takeMockFlag(bot.id, otherTeam(bot.team));
+  } else if (action === BOT_ACTIONS.SCORE_FLAG) {
+    scoreMockFlag(bot.id, otherTeam(bot.team));
   }
 
-  // If reached waypoint, set a new one
-  const distToWaypoint = distance(bot.position, bot.waypoint);
-  if (distToWaypoint < 5) {
-    bot.waypoint = getRandomWaypoint(bot.team);
+  // Refilling takes a while at the crate, like it does for the player
+  if (action !== BOT_ACTIONS.REPLENISH) {
+    bot.replenishEndsAt = 0;
+  } else if (!bot.replenishEndsAt) {
+    bot.replenishEndsAt = now + REPLENISH_TIME;
+  } else if (now >= bot.replenishEndsAt) {
+    Object.assign(bot, createLoadout());
   }
 }
 
 /**
- * Update bot position based on current state and target
+ * Walk the bot along its path to the waypoint, nudged away from anyone
+ * standing too close
  * @param {Object} bot Bot to update
  * @param {number} deltaTime Time since last update in seconds
+ * @param {Array} combatants From getCombatants
+ * @param {number} now Current time (ms)
  */
-function updateBotPosition(bot, deltaTime) {
-  const moveSpeed = 5; // units per second
+function updateBotPosition(bot, deltaTime, combatants, now) {
+  const target = getNextPathPoint(bot, now);
+  const dx = target[0] - bot.position[0];
+  const dz = target[2] - bot.position[2];
+  const length = Math.hypot(dx, dz);
+
+  // Head for the next point, stopping at it rather than overshooting
+  const step = Math.min(length, MOVE_SPEED * deltaTime);
+  let x = bot.position[0];
+  let z = bot.position[2];
+  if (length > 0) {
+    x += (dx / length) * step;
+    z += (dz / length) * step;
+  }
 
-  // Calculate movement vector towards waypoint
-  const moveVector = [
-    bot.waypoint[0] - bot.position[0],
-    0, // Bots don't fly
-    bot.waypoint[2] - bot.position[2],
+  // Give way to other players - unless that would walk into a wall
+  const others = combatants
+    .filter((other) => other.id !== bot.id)
+    .map((other) => other.position);
+  const [pushX, pushZ] = getAvoidance([x, 0, z], others);
+  const pushed = [
+    x + pushX * MOVE_SPEED * deltaTime,
+    0,
+    z + pushZ * MOVE_SPEED * deltaTime,
   ];
+  if ((pushX || pushZ) && (!navGraph || isWalkable(navGraph, pushed))) {
+    x = pushed[0];
+    z = pushed[2];
+  }
 
-  // Normalize vector
-  const length = Math.sqrt(
-    moveVector[0] * moveVector[0] + moveVector[2] * moveVector[2]
-  );
+  bot.position = [x, navGraph ? STANDING_HEIGHT : bot.position[1], z];
 
+  // Update rotation to face movement direction
   if (length > 0) {
-    moveVector[0] /= length;
-    moveVector[2] /= length;
+    bot.rotation = [0, toYaw(dx, dz), 0];
+  }
+}
+
+/**
+ * The point the bot should walk towards: the next one on its path, planning
+ * a new path when the waypoint has moved. Straight at the waypoint if there
+ * is no nav graph or no way there.
+ * @param {Object} bot Bot to update
+ * @param {number} now Current time (ms)
+ * @returns {Array} [x, y, z]
+ */
+function getNextPathPoint(bot, now) {
+  if (!navGraph) return bot.waypoint;
+
+  const goalMoved =
+    !bot.pathGoal || distance(bot.pathGoal, bot.waypoint) > REPATH_DISTANCE;
+  if (goalMoved && now - bot.pathPlannedAt >= REPATH_INTERVAL) {
+    const path = findPath(navGraph, bot.position, bot.waypoint);
+    bot.path = path ? smoothPath(navGraph, path) : null;
+    // The first point is where the bot is (or the node nearest it)
+    bot.pathIndex = bot.path ? Math.min(1, bot.path.length - 1) : 0;
+    bot.pathGoal = bot.waypoint;
+    bot.pathPlannedAt = now;
+  }
+  if (!bot.path) return bot.waypoint;
+
+  while (
+    bot.pathIndex < bot.path.length - 1 &&
+    distance(bot.position, bot.path[bot.pathIndex]) <= PATH_POINT_RADIUS
+  ) {
+    bot.pathIndex++;
+  }
+  // At the end of the path, carry on to where the waypoint has crept since
+  // (if the bot can stand there)
+  const next = bot.path[bot.pathIndex];
+  const isDone =
+    bot.pathIndex >= bot.path.length - 1 &&
+    distance(bot.position, next) <= PATH_POINT_RADIUS;
+  return isDone && isWalkable(navGraph, bot.waypoint) ? bot.waypoint : next;
+}
+
+/**
+ * Forget the bot's path, so it plans a new one
+ * @param {Object} bot Bot to update
+ */
+function clearPath(bot) {
+  bot.path = null;
+  bot.pathIndex = 0;
+  bot.pathGoal = null;
+  bot.pathPlannedAt = 0;
+}
+
+/**
+ * Everyone who can be shot at: the bots still standing and the local player
+ * @returns {Array} [{ id, team, position }]
+ */
+function getCombatants() {
+  const combatants = Object.values(bots)
+    .filter((bot) => !bot.isEliminated)
+    .map(({ id, team, position }) => ({ id, team, position }));
+
+  const player = getMockPlayerState();
+  if (player && player.position && !player.isEliminated) {
+    combatants.push(player);
+  }
+  return combatants;
+}
+
+/**
+ * Work out how fast everyone is moving from where they were last update,
+ * so bots can lead their shots
+ * @param {Array} combatants From getCombatants
+ * @param {number} now Current time (ms)
+ */
+function trackMovement(combatants, now) {
+  combatants.forEach(({ id, position }) => {
+    const last = sightings[id];
+    const dt = last ? (now - last.time) / 1000 : 0;
+    let velocity = [0, 0, 0];
+    if (dt > 0) {
+      velocity = [0, 1, 2].map(
+        (axis) => (position[axis] - last.position[axis]) / dt
+      );
+    }
+    if (Math.hypot(...velocity) > MAX_TRACKED_SPEED) {
+      velocity = [0, 0, 0];
+    }
+    sightings[id] = { position, time: now, velocity };
+  });
+}
+
+/**
+ * The noise everyone running around makes, for bots to hear
+ * @param {Array} combatants From getCombatants
+ * @returns {Array} Sounds [{ type, sourceId, position }]
+ */
+function getFootsteps(combatants) {
+  return combatants
+    .filter(({ id }) => {
+      const velocity = sightings[id]?.velocity || [0, 0, 0];
+      return Math.hypot(velocity[0], velocity[2]) > PERCEPTION.footstepSpeed;
+    })
+    .map(({ id, position }) => ({
+      type: SOUND_TYPES.FOOTSTEP,
+      sourceId: id,
+      position,
+    }));
+}
+
+/**
+ * Pick a target from the enemies the bot can see, turn to it and fire once
+ * the bot has reacted, its gun is ready and it has paint. With nobody in
+ * sight it looks towards where it last saw or heard someone.
+ * @param {Object} bot Bot to update
+ * @param {Array} combatants From getCombatants
+ * @param {Array} footsteps From getFootsteps
+ * @param {number} now Current time (ms)
+ */
+function updateBotCombat(bot, combatants, footsteps, now) {
+  const skill = BOT_SKILLS[bot.skill] || BOT_SKILLS.medium;
+  updateBotWeapon(bot, now);
+
+  const previousMemory = bot.memory;
+  const visible = perceive(bot, combatants, footsteps, skill, now);
+  const target = findTarget(bot, visible);
+  if (!target) {
+    bot.target = null;
+    const lead = getStrongestMemory(bot.memory, now, PERCEPTION);
+    if (lead) {
+      bot.rotation = [
+        0,
+        toYaw(
+          lead.position[0] - bot.position[0],
+          lead.position[2] - bot.position[2]
+        ),
+        0,
+      ];
+    }
+    return;
+  }
+  if (target.id !== bot.target) {
+    bot.target = target.id;
+    // Someone the bot already knew was around takes less reacting to
+    const wasExpected = Boolean(previousMemory[target.id]);
+    bot.targetSpottedAt = now - (wasExpected ? skill.reactionTime / 2 : 0);
+    bot.burstShots = 0;
   }
 
-  // Update position based on movement vector and speed
-  bot.position = [
-    bot.position[0] + moveVector[0] * moveSpeed * deltaTime,
-    bot.position[1],
-    bot.position[2] + moveVector[2] * moveSpeed * deltaTime,
+  const aimPoint = getAimPoint(bot, target, skill);
+  const muzzle = [
+    bot.position[0],
+    bot.position[1] + MUZZLE_HEIGHT,
+    bot.position[2],
   ];
+  const aim = [
+    aimPoint[0] - muzzle[0],
+    aimPoint[1] - muzzle[1],
+    aimPoint[2] - muzzle[2],
+  ];
+  bot.rotation = [0, toYaw(aim[0], aim[2]), 0];
+
+  if (
+    now - bot.targetSpottedAt < skill.reactionTime ||
+    bot.shootCooldown > 0 ||
+    bot.reloadEndsAt > 0 ||
+    bot.chamberAmmo <= 0
+  ) {
+    return;
+  }
 
-  // Update rotation to face movement direction
-  if (length > 0) {
-    const angle = Math.atan2(moveVector[0], moveVector[2]);
-    bot.rotation = [0, angle, 0];
+  const direction = addAimError(aim, skill.aimError);
+  fireMockPaintball(bot.id, {
+    id: `${bot.id}-pb-${++shotCounter}`,
+    origin: [
+      muzzle[0] + direction[0] * MUZZLE_FORWARD_OFFSET,
+      muzzle[1] + direction[1] * MUZZLE_FORWARD_OFFSET,
+      muzzle[2] + direction[2] * MUZZLE_FORWARD_OFFSET,
+    ],
+    direction,
+    color: PAINTBALL_COLORS[bot.team],
+  });
+
+  bot.chamberAmmo--;
+  bot.burstShots++;
+  if (bot.burstShots >= skill.burstLength) {
+    bot.burstShots = 0;
+    bot.shootCooldown = skill.burstPause;
+  } else {
+    bot.shootCooldown = FIRE_RATE;
   }
 }
 
 /**
- * Get a random bot name
+ * Finish a reload that's done, or start one on an empty chamber if there's
+ * a canister left. With none left the bot can't shoot until it replenishes.
+ * @param {Object} bot Bot to update
+ * @param {number} now Current time (ms)
+ */
+function updateBotWeapon(bot, now) {
+  if (bot.reloadEndsAt > 0 && now >= bot.reloadEndsAt) {
+    bot.reloadEndsAt = 0;
+    bot.chamberAmmo = MAGAZINE_CAPACITY;
+  }
+  if (bot.chamberAmmo <= 0 && !bot.reloadEndsAt && bot.canistersRemaining) {
+    bot.canistersRemaining--;
+    bot.reloadEndsAt = now + RELOAD_TIME;
+  }
+}
+
+/**
+ * Update what the bot knows of its enemies from what it can see now and the
+ * sounds it can hear
+ * @param {Object} bot Bot to update
+ * @param {Array} combatants From getCombatants
+ * @param {Array} footsteps From getFootsteps
+ * @param {Object} skill Entry in BOT_SKILLS
+ * @param {number} now Current time (ms)
+ * @returns {Array} The enemies the bot can see
+ */
+function perceive(bot, combatants, footsteps, skill, now) {
+  const enemies = combatants.filter((other) => other.team !== bot.team);
+  const enemyIds = new Set(enemies.map((enemy) => enemy.id));
+
+  const seen = enemies.filter((enemy) =>
+    canSee(bot, enemy, skill, lineOfSight, PERCEPTION)
+  );
+  const heard = [...bot.heard, ...footsteps].filter(
+    (sound) => enemyIds.has(sound.sourceId) && canHear(bot, sound, PERCEPTION)
+  );
+  bot.heard = [];
+
+  // Nothing to remember about enemies who are out of play
+  const inPlay = Object.fromEntries(
+    Object.entries(bot.memory).filter(([id]) => enemyIds.has(id))
+  );
+  bot.memory = updateMemory(inPlay, { seen, heard }, now, PERCEPTION);
+  return seen;
+}
+
+/**
+ * The enemy a bot should shoot at: the one it's already on if it can still
+ * see them, otherwise the nearest it can see
+ * @param {Object} bot Bot looking
+ * @param {Array} visible Enemies the bot can see, from perceive
+ * @returns {Object|null} Combatant, or null if no enemy is in sight
+ */
+function findTarget(bot, visible) {
+  const current = visible.find((other) => other.id === bot.target);
+  if (current) return current;
+
+  let nearest = null;
+  let nearestDistance = Infinity;
+  visible.forEach((other) => {
+    const dist = distance(bot.position, other.position);
+    if (dist < nearestDistance) {
+      nearest = other;
+      nearestDistance = dist;
+    }
+  });
+  return nearest;
+}
+
+/**
+ * Where to aim to hit a target's chest: ahead of them by however far they
+ * move while the paintball flies (scaled by the skill's leadFactor), and
+ * above them by how far the paintball drops on the way
+ * @param {Object} bot Bot aiming
+ * @param {Object} target Combatant
+ * @param {Object} skill Entry in BOT_SKILLS
+ * @returns {Array} Point to aim at [x, y, z]
+ */
+function getAimPoint(bot, target, skill) {
+  const velocity = sightings[target.id]?.velocity || [0, 0, 0];
+  const height = target.position[1] + AIM_HEIGHT - bot.position[1];
+  const flightTime =
+    Math.hypot(distance(bot.position, target.position), height) /
+    PAINTBALL_SPEED;
+  const lead = flightTime * skill.leadFactor;
+
+  return [
+    target.position[0] + velocity[0] * lead,
+    target.position[1] +
+      AIM_HEIGHT +
+      velocity[1] * lead +
+      0.5 * PAINTBALL_GRAVITY * flightTime * flightTime,
+    target.position[2] + velocity[2] * lead,
+  ];
+}
+
+/**
+ * Throw a shot off by up to maxError radians sideways and up or down
+ * @param {Array} aim Perfect aim direction [x, y, z]
+ * @param {number} maxError Largest offset (radians)
+ * @returns {Array} Unit direction [x, y, z]
+ */
+function addAimError(aim, maxError) {
+  const length = Math.hypot(aim[0], aim[1], aim[2]) || 1;
+  const yaw = Math.atan2(aim[0], aim[2]) + (Math.random() * 2 - 1) * maxError;
+  const pitch = Math.asin(aim[1] / length) + (Math.random() * 2 - 1) * maxError;
+
+  return [
+    Math.sin(yaw) * Math.cos(pitch),
+    Math.sin(pitch),
+    Math.cos(yaw) * Math.cos(pitch),
+  ];
+}
+
+/**
+ * Yaw that faces along [dx, dz], in the convention the local player sends
+ * (player.js): the model turns by the camera's heading plus a half turn
+ * @param {number} dx Direction x
+ * @param {number} dz Direction z
+ * @returns {number} Yaw (radians)
+ */
+function toYaw(dx, dz) {
+  return Math.atan2(dx, dz) + Math.PI;
+}
+
+/**
+ * Get a random bot name, one no other bot has if there are any left -
+ * kill feeds and flag carriers go by name
  * @returns {string} Random bot name
  */
 function getRandomBotName() {
-  return BOT_NAMES[Math.floor(Math.random() * BOT_NAMES.length)];
+  const taken = new Set(Object.values(bots).map((bot) => bot.name));
+  const free = BOT_NAMES.filter((name) => !taken.has(name));
+  const names = free.length > 0 ? free : BOT_NAMES;
+  return names[Math.floor(Math.random() * names.length)];
 }
 
 /**
@@ -256,28 +843,6 @@ function getRandomPosition(team) {
   ];
 }
 
-/**
- * Get a random waypoint for the bot to move towards
- * @param {string} team Bot's team
- * @returns {Array} [x, y, z] waypoint position
- */
-function getRandomWaypoint(team) {
-  // Keep waypoints within a reasonable play area
-  // They stay mostly on their half but can venture into the middle
-
-  const teamZ = team === "Red" ? -50 : 50;
-  const enemyZ = team === "Red" ? 50 : -50;
-
-  // 70% chance to stay in own territory, 30% to venture toward enemy
-  const targetZ = Math.random() < 0.7 ? teamZ : enemyZ;
-
-  return [
-    Math.random() * 100 - 50, // x: -50 to 50
-    2, // y: on ground
-    targetZ + (Math.random() * 60 - 30), // z: team area with some variation
-  ];
-}
-
 /**
  * Calculate the distance between two positions
  * @param {Array} pos1 First position [x, y, z]
@@ -293,11 +858,14 @@ function distance(pos1, pos2) {
 /**
  * Calculate the number of bots for each team
  * @param {number} totalBots Total number of bots
+ * @param {string} playerTeam Team the local player is on, if any
  * @returns {Object} Object with redTeamCount and blueTeamCount
  */
-function calculateTeamDistribution(totalBots) {
-  // Ensure even teams if possible
-  const redTeamCount = Math.ceil(totalBots / 2);
+function calculateTeamDistribution(totalBots, playerTeam = null) {
+  // Ensure even teams if possible - counting the player
+  const largerHalf = Math.ceil(totalBots / 2);
+  const smallerHalf = totalBots - largerHalf;
+  const redTeamCount = playerTeam === "Red" ? smallerHalf : largerHalf;
   const blueTeamCount = totalBots - redTeamCount;
 
   return { redTeamCount, blueTeamCount };
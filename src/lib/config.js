@@ -5,16 +5,48 @@
 // Server connection settings - Updated for Render deployment
 export const SERVER_URL = "https://paintblast-server.onrender.com";
 
+// Servers listed in the lobby. If NEXT_PUBLIC_SERVER_LIST_URL is set, the
+// list it returns (same shape) is used instead.
+export const SERVER_LIST = [
+  ...(process.env.NEXT_PUBLIC_SOCKET_URL
+    ? [{ name: "Local server", url: process.env.NEXT_PUBLIC_SOCKET_URL }]
+    : []),
+  { name: "PaintBlast (Render)", url: SERVER_URL },
+];
+export const SERVER_LIST_URL = process.env.NEXT_PUBLIC_SERVER_LIST_URL || null;
+
 // Game mode settings
 export const IS_MULTIPLAYER = true; // Default to multiplayer mode
-export const AUTO_CONNECT_TO_BEST_SERVER = false;
+export const AUTO_CONNECT_TO_BEST_SERVER = false; // Lobby joins the lowest-ping server with space
 
 // Lobby and queue settings
 export const MAX_PLAYERS = 100;
 export const MAX_PLAYERS_PER_TEAM = 50; // Maximum players per team
+export const TEAM_IMBALANCE_THRESHOLD = 1; // Most players one team may have over the other
+export const TEAM_BALANCE_DELAY = 5000; // ms teams may stay uneven before the server moves players
+export const TEAM_SWITCH_COOLDOWN = 10000; // ms between a player's team switches
 export const ENABLE_QUEUE = true; // Enable queuing system for full servers
-export const QUEUE_REFRESH_INTERVAL = 5000; // ms
+export const QUEUE_REFRESH_INTERVAL = 5000; // ms between queue position and wait estimate updates
+export const QUEUE_TURNOVER_WINDOW = 300000; // ms of slot openings wait estimates are based on
+export const QUEUE_STALL_TIME = 60000; // ms without a slot opening before the queue counts as stalled
+export const RECONNECT_GRACE_PERIOD = 30000; // ms a dropped player's character waits for them to resume
 export const SERVER_STATUS_REFRESH_RATE = 5000; // ms
+export const SERVER_STATUS_STALE_TIME = 30000; // ms without a status update before a server counts as offline
+
+// Private rooms
+export const ROOM_CODE_LENGTH = 5; // Characters in a join code
+export const MAX_ROOMS = 50; // Private rooms one server hosts at once
+export const MAX_ROOMS_PER_CLIENT = 3; // Rooms one connection can have open
+export const ROOM_IDLE_TIMEOUT = 300000; // ms an empty room stays open
+export const ROOM_RULE_LIMITS = {
+  maxPlayersPerTeam: { min: 1, max: 16 },
+  roundTime: { min: 60, max: 1800 }, // seconds
+  winScore: { min: 1, max: 10 },
+};
+
+// Parties
+export const PARTY_CODE_LENGTH = 5; // Characters in a party invite code
+export const MAX_PARTY_SIZE = 5; // Players in one party, leader included
 
 // Performance settings
 export const POSITION_UPDATE_INTERVAL = 100; // How often to send position updates (ms)
@@ -30,6 +62,12 @@ export const LOW_DETAIL_DISTANCE = 50; // Distance at which to switch to low det
 export const BATCH_UPDATES = true; // Whether to batch position updates
 export const BATCH_UPDATE_INTERVAL = 50; // How often to send batched updates (ms) — lower = smoother remote movement
 export const COMPRESSION_ENABLED = true; // Whether to enable network compression
+export const CLOCK_SYNC_INTERVAL = 2000; // How often to ping the server for RTT and clock offset (ms)
+
+// Remote player interpolation
+export const INTERPOLATION_DELAY = 100; // How far in the past remote players are drawn on a steady connection (ms)
+export const MAX_INTERPOLATION_DELAY = 300; // Render delay ceiling on a jittery connection (ms)
+export const MAX_EXTRAPOLATION_TIME = 100; // Longest we guess ahead when snapshots are late (ms)
 
 // Graphics settings defaults
 export const DEFAULT_PERFORMANCE_LEVEL = "medium"; // "low", "medium", "high"
@@ -43,14 +81,38 @@ export const FPS_THRESHOLDS = {
 };
 
 // Game mechanics settings
+export const MAX_HEALTH = 100;
+export const HIT_DAMAGE = 25; // Four hits to eliminate
 export const RESPAWN_TIME = 3000; // ms
+export const WARMUP_TIME = 15; // seconds before the clock starts
 export const ROUND_TIME = 600; // seconds (10 minutes)
+export const OVERTIME_TIME = 120; // seconds of sudden death when tied
+export const POST_MATCH_TIME = 15; // seconds on the results screen before the next match
 export const FLAG_SCORE_POINTS = 1; // Points for scoring a flag
 export const WIN_SCORE = 3; // Score needed to win
+export const GAME_MODE = "ctf"; // Capture the flag
+export const MAP_NAME = "Twin Castles"; // The map in src/game/map.js
+
+// Flag bases and canister crates - must match the castles in map.js
+export const FLAG_POSITIONS = { Red: [0, 0, -120], Blue: [0, 0, 120] };
+export const CRATE_POSITIONS = { Red: [0, 0, -130], Blue: [0, 0, 130] };
+
+// Paintball gun - the local player's (player.js) and the bots'
+export const FIRE_RATE = 150; // ms between shots
+export const RELOAD_TIME = 5000; // ms to load a fresh canister
+export const MAGAZINE_CAPACITY = 30; // Paintballs per canister
+export const SPARE_CANISTERS = 2; // Canisters carried on top of the loaded one
+export const REPLENISH_TIME = 10000; // ms at the crate to refill every canister
+
+// Single-player bots (the player's team gets one bot fewer, so teams are even)
+export const BOTS_PER_TEAM = 3;
+export const BOT_SKILL = "medium"; // "easy", "medium", "hard"
 
 // Debug settings
 export const DEBUG_MODE = process.env.NODE_ENV === "development";
 export const SHOW_PLAYER_POSITIONS = DEBUG_MODE;
 export const SHOW_PHYSICS_DEBUG = DEBUG_MODE;
+export const SHOW_NAVIGATION_DEBUG = false; // Bots' nav graph and paths (single player)
 export const SHOW_PERFORMANCE_STATS = DEBUG_MODE;
 export const NETWORK_STATS_ENABLED = DEBUG_MODE;
+export const VALIDATE_PROTOCOL = process.env.NODE_ENV !== "production"; // Schema-check socket messages (dev and test builds)
@@ -11,15 +11,24 @@ export const EVENTS = {
   QUEUE_READY: "queueReady",
   SERVER_STATUS_UPDATE: "serverStatusUpdate",
   SERVER_STATUS_CHANGE: "serverStatusChange",
+  SERVER_LIST_UPDATE: "serverListUpdate",
   CONNECTION_STATE_CHANGE: "connectionStateChange",
   CONNECTION_ERROR: "connectionError",
+  ROOM_UPDATE: "roomUpdate",
+  PARTY_UPDATE: "partyUpdate",
+  PARTY_ERROR: "partyError",
+  PARTY_MESSAGE: "partyMessage",
+  SPECTATE_START: "spectateStart",
   GAME_START: "gameStart",
   GAME_END: "gameEnd",
+  MATCH_STATE: "matchState",
+  STATS_UPDATE: "statsUpdate",
   PLAYER_KILLED: "playerKilled",
   FLAG_CAPTURED: "flagCaptured",
   FLAG_RETURNED: "flagReturned",
   FLAG_SCORED: "flagScored",
   PLAYERS_UPDATE: "playersUpdate",
+  POSITION_CORRECTION: "positionCorrection",
 };
 
 /**
@@ -0,0 +1,191 @@
+/**
+ * Snapshot interpolation for remote players
+ *
+ * Every `players` update is stored per player with the server time it was
+ * taken at. Remote players are drawn slightly in the past - one-way latency
+ * plus a render delay - by interpolating between the two snapshots around
+ * that moment, which hides jitter and packet bunching. When snapshots run late we extrapolate from the
+ * last known velocity, but only for a short, capped time.
+ */
+
+import {
+  INTERPOLATION_DELAY,
+  MAX_INTERPOLATION_DELAY,
+  MAX_EXTRAPOLATION_TIME,
+} from "./config";
+import { getServerTime, getNetworkTiming } from "./networkTiming";
+
+const MAX_SNAPSHOTS = 32; // Per player, roughly 1.5s at 20 updates/second
+const JITTER_MULTIPLIER = 2; // Render delay headroom per ms of measured jitter
+const SMOOTHING = 0.1; // EWMA weight for interval/jitter measurements
+const DELAY_ADJUST_RATE = 0.05; // How quickly the render delay follows its target
+
+const buffers = {}; // player id -> [{ time, position, rotation }]
+let lastArrivalTime = 0;
+let averageInterval = 0; // ms between players updates
+let jitter = 0; // ms, mean deviation from the average interval
+let renderDelay = INTERPOLATION_DELAY;
+
+/**
+ * Update interval and jitter estimates from a new arrival
+ */
+const measureArrival = (time) => {
+  if (lastArrivalTime) {
+    const interval = time - lastArrivalTime;
+
+    // Long pauses mean nobody moved, not network trouble
+    if (interval < MAX_INTERPOLATION_DELAY * 2) {
+      averageInterval = averageInterval
+        ? averageInterval + (interval - averageInterval) * SMOOTHING
+        : interval;
+      jitter += (Math.abs(interval - averageInterval) - jitter) * SMOOTHING;
+
+      // Always keep two updates in hand, plus headroom for the jitter
+      const targetDelay = Math.min(
+        MAX_INTERPOLATION_DELAY,
+        Math.max(INTERPOLATION_DELAY, averageInterval * 2) +
+          jitter * JITTER_MULTIPLIER
+      );
+      renderDelay += (targetDelay - renderDelay) * DELAY_ADJUST_RATE;
+    }
+  }
+  lastArrivalTime = time;
+};
+
+/**
+ * Store a full players update
+ * @param {Object} playersData Map of player id -> player state
+ * @param {number} time Server time the snapshot was taken (defaults to now)
+ * @param {Array} heldIds Players the server did not refresh this time (far
+ *   away, sent at a lower rate) - their entry is old news, not a new sample
+ */
+export const recordPlayersSnapshot = (
+  playersData,
+  time = getServerTime(),
+  heldIds = []
+) => {
+  if (!playersData || typeof playersData !== "object") return;
+
+  measureArrival(Date.now());
+
+  Object.entries(playersData).forEach(([id, player]) => {
+    if (!player || !Array.isArray(player.position)) return;
+    if (buffers[id] && heldIds.includes(id)) return;
+
+    if (!buffers[id]) buffers[id] = [];
+    const buffer = buffers[id];
+
+    buffer.push({
+      time,
+      position: [...player.position],
+      rotation: Array.isArray(player.rotation)
+        ? [...player.rotation]
+        : [0, 0, 0],
+    });
+    if (buffer.length > MAX_SNAPSHOTS) buffer.shift();
+  });
+
+  // Players missing from a full update have left
+  Object.keys(buffers).forEach((id) => {
+    if (!playersData[id]) delete buffers[id];
+  });
+};
+
+/**
+ * Shortest-path interpolation between two angles
+ */
+const lerpAngle = (from, to, t) => {
+  let diff = to - from;
+  diff = ((diff + Math.PI) % (2 * Math.PI)) - Math.PI;
+  if (diff < -Math.PI) diff += 2 * Math.PI;
+  return from + diff * t;
+};
+
+const lerpVector = (from, to, t) => [
+  from[0] + (to[0] - from[0]) * t,
+  from[1] + (to[1] - from[1]) * t,
+  from[2] + (to[2] - from[2]) * t,
+];
+
+/**
+ * The server time remote players are drawn at: snapshots reach us half a
+ * round trip after they were taken, and we stay a render delay behind that
+ * @param {number} now Current server time (defaults to now)
+ * @returns {number} Server time in ms
+ */
+export const getRenderTime = (now = getServerTime()) =>
+  now - getNetworkTiming().rtt / 2 - renderDelay;
+
+/**
+ * Where a remote player should be drawn right now
+ * @param {string} id Player id
+ * @param {number} now Current server time in ms (defaults to now)
+ * @returns {{position: Array, rotation: Array}|null} Null if we have no data
+ */
+export const sampleSnapshot = (id, now = getServerTime()) => {
+  const buffer = buffers[id];
+  if (!buffer || buffer.length === 0) return null;
+
+  const renderTime = getRenderTime(now);
+  const newest = buffer[buffer.length - 1];
+
+  // Behind our oldest snapshot (just joined) - show the oldest
+  if (renderTime <= buffer[0].time) {
+    return { position: buffer[0].position, rotation: buffer[0].rotation };
+  }
+
+  // Normal case: interpolate between the snapshots around renderTime
+  for (let i = buffer.length - 1; i > 0; i--) {
+    const from = buffer[i - 1];
+    const to = buffer[i];
+    if (renderTime >= from.time && renderTime <= to.time) {
+      const span = to.time - from.time;
+      const t = span > 0 ? (renderTime - from.time) / span : 1;
+      return {
+        position: lerpVector(from.position, to.position, t),
+        rotation: [0, lerpAngle(from.rotation[1], to.rotation[1], t), 0],
+      };
+    }
+  }
+
+  // Snapshots are late - extrapolate along the last velocity, capped
+  if (buffer.length < 2) {
+    return { position: newest.position, rotation: newest.rotation };
+  }
+
+  // After the cap, ease back onto the last known position: if the stream
+  // has simply stopped, that is where the player really is
+  const previous = buffer[buffer.length - 2];
+  const span = newest.time - previous.time;
+  const late = renderTime - newest.time;
+  const overshoot =
+    late <= MAX_EXTRAPOLATION_TIME
+      ? late
+      : Math.max(0, 2 * MAX_EXTRAPOLATION_TIME - late);
+  const t = span > 0 ? 1 + overshoot / span : 1;
+
+  return {
+    position: lerpVector(previous.position, newest.position, t),
+    rotation: newest.rotation,
+  };
+};
+
+/**
+ * Forget all buffered snapshots (disconnect, new match)
+ */
+export const clearSnapshots = () => {
+  Object.keys(buffers).forEach((id) => delete buffers[id]);
+  lastArrivalTime = 0;
+  averageInterval = 0;
+  jitter = 0;
+  renderDelay = INTERPOLATION_DELAY;
+};
+
+/**
+ * Interpolation statistics for debugging overlays
+ */
+export const getInterpolationStats = () => ({
+  renderDelay: Math.round(renderDelay),
+  jitter: Math.round(jitter),
+  updateInterval: Math.round(averageInterval),
+});
@@ -0,0 +1,206 @@
+/**
+ * Match lifecycle for PaintBlast
+ * A small, transport-agnostic state machine shared by the reference server
+ * and the single-player mock socket.
+ *
+ * warmup -> live -> (overtime) -> postMatch -> warmup (next match)
+ */
+
+import {
+  WARMUP_TIME,
+  ROUND_TIME,
+  OVERTIME_TIME,
+  POST_MATCH_TIME,
+  WIN_SCORE,
+} from "./config.js";
+
+export const MATCH_PHASES = {
+  WARMUP: "warmup",
+  LIVE: "live",
+  OVERTIME: "overtime",
+  POST_MATCH: "postMatch",
+};
+
+/**
+ * Create a match state machine
+ * @param {Object} options Match options
+ * @param {number} options.warmupTime Warmup length in seconds
+ * @param {number} options.roundTime Regulation length in seconds
+ * @param {number} options.overtimeTime Sudden-death length in seconds
+ * @param {number} options.postMatchTime Results screen length in seconds
+ * @param {number} options.winScore Flag score that ends the match
+ * @param {boolean} options.autoRestart Warm up the next match after the
+ *   results screen; otherwise wait for start() (e.g. a room host)
+ * @param {Function} options.onUpdate Called with the match state on every change
+ * @param {Function} options.onMatchStart Called when a new match enters warmup
+ * @param {Function} options.onMatchEnd Called with the results when a match ends
+ * @param {Function} options.now Clock source (ms), injectable for tests
+ * @returns {Object} Match handle
+ */
+export const createMatch = (options = {}) => {
+  const settings = {
+    warmupTime: WARMUP_TIME,
+    roundTime: ROUND_TIME,
+    overtimeTime: OVERTIME_TIME,
+    postMatchTime: POST_MATCH_TIME,
+    winScore: WIN_SCORE,
+    autoRestart: true,
+    onUpdate: () => {},
+    onMatchStart: () => {},
+    onMatchEnd: () => {},
+    now: () => Date.now(),
+    ...options,
+  };
+
+  let phase = MATCH_PHASES.WARMUP;
+  let phaseEndsAt = null; // null while waiting for players
+  let score = { Red: 0, Blue: 0 };
+  let winner = null;
+  let endReason = null;
+  let matchNumber = 0;
+
+  const getState = () => ({
+    phase,
+    matchNumber,
+    phaseEndsAt,
+    timeRemaining:
+      phaseEndsAt === null
+        ? null
+        : Math.max(0, Math.ceil((phaseEndsAt - settings.now()) / 1000)),
+    redScore: score.Red,
+    blueScore: score.Blue,
+    winScore: settings.winScore,
+    winner,
+    reason: endReason,
+  });
+
+  const enterPhase = (nextPhase, durationSeconds) => {
+    phase = nextPhase;
+    phaseEndsAt = settings.now() + durationSeconds * 1000;
+    settings.onUpdate(getState());
+  };
+
+  const getLeader = () => {
+    if (score.Red === score.Blue) return null;
+    return score.Red > score.Blue ? "Red" : "Blue";
+  };
+
+  /**
+   * End the match and move to the results phase
+   * @param {string|null} winningTeam "Red", "Blue" or null for a draw
+   * @param {string} reason "score", "time", "overtime" or "draw"
+   */
+  const finish = (winningTeam, reason) => {
+    winner = winningTeam;
+    endReason = reason;
+
+    settings.onMatchEnd({
+      winner,
+      reason,
+      redScore: score.Red,
+      blueScore: score.Blue,
+      matchNumber,
+    });
+    enterPhase(MATCH_PHASES.POST_MATCH, settings.postMatchTime);
+  };
+
+  /**
+   * Start a fresh match (scores reset, warmup begins)
+   */
+  const start = () => {
+    score = { Red: 0, Blue: 0 };
+    winner = null;
+    endReason = null;
+    matchNumber++;
+
+    settings.onMatchStart(matchNumber);
+    enterPhase(MATCH_PHASES.WARMUP, settings.warmupTime);
+  };
+
+  /**
+   * Stop the clock and wait for players (e.g. when the server empties)
+   */
+  const stop = () => {
+    phase = MATCH_PHASES.WARMUP;
+    phaseEndsAt = null;
+    score = { Red: 0, Blue: 0 };
+    winner = null;
+    endReason = null;
+  };
+
+  /**
+   * Advance the state machine. Call this regularly (a few times a second).
+   */
+  const tick = () => {
+    if (phaseEndsAt === null || settings.now() < phaseEndsAt) return;
+
+    switch (phase) {
+      case MATCH_PHASES.WARMUP:
+        enterPhase(MATCH_PHASES.LIVE, settings.roundTime);
+        break;
+      case MATCH_PHASES.LIVE: {
+        const leader = getLeader();
+        if (leader) {
+          finish(leader, "time");
+        } else {
+          // Tied at the whistle - next capture wins
+          enterPhase(MATCH_PHASES.OVERTIME, settings.overtimeTime);
+        }
+        break;
+      }
+      case MATCH_PHASES.OVERTIME: {
+        const leader = getLeader();
+        finish(leader, leader ? "overtime" : "draw");
+        break;
+      }
+      case MATCH_PHASES.POST_MATCH:
+        if (settings.autoRestart) {
+          start();
+        } else {
+          stop();
+          settings.onUpdate(getState());
+        }
+        break;
+      default:
+        break;
+    }
+  };
+
+  /**
+   * Whether flag captures currently count towards the score
+   */
+  const isScoring = () =>
+    phase === MATCH_PHASES.LIVE || phase === MATCH_PHASES.OVERTIME;
+
+  /**
+   * Award points to a team
+   * @param {string} team "Red" or "Blue"
+   * @param {number} points Points to add
+   * @returns {boolean} Whether the points counted
+   */
+  const addScore = (team, points = 1) => {
+    if (!isScoring() || !(team in score)) return false;
+
+    score[team] += points;
+
+    if (phase === MATCH_PHASES.OVERTIME) {
+      finish(team, "overtime");
+    } else if (score[team] >= settings.winScore) {
+      finish(team, "score");
+    } else {
+      settings.onUpdate(getState());
+    }
+
+    return true;
+  };
+
+  return {
+    start,
+    stop,
+    tick,
+    addScore,
+    isScoring,
+    getState,
+    isRunning: () => phaseEndsAt !== null,
+  };
+};
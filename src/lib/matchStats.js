@@ -0,0 +1,156 @@
+/**
+ * Per-match player statistics for the post-match scoreboard
+ * Tallies what the client sees during a match (kill feed, flag events and
+ * our own statsUpdate) and merges in the server's final numbers when the
+ * gameOver message carries them.
+ */
+
+/**
+ * Normalise "red"/"Red" style team names to "Red"/"Blue"
+ * @param {string} team Team name in any casing
+ * @returns {string|null} Canonical team name
+ */
+const toTeamName = (team) => {
+  const lower = typeof team === "string" ? team.toLowerCase() : "";
+  if (lower === "red") return "Red";
+  if (lower === "blue") return "Blue";
+  return null;
+};
+
+/**
+ * Accuracy as a 0-1 fraction, or null when the shot count is unknown
+ * @param {Object} row Scoreboard row
+ * @returns {number|null}
+ */
+export const getAccuracy = (row) => {
+  if (typeof row.shots !== "number" || row.shots <= 0) return null;
+  return Math.min(1, (row.hits || 0) / row.shots);
+};
+
+/**
+ * Create a stats tally for one match
+ * @returns {Object} Tally handle
+ */
+export const createMatchStats = () => {
+  let rows = {}; // keyed by player name
+
+  const getRow = (name, team) => {
+    if (!name) return null;
+
+    if (!rows[name]) {
+      rows[name] = {
+        id: null,
+        name,
+        team: null,
+        kills: 0,
+        deaths: 0,
+        hits: 0,
+        shots: null, // unknown unless the server tells us
+        captures: 0,
+        returns: 0,
+      };
+    }
+
+    const teamName = toTeamName(team);
+    if (teamName) rows[name].team = teamName;
+
+    return rows[name];
+  };
+
+  /**
+   * Record a kill feed entry
+   * @param {Object} killer Kill feed entry { id, name, team }
+   * @param {Object} victim Kill feed entry { id, name, team }
+   */
+  const recordKill = (killer, victim) => {
+    const killerRow = getRow(killer?.name, killer?.team);
+    const victimRow = getRow(victim?.name, victim?.team);
+
+    if (killerRow) {
+      killerRow.id = killer.id || killerRow.id;
+      killerRow.kills++;
+    }
+    if (victimRow) {
+      victimRow.id = victim.id || victimRow.id;
+      victimRow.deaths++;
+    }
+  };
+
+  /**
+   * Record a flag brought home
+   * @param {string} name Scorer's name
+   */
+  const recordCapture = (name) => {
+    const row = getRow(name);
+    if (row) row.captures++;
+  };
+
+  /**
+   * Record a flag sent back to its base by a player
+   * @param {string} name Name of the player who returned it
+   */
+  const recordReturn = (name) => {
+    const row = getRow(name);
+    if (row) row.returns++;
+  };
+
+  /**
+   * Apply an authoritative statsUpdate for a single player (usually us)
+   * @param {string} name Player name
+   * @param {string} team Player team
+   * @param {Object} stats statsUpdate payload
+   */
+  const recordPlayerStats = (name, team, stats = {}) => {
+    const row = getRow(name, team);
+    if (!row) return;
+
+    ["kills", "deaths", "hits", "shots", "captures", "returns"].forEach(
+      (key) => {
+        if (typeof stats[key] === "number") row[key] = stats[key];
+      }
+    );
+  };
+
+  /**
+   * Forget everything (a new match started)
+   */
+  const reset = () => {
+    rows = {};
+  };
+
+  /**
+   * Build the final scoreboard, preferring the server's numbers where given
+   * @param {Array} serverPlayers Optional per-player stats from gameOver
+   * @returns {Array} Rows sorted by team, then kills, then fewest deaths
+   */
+  const getScoreboard = (serverPlayers = []) => {
+    const merged = { ...rows };
+
+    serverPlayers.forEach((player) => {
+      if (!player?.name) return;
+      merged[player.name] = {
+        ...merged[player.name],
+        ...player,
+        team: toTeamName(player.team),
+      };
+    });
+
+    return Object.values(merged)
+      .map((row) => ({ ...row, accuracy: getAccuracy(row) }))
+      .sort(
+        (a, b) =>
+          (a.team || "").localeCompare(b.team || "") ||
+          b.kills - a.kills ||
+          a.deaths - b.deaths
+      );
+  };
+
+  return {
+    recordKill,
+    recordCapture,
+    recordReturn,
+    recordPlayerStats,
+    reset,
+    getScoreboard,
+  };
+};
@@ -0,0 +1,73 @@
+/**
+ * Movement rules shared by the client (prediction) and the reference server
+ * (validation). The client still moves through Rapier; the server uses these
+ * limits to decide whether a reported move was physically possible.
+ */
+
+// Horizontal speeds in units/second, matching player.js
+export const MOVE_SPEEDS = {
+  walk: 12,
+  sprint: 20,
+  crouch: 4,
+  crouchSprint: 6,
+};
+
+export const MOVE_TOLERANCE = 1.25; // Headroom for physics jitter and frame timing
+export const MOVE_SLACK = 0.5; // Extra units allowed per command (collision push-out, rounding)
+export const MAX_INPUT_DT = 0.25; // Longest single command the server will honour (s)
+export const MAX_MOVE_BUDGET = 0.5; // Most movement time a client can bank (s)
+export const MIN_HEIGHT = -5; // Lowest legal y (falling through the floor)
+export const MAX_HEIGHT = 50; // Highest legal y, same limit player.js enforces
+
+/**
+ * Horizontal speed for a set of movement keys
+ * @param {Object} keys Movement keys ({ sprint, crouch, ... })
+ * @returns {number} Speed in units/second
+ */
+export const getMoveSpeed = (keys = {}) => {
+  if (keys.crouch) {
+    return keys.sprint ? MOVE_SPEEDS.crouchSprint : MOVE_SPEEDS.crouch;
+  }
+  return keys.sprint ? MOVE_SPEEDS.sprint : MOVE_SPEEDS.walk;
+};
+
+/**
+ * Furthest a player may legally travel horizontally in one command
+ * @param {Object} keys Movement keys
+ * @param {number} dt Command duration in seconds
+ * @returns {number} Distance in units
+ */
+export const getMaxMoveDistance = (keys, dt) =>
+  getMoveSpeed(keys) * MOVE_TOLERANCE * dt + MOVE_SLACK;
+
+/**
+ * Clamp a reported move to what the movement rules allow
+ * @param {Array} from Last authoritative position [x, y, z]
+ * @param {Array} to Position the client reported [x, y, z]
+ * @param {Object} keys Movement keys held during the command
+ * @param {number} dt Command duration in seconds
+ * @returns {{position: Array, corrected: boolean}} Allowed position
+ */
+export const constrainMove = (from, to, keys, dt) => {
+  const dx = to[0] - from[0];
+  const dz = to[2] - from[2];
+  const distance = Math.hypot(dx, dz);
+  const maxDistance = getMaxMoveDistance(keys, dt);
+
+  let corrected = false;
+  let [x, y, z] = to;
+
+  if (distance > maxDistance) {
+    const scale = maxDistance / distance;
+    x = from[0] + dx * scale;
+    z = from[2] + dz * scale;
+    corrected = true;
+  }
+
+  if (y < MIN_HEIGHT || y > MAX_HEIGHT) {
+    y = Math.min(MAX_HEIGHT, Math.max(MIN_HEIGHT, y));
+    corrected = true;
+  }
+
+  return { position: [x, y, z], corrected };
+};
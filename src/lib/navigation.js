@@ -0,0 +1,419 @@
+/**
+ * Navigation for single-player bots: a walkable grid over the map built
+ * from its static colliders, A* path queries, path smoothing and local
+ * avoidance between agents. Plain data in and out - src/game/navigation.js
+ * reads the colliders out of Rapier and bots.js does the walking.
+ *
+ * Obstacles are collider footprints:
+ *   { shape: "box", position, halfExtents, yaw }
+ *   { shape: "cylinder", position, radius, halfHeight }
+ */
+
+export const NAV_SETTINGS = {
+  cellSize: 2, // Metres between graph nodes
+  agentRadius: 0.6, // Clearance kept from obstacles (player capsule is 0.5)
+  stepHeight: 0.3, // Colliders that top out lower than this are walked over
+  headroom: 2.2, // Colliders that start higher than this are walked under
+  bounds: { minX: -50, maxX: 50, minZ: -150, maxZ: 150 }, // The ground
+  avoidanceRadius: 1.5, // Agents closer than this steer apart
+  maxSnapDistance: 10, // How far from a point to look for a walkable node
+};
+
+// Where a standing player's position rests above the ground (the capsule
+// in player.js reaches half a metre below it)
+export const STANDING_HEIGHT = 0.5;
+
+// Neighbour offsets [column, row, cost] - diagonals cost √2
+const NEIGHBOURS = [
+  [1, 0, 1],
+  [-1, 0, 1],
+  [0, 1, 1],
+  [0, -1, 1],
+  [1, 1, Math.SQRT2],
+  [1, -1, Math.SQRT2],
+  [-1, 1, Math.SQRT2],
+  [-1, -1, Math.SQRT2],
+];
+
+/**
+ * Whether a ground point is inside an obstacle, grown by a clearance
+ * @param {Array} point [x, y, z] (y is ignored)
+ * @param {Object} obstacle Footprint
+ * @param {number} clearance Extra distance to keep
+ * @returns {boolean}
+ */
+const isInside = (point, obstacle, clearance) => {
+  const dx = point[0] - obstacle.position[0];
+  const dz = point[2] - obstacle.position[2];
+
+  if (obstacle.shape === "cylinder") {
+    return Math.hypot(dx, dz) <= obstacle.radius + clearance;
+  }
+
+  // Into the box's own frame (the inverse of its yaw)
+  const cos = Math.cos(obstacle.yaw || 0);
+  const sin = Math.sin(obstacle.yaw || 0);
+  const localX = dx * cos - dz * sin;
+  const localZ = dx * sin + dz * cos;
+  return (
+    Math.abs(localX) <= obstacle.halfExtents[0] + clearance &&
+    Math.abs(localZ) <= obstacle.halfExtents[2] + clearance
+  );
+};
+
+/**
+ * Whether a collider is in the way of someone walking on the ground: not
+ * low enough to step over, not high enough to walk under
+ * @param {Object} obstacle Footprint
+ * @param {Object} settings NAV_SETTINGS
+ * @returns {boolean}
+ */
+const blocksWalking = (obstacle, settings) => {
+  const halfHeight =
+    obstacle.shape === "cylinder"
+      ? obstacle.halfHeight
+      : obstacle.halfExtents[1];
+  const bottom = obstacle.position[1] - halfHeight;
+  const top = obstacle.position[1] + halfHeight;
+  return top > settings.stepHeight && bottom < settings.headroom;
+};
+
+/**
+ * Build the walkable grid for a set of collider footprints
+ * @param {Array} obstacles Footprints of the map's static colliders
+ * @param {Object} settings NAV_SETTINGS by default
+ * @returns {Object} Nav graph: { cols, rows, walkable (one byte per node),
+ *   obstacles (those that block walking), settings }
+ */
+export const buildNavGraph = (obstacles, settings = NAV_SETTINGS) => {
+  const { cellSize, bounds, agentRadius } = settings;
+  const cols = Math.floor((bounds.maxX - bounds.minX) / cellSize) + 1;
+  const rows = Math.floor((bounds.maxZ - bounds.minZ) / cellSize) + 1;
+  const blocking = obstacles.filter((obstacle) =>
+    blocksWalking(obstacle, settings)
+  );
+
+  const graph = {
+    cols,
+    rows,
+    walkable: new Uint8Array(cols * rows),
+    obstacles: blocking,
+    settings,
+  };
+
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      const point = getNodePosition(graph, row * cols + col);
+      const isBlocked = blocking.some((obstacle) =>
+        isInside(point, obstacle, agentRadius)
+      );
+      graph.walkable[row * cols + col] = isBlocked ? 0 : 1;
+    }
+  }
+
+  return graph;
+};
+
+/**
+ * World position of a node
+ * @param {Object} graph Nav graph
+ * @param {number} node Node index
+ * @returns {Array} [x, 0, z]
+ */
+export const getNodePosition = (graph, node) => {
+  const { cellSize, bounds } = graph.settings;
+  return [
+    bounds.minX + (node % graph.cols) * cellSize,
+    0,
+    bounds.minZ + Math.floor(node / graph.cols) * cellSize,
+  ];
+};
+
+/**
+ * The walkable neighbours of a node, without cutting past blocked corners
+ * @param {Object} graph Nav graph
+ * @param {number} node Node index
+ * @returns {Array} [[node, cost]]
+ */
+export const getNeighbours = (graph, node) => {
+  const { cols, rows, walkable } = graph;
+  const col = node % cols;
+  const row = Math.floor(node / cols);
+  const isOpen = (c, r) =>
+    c >= 0 && r >= 0 && c < cols && r < rows && walkable[r * cols + c] === 1;
+
+  const neighbours = [];
+  NEIGHBOURS.forEach(([dc, dr, cost]) => {
+    if (!isOpen(col + dc, row + dr)) return;
+    if (dc && dr && (!isOpen(col + dc, row) || !isOpen(col, row + dr))) return;
+    neighbours.push([(row + dr) * cols + col + dc, cost]);
+  });
+  return neighbours;
+};
+
+/**
+ * The walkable node nearest a point, searching outwards ring by ring
+ * @param {Object} graph Nav graph
+ * @param {Array} point [x, y, z]
+ * @returns {number} Node index, or -1 if none is within maxSnapDistance
+ */
+export const findNearestNode = (graph, point) => {
+  const { cols, rows, walkable, settings } = graph;
+  const { cellSize, bounds, maxSnapDistance } = settings;
+  const col = Math.round((point[0] - bounds.minX) / cellSize);
+  const row = Math.round((point[2] - bounds.minZ) / cellSize);
+  const maxRing = Math.ceil(maxSnapDistance / cellSize);
+
+  for (let ring = 0; ring <= maxRing; ring++) {
+    let best = -1;
+    let bestDistance = Infinity;
+    for (let r = row - ring; r <= row + ring; r++) {
+      for (let c = col - ring; c <= col + ring; c++) {
+        const onRing = Math.max(Math.abs(r - row), Math.abs(c - col)) === ring;
+        if (!onRing || c < 0 || r < 0 || c >= cols || r >= rows) continue;
+        if (!walkable[r * cols + c]) continue;
+
+        const position = getNodePosition(graph, r * cols + c);
+        const dist = Math.hypot(position[0] - point[0], position[2] - point[2]);
+        if (dist < bestDistance) {
+          best = r * cols + c;
+          bestDistance = dist;
+        }
+      }
+    }
+    if (best !== -1) return best;
+  }
+  return -1;
+};
+
+/**
+ * Whether an agent can stand at a point
+ * @param {Object} graph Nav graph
+ * @param {Array} point [x, y, z]
+ * @returns {boolean}
+ */
+export const isWalkable = (graph, point) =>
+  !graph.obstacles.some((obstacle) =>
+    isInside(point, obstacle, graph.settings.agentRadius)
+  );
+
+/**
+ * Whether an agent can walk straight from one point to another, keeping
+ * its clearance from every obstacle
+ * @param {Object} graph Nav graph
+ * @param {Array} from [x, y, z]
+ * @param {Array} to [x, y, z]
+ * @returns {boolean}
+ */
+export const hasClearPath = (graph, from, to) => {
+  const { agentRadius } = graph.settings;
+  const dx = to[0] - from[0];
+  const dz = to[2] - from[2];
+  const length = Math.hypot(dx, dz);
+  const steps = Math.max(1, Math.ceil(length / (agentRadius / 2)));
+
+  // Only obstacles whose bounding circle comes near the line can block it
+  const nearby = graph.obstacles.filter((obstacle) => {
+    const t = length
+      ? Math.max(
+          0,
+          Math.min(
+            1,
+            ((obstacle.position[0] - from[0]) * dx +
+              (obstacle.position[2] - from[2]) * dz) /
+              (length * length)
+          )
+        )
+      : 0;
+    const reach =
+      obstacle.shape === "cylinder"
+        ? obstacle.radius
+        : Math.hypot(obstacle.halfExtents[0], obstacle.halfExtents[2]);
+    return (
+      Math.hypot(
+        from[0] + dx * t - obstacle.position[0],
+        from[2] + dz * t - obstacle.position[2]
+      ) <=
+      reach + agentRadius
+    );
+  });
+
+  for (let i = 0; i <= steps; i++) {
+    const point = [from[0] + (dx * i) / steps, 0, from[2] + (dz * i) / steps];
+    if (nearby.some((obstacle) => isInside(point, obstacle, agentRadius))) {
+      return false;
+    }
+  }
+  return true;
+};
+
+/**
+ * Shortest walkable route between two points (A* over the grid). Points
+ * inside an obstacle are moved to the nearest walkable node.
+ * @param {Object} graph Nav graph
+ * @param {Array} from Start [x, y, z]
+ * @param {Array} to Goal [x, y, z]
+ * @returns {Array|null} Points [x, 0, z] from start to goal, or null if the
+ *   goal can't be reached
+ */
+export const findPath = (graph, from, to) => {
+  const start = findNearestNode(graph, from);
+  const goal = findNearestNode(graph, to);
+  if (start === -1 || goal === -1) return null;
+
+  const goalPosition = getNodePosition(graph, goal);
+  const heuristic = (node) => {
+    const position = getNodePosition(graph, node);
+    const dx = Math.abs(position[0] - goalPosition[0]);
+    const dz = Math.abs(position[2] - goalPosition[2]);
+    // Octile distance, in cells
+    return (
+      (Math.max(dx, dz) + (Math.SQRT2 - 1) * Math.min(dx, dz)) /
+      graph.settings.cellSize
+    );
+  };
+
+  const cost = new Float64Array(graph.walkable.length).fill(Infinity);
+  const cameFrom = new Int32Array(graph.walkable.length).fill(-1);
+  const closed = new Uint8Array(graph.walkable.length);
+  const open = createHeap();
+  cost[start] = 0;
+  open.push(start, heuristic(start));
+
+  while (open.size() > 0) {
+    const node = open.pop();
+    if (node === goal) break;
+    if (closed[node]) continue;
+    closed[node] = 1;
+
+    getNeighbours(graph, node).forEach(([next, stepCost]) => {
+      const nextCost = cost[node] + stepCost;
+      if (closed[next] || nextCost >= cost[next]) return;
+      cost[next] = nextCost;
+      cameFrom[next] = node;
+      open.push(next, nextCost + heuristic(next));
+    });
+  }
+
+  if (cost[goal] === Infinity) return null;
+
+  const path = [];
+  for (let node = goal; node !== -1; node = cameFrom[node]) {
+    path.unshift(getNodePosition(graph, node));
+  }
+
+  // Start and finish on the real points when they're walkable (and aren't
+  // the end nodes already - a zero-length leg has no heading)
+  const isSamePoint = (a, b) => a[0] === b[0] && a[2] === b[2];
+  if (isWalkable(graph, from) && !isSamePoint(from, path[0])) {
+    path.unshift([from[0], 0, from[2]]);
+  }
+  if (isWalkable(graph, to) && !isSamePoint(to, path[path.length - 1])) {
+    path.push([to[0], 0, to[2]]);
+  }
+  return path;
+};
+
+/**
+ * Drop the grid's zigzags: keep only the points a straight walk can't skip
+ * @param {Object} graph Nav graph
+ * @param {Array} path Points from findPath
+ * @returns {Array} Shorter list of points, same start and end
+ */
+export const smoothPath = (graph, path) => {
+  if (!path || path.length <= 2) return path;
+
+  const smoothed = [path[0]];
+  let anchor = 0;
+  while (anchor < path.length - 1) {
+    // Walk ahead for as long as there's a straight line from the anchor
+    let next = anchor + 1;
+    while (
+      next + 1 < path.length &&
+      hasClearPath(graph, path[anchor], path[next + 1])
+    ) {
+      next++;
+    }
+    smoothed.push(path[next]);
+    anchor = next;
+  }
+  return smoothed;
+};
+
+/**
+ * Steering away from agents that are too close, so bots don't walk through
+ * each other. Closer agents push harder.
+ * @param {Array} position The agent's position [x, y, z]
+ * @param {Array} others Positions of the agents around it
+ * @param {Object} settings NAV_SETTINGS by default
+ * @returns {Array} Push [x, z], up to about 1 per agent in the way
+ */
+export const getAvoidance = (position, others, settings = NAV_SETTINGS) => {
+  const push = [0, 0];
+  others.forEach((other) => {
+    const dx = position[0] - other[0];
+    const dz = position[2] - other[2];
+    const dist = Math.hypot(dx, dz);
+    if (dist >= settings.avoidanceRadius) return;
+
+    // Agents on exactly the same spot split sideways
+    const weight = 1 - dist / settings.avoidanceRadius;
+    push[0] += dist > 0 ? (dx / dist) * weight : weight;
+    push[1] += dist > 0 ? (dz / dist) * weight : 0;
+  });
+  return push;
+};
+
+/**
+ * Minimal binary heap for the A* open set
+ * @returns {Object} { push(node, priority), pop(), size() }
+ */
+const createHeap = () => {
+  const nodes = [];
+  const priorities = [];
+
+  const swap = (a, b) => {
+    [nodes[a], nodes[b]] = [nodes[b], nodes[a]];
+    [priorities[a], priorities[b]] = [priorities[b], priorities[a]];
+  };
+
+  const push = (node, priority) => {
+    nodes.push(node);
+    priorities.push(priority);
+    let index = nodes.length - 1;
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (priorities[parent] <= priorities[index]) break;
+      swap(parent, index);
+      index = parent;
+    }
+  };
+
+  const pop = () => {
+    const top = nodes[0];
+    const lastNode = nodes.pop();
+    const lastPriority = priorities.pop();
+    if (nodes.length > 0) {
+      nodes[0] = lastNode;
+      priorities[0] = lastPriority;
+      let index = 0;
+      for (;;) {
+        const left = index * 2 + 1;
+        const right = left + 1;
+        let smallest = index;
+        if (left < nodes.length && priorities[left] < priorities[smallest]) {
+          smallest = left;
+        }
+        if (right < nodes.length && priorities[right] < priorities[smallest]) {
+          smallest = right;
+        }
+        if (smallest === index) break;
+        swap(smallest, index);
+        index = smallest;
+      }
+    }
+    return top;
+  };
+
+  return { push, pop, size: () => nodes.length };
+};
@@ -0,0 +1,261 @@
+/**
+ * Network condition simulator (development only)
+ *
+ * Wraps a socket (real or mock) so that outgoing emits and incoming events
+ * are delayed, dropped, duplicated or delivered out of order, to reproduce
+ * bad-connection bugs locally. Conditions apply to every event, and can be
+ * overridden per event type (e.g. only lose `players` snapshots).
+ *
+ * Latency is one way, so the round trip is twice the latency. Messages of
+ * one event type keep their order unless they are picked for reordering,
+ * in which case they are held back behind later ones.
+ */
+
+const REORDER_HOLD = 100; // Extra ms a reordered message is held back
+
+// Socket.IO lifecycle events are never touched
+const PASSTHROUGH_EVENTS = ["connect", "disconnect", "connect_error"];
+
+export const NO_CONDITIONS = {
+  latency: 0, // ms, one way
+  jitter: 0, // ms, +/- around the latency
+  loss: 0, // 0-1 chance a message is dropped
+  duplicate: 0, // 0-1 chance a message arrives twice
+  reorder: 0, // 0-1 chance a message is held back behind later ones
+};
+
+export const NETWORK_PRESETS = {
+  off: NO_CONDITIONS,
+  "3G": { latency: 150, jitter: 40, loss: 0.01, duplicate: 0, reorder: 0.01 },
+  transatlantic: {
+    latency: 45,
+    jitter: 5,
+    loss: 0.002,
+    duplicate: 0,
+    reorder: 0,
+  },
+  "lossy wifi": {
+    latency: 15,
+    jitter: 30,
+    loss: 0.08,
+    duplicate: 0.02,
+    reorder: 0.05,
+  },
+};
+
+// Event types worth overriding on their own, for the dev overlay
+export const SIMULATED_EVENTS = [
+  "updatePosition",
+  "players",
+  "inputAck",
+  "snapshotAck",
+  "shoot",
+  "paintball",
+  "hit",
+  "healthUpdate",
+  "clockPing",
+  "clockPong",
+  "message",
+];
+
+let preset = "off";
+let conditions = { ...NO_CONDITIONS };
+let eventConditions = {}; // event -> partial conditions
+let stats = { delayed: 0, dropped: 0, duplicated: 0, reordered: 0 };
+
+/**
+ * Conditions in effect for one event type
+ * @param {string} event Event name
+ * @returns {Object} Full conditions
+ */
+export const getEventConditions = (event) => ({
+  ...conditions,
+  ...eventConditions[event],
+});
+
+const isActive = (settings) =>
+  Object.keys(NO_CONDITIONS).some((key) => settings[key] > 0);
+
+/**
+ * Switch to a named preset, dropping any per-event overrides
+ * @param {string} name Key of NETWORK_PRESETS
+ */
+export const applyNetworkPreset = (name) => {
+  if (!NETWORK_PRESETS[name]) return;
+
+  preset = name;
+  conditions = { ...NETWORK_PRESETS[name] };
+  eventConditions = {};
+  console.log(`📶 Network conditions: ${name}`);
+};
+
+/**
+ * Change conditions for every event, or override them for one event type
+ * @param {Object} changes Any of latency, jitter, loss, duplicate, reorder
+ * @param {string} event Event name (optional)
+ */
+export const setNetworkConditions = (changes, event = null) => {
+  preset = "custom";
+
+  if (event) {
+    eventConditions[event] = { ...eventConditions[event], ...changes };
+  } else {
+    conditions = { ...conditions, ...changes };
+  }
+};
+
+/**
+ * Remove the override for one event type
+ * @param {string} event Event name
+ */
+export const clearEventConditions = (event) => {
+  delete eventConditions[event];
+};
+
+/**
+ * Current settings, for the dev overlay
+ * @returns {{preset: string, conditions: Object, events: Object}}
+ */
+export const getNetworkConditions = () => ({
+  preset,
+  conditions: { ...conditions },
+  events: { ...eventConditions },
+});
+
+/**
+ * How many messages the simulator has interfered with
+ */
+export const getNetworkSimulatorStats = () => ({ ...stats });
+
+export const resetNetworkSimulatorStats = () => {
+  stats = { delayed: 0, dropped: 0, duplicated: 0, reordered: 0 };
+};
+
+/**
+ * Wrap a socket so its traffic goes through the simulated network
+ * @param {Object} socket Socket.IO client socket or the mock socket
+ * @returns {Object} Socket with the same interface
+ */
+export const wrapSocket = (socket) => {
+  const pending = new Set(); // Timers for messages still in flight
+  const lastDelivery = {}; // "direction:event" -> ms, keeps order per event
+  const queues = {}; // "direction:event" -> in-order messages in flight
+  const handlers = {}; // event -> Map(callback -> wrapped callback)
+
+  const startTimer = (delay, fire) => {
+    const timer = setTimeout(() => {
+      pending.delete(timer);
+      fire();
+    }, delay);
+    pending.add(timer);
+  };
+
+  const schedule = (key, settings, deliver) => {
+    const now = Date.now();
+    const spread = (Math.random() * 2 - 1) * settings.jitter;
+    const deliverAt = now + Math.max(0, settings.latency + spread);
+
+    if (Math.random() < settings.reorder) {
+      stats.reordered++;
+      startTimer(
+        deliverAt - now + settings.latency + settings.jitter + REORDER_HOLD,
+        deliver
+      );
+      return;
+    }
+
+    // Timers due in the same millisecond may fire in any order, so each one
+    // flushes its queue up to and including its own message
+    const message = { deliver, sent: false };
+    if (!queues[key]) queues[key] = [];
+    queues[key].push(message);
+    lastDelivery[key] = Math.max(deliverAt, lastDelivery[key] || 0);
+
+    startTimer(lastDelivery[key] - now, () => {
+      while (!message.sent && queues[key].length > 0) {
+        const next = queues[key].shift();
+        next.sent = true;
+        next.deliver();
+      }
+    });
+  };
+
+  const transmit = (direction, event, deliver) => {
+    const settings = getEventConditions(event);
+    if (PASSTHROUGH_EVENTS.includes(event) || !isActive(settings)) {
+      deliver();
+      return;
+    }
+
+    if (Math.random() < settings.loss) {
+      stats.dropped++;
+      return;
+    }
+
+    const key = `${direction}:${event}`;
+    stats.delayed++;
+    schedule(key, settings, deliver);
+
+    if (Math.random() < settings.duplicate) {
+      stats.duplicated++;
+      schedule(key, settings, deliver);
+    }
+  };
+
+  const emit = (event, ...args) => {
+    // Acknowledgement callbacks come back over the network too
+    const last = args[args.length - 1];
+    if (typeof last === "function") {
+      args[args.length - 1] = (...response) =>
+        transmit("in", event, () => last(...response));
+    }
+
+    transmit("out", event, () => socket.emit(event, ...args));
+    return wrapper;
+  };
+
+  const on = (event, callback) => {
+    const wrapped = (...args) => transmit("in", event, () => callback(...args));
+
+    if (!handlers[event]) handlers[event] = new Map();
+    handlers[event].set(callback, wrapped);
+    socket.on(event, wrapped);
+    return wrapper;
+  };
+
+  const off = (event, callback) => {
+    if (!callback) {
+      delete handlers[event];
+      socket.off(event);
+      return wrapper;
+    }
+
+    const wrapped = handlers[event]?.get(callback);
+    handlers[event]?.delete(callback);
+    socket.off(event, wrapped || callback);
+    return wrapper;
+  };
+
+  const disconnect = () => {
+    pending.forEach((timer) => clearTimeout(timer));
+    pending.clear();
+    Object.keys(queues).forEach((key) => delete queues[key]);
+    socket.disconnect();
+    return wrapper;
+  };
+
+  const overrides = { emit, on, off, disconnect };
+
+  // Everything else (id, connected, io, ...) reads straight from the socket
+  const wrapper = new Proxy(socket, {
+    get(target, prop) {
+      if (Object.prototype.hasOwnProperty.call(overrides, prop)) {
+        return overrides[prop];
+      }
+      const value = target[prop];
+      return typeof value === "function" ? value.bind(target) : value;
+    },
+  });
+
+  return wrapper;
+};
@@ -0,0 +1,82 @@
+/**
+ * Round-trip time, jitter and server clock estimation
+ *
+ * socket.js pings the server every few seconds with its local send time; the
+ * server echoes it back with its own clock. Each pong gives one RTT sample
+ * and one clock offset sample (assuming the trip is symmetric). Offsets from
+ * the fastest recent round trips are the most trustworthy, so we use those.
+ */
+
+const MAX_SAMPLES = 8; // Recent pongs kept for the offset estimate
+const SMOOTHING = 0.2; // EWMA weight for RTT/jitter
+
+let samples = []; // [{ rtt, offset }]
+let rtt = 0; // ms, smoothed
+let jitter = 0; // ms, mean RTT variation between pongs
+let clockOffset = 0; // ms to add to local time to get server time
+let lastRtt = null;
+
+/**
+ * Build the payload for a clock ping
+ * @param {number} now Local send time (defaults to now)
+ */
+export const createClockPing = (now = Date.now()) => ({ clientTime: now });
+
+/**
+ * Feed a clock pong back in
+ * @param {Object} pong Server reply
+ * @param {number} pong.clientTime Our send time, echoed back
+ * @param {number} pong.serverTime Server clock when it replied
+ * @param {number} now Local receive time (defaults to now)
+ */
+export const recordClockPong = ({ clientTime, serverTime }, now = Date.now()) => {
+  if (typeof clientTime !== "number" || typeof serverTime !== "number") return;
+
+  const sampleRtt = Math.max(0, now - clientTime);
+  const sampleOffset = serverTime + sampleRtt / 2 - now;
+
+  if (lastRtt === null) {
+    rtt = sampleRtt;
+  } else {
+    rtt += (sampleRtt - rtt) * SMOOTHING;
+    jitter += (Math.abs(sampleRtt - lastRtt) - jitter) * SMOOTHING;
+  }
+  lastRtt = sampleRtt;
+
+  samples.push({ rtt: sampleRtt, offset: sampleOffset });
+  if (samples.length > MAX_SAMPLES) samples.shift();
+
+  // Queueing delay only ever adds to a trip, so the quickest one is the
+  // least skewed
+  const best = samples.reduce((a, b) => (b.rtt < a.rtt ? b : a));
+  clockOffset = best.offset;
+};
+
+/**
+ * Current estimate of the server clock
+ * @param {number} now Local time (defaults to now)
+ * @returns {number} Server time in ms
+ */
+export const getServerTime = (now = Date.now()) => now + clockOffset;
+
+/**
+ * Network timing for HUDs, debug overlays and time-sensitive systems
+ * @returns {{rtt: number, jitter: number, clockOffset: number, synced: boolean}}
+ */
+export const getNetworkTiming = () => ({
+  rtt: Math.round(rtt),
+  jitter: Math.round(jitter),
+  clockOffset: Math.round(clockOffset),
+  synced: samples.length > 0,
+});
+
+/**
+ * Forget everything (disconnect) - single-player runs on the local clock
+ */
+export const resetNetworkTiming = () => {
+  samples = [];
+  rtt = 0;
+  jitter = 0;
+  clockOffset = 0;
+  lastRtt = null;
+};
@@ -26,6 +26,7 @@ let networkStats = {
   messagesReceived: 0,
   lastResetTime: Date.now(),
 };
+let malformedMessages = {}; // "event (in|out)" -> count, kept across resets
 
 // Performance settings for each level
 export const PERFORMANCE_SETTINGS = {
@@ -269,6 +270,16 @@ export const trackNetworkTraffic = (bytes, direction) => {
   }
 };
 
+/**
+ * Count a message that failed protocol validation
+ * @param {string} event - Event name
+ * @param {string} direction - 'in' or 'out'
+ */
+export const trackMalformedMessage = (event, direction) => {
+  const key = `${event} (${direction})`;
+  malformedMessages[key] = (malformedMessages[key] || 0) + 1;
+};
+
 /**
  * Reset network stats
  */
@@ -308,6 +319,7 @@ export const getNetworkStats = () => {
       elapsedSeconds > 0
         ? (networkStats.messagesReceived / elapsedSeconds).toFixed(2)
         : 0,
+    malformedMessages: { ...malformedMessages },
   };
 };
 
@@ -0,0 +1,139 @@
+/**
+ * Client-side prediction and server reconciliation for the local player
+ *
+ * Every movement tick becomes an input command with a sequence number. The
+ * player keeps moving immediately (predicted), the server acknowledges the
+ * last command it processed with its authoritative position, and if that
+ * disagrees with what we predicted we rebase onto the server position and
+ * replay the commands it has not seen yet.
+ */
+
+const RECONCILE_THRESHOLD = 0.5; // Units of disagreement we tolerate before correcting
+const MAX_PENDING_INPUTS = 120; // ~4s of commands at 30 per second
+const IDLE_EPSILON = 0.01; // Movement smaller than this counts as standing still
+
+let nextSequence = 1;
+let pendingInputs = []; // [{ seq, dt, keys, position }]
+let lastCommandPosition = null;
+let lastAckedSequence = 0;
+let correctionCount = 0;
+
+const hasMovementKeys = (keys = {}) =>
+  Boolean(
+    keys.forward || keys.backward || keys.left || keys.right || keys.jump
+  );
+
+/**
+ * Record a movement tick as an input command
+ * @param {Object} input Input for this tick
+ * @param {number} input.dt Seconds covered by this command
+ * @param {Object} input.keys Movement keys held ({ forward, sprint, crouch, ... })
+ * @param {Array} input.position Predicted position after the move [x, y, z]
+ * @returns {Object|null} Command to send, or null when standing still
+ */
+export const createInputCommand = ({ dt, keys = {}, position }) => {
+  // Nothing to tell the server while idle
+  if (
+    lastCommandPosition &&
+    !hasMovementKeys(keys) &&
+    Math.abs(position[0] - lastCommandPosition[0]) < IDLE_EPSILON &&
+    Math.abs(position[1] - lastCommandPosition[1]) < IDLE_EPSILON &&
+    Math.abs(position[2] - lastCommandPosition[2]) < IDLE_EPSILON
+  ) {
+    return null;
+  }
+  lastCommandPosition = [...position];
+
+  const command = {
+    seq: nextSequence++,
+    dt: Math.round(dt * 1000) / 1000,
+    keys: {
+      forward: Boolean(keys.forward),
+      backward: Boolean(keys.backward),
+      left: Boolean(keys.left),
+      right: Boolean(keys.right),
+      jump: Boolean(keys.jump),
+      sprint: Boolean(keys.sprint),
+      crouch: Boolean(keys.crouch),
+    },
+    position: [...position],
+  };
+
+  pendingInputs.push(command);
+  if (pendingInputs.length > MAX_PENDING_INPUTS) {
+    pendingInputs = pendingInputs.slice(-MAX_PENDING_INPUTS);
+  }
+
+  return command;
+};
+
+/**
+ * Apply a server acknowledgement
+ * @param {Object} ack Acknowledgement from the server
+ * @param {number} ack.seq Last command the server processed
+ * @param {Array} ack.position Authoritative position after that command
+ * @returns {Array|null} Corrected position to snap to, or null if we agree
+ */
+export const reconcileWithServer = ({ seq, position }) => {
+  if (typeof seq !== "number" || seq <= lastAckedSequence) return null;
+  lastAckedSequence = seq;
+
+  const acked = pendingInputs.find((input) => input.seq === seq);
+  pendingInputs = pendingInputs.filter((input) => input.seq > seq);
+
+  // Commands we already dropped (or never sent) can't be compared
+  if (!acked || !Array.isArray(position)) return null;
+
+  const error = Math.hypot(
+    position[0] - acked.position[0],
+    position[1] - acked.position[1],
+    position[2] - acked.position[2]
+  );
+  if (error <= RECONCILE_THRESHOLD) return null;
+
+  // Replay the unacknowledged commands on top of the server position
+  let replayed = [...position];
+  let previous = acked.position;
+  pendingInputs.forEach((input) => {
+    const next = [
+      replayed[0] + (input.position[0] - previous[0]),
+      replayed[1] + (input.position[1] - previous[1]),
+      replayed[2] + (input.position[2] - previous[2]),
+    ];
+    previous = input.position;
+    input.position = next;
+    replayed = next;
+  });
+
+  lastCommandPosition = [...replayed];
+  correctionCount++;
+  return replayed;
+};
+
+/**
+ * Forget unacknowledged commands (after a teleport such as a respawn)
+ */
+export const clearPendingInputs = () => {
+  pendingInputs = [];
+  lastCommandPosition = null;
+};
+
+/**
+ * Reset all prediction state (new connection)
+ */
+export const resetPrediction = () => {
+  nextSequence = 1;
+  pendingInputs = [];
+  lastCommandPosition = null;
+  lastAckedSequence = 0;
+  correctionCount = 0;
+};
+
+/**
+ * Prediction statistics for debugging overlays
+ */
+export const getPredictionStats = () => ({
+  pendingInputs: pendingInputs.length,
+  lastAckedSequence,
+  corrections: correctionCount,
+});
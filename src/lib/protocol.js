@@ -0,0 +1,652 @@
+/**
+ * Socket.IO protocol schemas, shared by the client and the reference server
+ *
+ * Both sides open with a `hello` carrying their protocol version, so a
+ * client and server that can no longer understand each other find out
+ * straight away instead of failing on some later message.
+ *
+ * Every event either side sends is described here: which keys it carries,
+ * their types and their ranges. In development and test builds both ends
+ * check messages at the socket boundary (see guardSocket), so a malformed
+ * payload is dropped and reported where it arrives instead of failing
+ * somewhere deep inside a handler.
+ *
+ * A schema is a plain object:
+ *   type      "string", "number", "integer", "boolean", "null", "array",
+ *             "object", "binary" or "any" - or a list of them
+ *   optional  The key may be missing
+ *   values    Allowed values
+ *   min, max  Range for numbers
+ *   maxLength Longest string
+ *   length, maxItems, items  Array size and element schema
+ *   fields    Object keys and their schemas (extra keys are allowed)
+ *   entries   Schema for every value of a map-like object
+ */
+
+import { MATCH_PHASES } from "./match.js";
+import { isBinaryPayload } from "./wireFormat.js";
+
+export const PROTOCOL_VERSION = 1; // Bump on any change older peers can't handle
+export const MIN_PROTOCOL_VERSION = 1; // Oldest peer version this build still speaks
+
+// Optional capabilities, announced in hello so either side can adapt
+export const PROTOCOL_FEATURES = [
+  "inputCommands",
+  "deltaSnapshots",
+  "interestManagement",
+  "clockSync",
+  "sessionResume",
+  "privateRooms",
+  "parties",
+  "spectators",
+];
+
+/**
+ * Compare a peer's hello with our own version
+ * @param {Object} hello Peer hello
+ * @param {number} hello.protocolVersion Version the peer speaks
+ * @param {number} hello.minProtocolVersion Oldest version the peer accepts
+ * @returns {string|null} Who is out of date - "self" or "peer" - or null
+ *   if the two can talk
+ */
+export const checkProtocolVersion = ({
+  protocolVersion,
+  minProtocolVersion = protocolVersion,
+}) => {
+  if (PROTOCOL_VERSION < minProtocolVersion) return "self";
+  if (protocolVersion < MIN_PROTOCOL_VERSION) return "peer";
+  return null;
+};
+
+// Socket.IO's own events carry no payload of ours
+export const LIFECYCLE_EVENTS = [
+  "connect",
+  "connect_error",
+  "disconnect",
+  "disconnecting",
+];
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === "string",
+  number: (value) => Number.isFinite(value),
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === "boolean",
+  null: (value) => value === null,
+  array: (value) => Array.isArray(value),
+  binary: (value) => isBinaryPayload(value),
+  object: (value) =>
+    typeof value === "object" &&
+    value !== null &&
+    !Array.isArray(value) &&
+    !isBinaryPayload(value),
+  any: () => true,
+};
+
+// ----- Shared field schemas -----
+
+const NO_PAYLOAD = { type: "any", optional: true };
+const VECTOR3 = { type: "array", length: 3, items: { type: "number" } };
+const TEAM = { type: "string", values: ["Red", "Blue"] };
+// Flag and kill feed events use lowercase team names
+const FLAG_TEAM = { type: "string", values: ["red", "blue", "Red", "Blue"] };
+const HEALTH = { type: "number", min: 0, max: 100 };
+const COUNT = { type: "integer", min: 0 };
+const TIMESTAMP = { type: "number", min: 0 };
+const PLAYER_ID = { type: "string", maxLength: 64 };
+const ROOM_CODE = { type: "string", maxLength: 16 };
+const PARTY_CODE = { type: "string", maxLength: 16 };
+const CHAT_CHANNEL = { type: "string", values: ["all", "party"] };
+const WINNER = { type: ["string", "null"], values: ["Red", "Blue", null] };
+
+const optional = (schema) => ({ ...schema, optional: true });
+
+const VERSION = { type: "integer", min: 0 };
+const STRING_LIST = { type: "array", maxItems: 32, items: { type: "string" } };
+
+const INPUT_COMMAND = {
+  type: "object",
+  fields: {
+    seq: COUNT,
+    dt: { type: "number", min: 0 },
+    keys: optional({ type: "object" }),
+    position: VECTOR3,
+  },
+};
+
+// One entry of a players snapshot - deltas only carry what changed
+const PLAYER_STATE = {
+  type: "object",
+  fields: {
+    name: optional({ type: "string" }),
+    team: optional(TEAM),
+    position: optional(VECTOR3),
+    rotation: optional(VECTOR3),
+    health: optional(HEALTH),
+    is_eliminated: optional({ type: "boolean" }),
+    isCrouching: optional({ type: "boolean" }),
+    disconnected: optional({ type: "boolean" }),
+  },
+};
+
+const KILL_FEED_ENTRY = {
+  type: "object",
+  fields: { id: PLAYER_ID, name: { type: "string" }, team: FLAG_TEAM },
+};
+
+const PARTY_MEMBER = {
+  type: "object",
+  fields: {
+    id: PLAYER_ID,
+    name: { type: "string" },
+    ready: { type: "boolean" },
+  },
+};
+
+const SCOREBOARD_ENTRY = {
+  type: "object",
+  fields: {
+    id: PLAYER_ID,
+    name: { type: "string" },
+    team: TEAM,
+    kills: COUNT,
+    deaths: COUNT,
+  },
+};
+
+// ----- Registries -----
+
+/**
+ * Events the client sends to the server
+ */
+export const CLIENT_MESSAGES = {
+  hello: {
+    type: "object",
+    fields: {
+      protocolVersion: VERSION,
+      minProtocolVersion: optional(VERSION),
+      encodings: optional(STRING_LIST),
+      features: optional(STRING_LIST),
+    },
+  },
+  join: {
+    type: "object",
+    fields: {
+      name: optional({ type: "string", maxLength: 64 }),
+      team: optional({ type: ["string", "null"] }),
+      encodings: optional({
+        type: "array",
+        maxItems: 8,
+        items: { type: "string" },
+      }),
+      sessionToken: optional({ type: ["string", "null"], maxLength: 128 }),
+      password: optional({ type: "string", maxLength: 64 }),
+    },
+  },
+  createRoom: {
+    type: "object",
+    fields: {
+      name: optional({ type: "string", maxLength: 64 }),
+      password: optional({ type: "string", maxLength: 64 }),
+      rules: optional({
+        type: "object",
+        fields: {
+          maxPlayersPerTeam: optional(COUNT),
+          roundTime: optional(COUNT),
+          winScore: optional(COUNT),
+        },
+      }),
+    },
+  },
+  startMatch: NO_PAYLOAD,
+  switchTeam: { type: "object", fields: { team: optional(TEAM) } },
+  createParty: {
+    type: "object",
+    fields: { name: optional({ type: "string", maxLength: 64 }) },
+  },
+  joinParty: {
+    type: "object",
+    fields: {
+      code: PARTY_CODE,
+      name: optional({ type: "string", maxLength: 64 }),
+    },
+  },
+  leaveParty: NO_PAYLOAD,
+  setPartyReady: { type: "object", fields: { ready: { type: "boolean" } } },
+  queueParty: NO_PAYLOAD,
+  spectate: {
+    type: "object",
+    fields: { password: optional({ type: "string", maxLength: 64 }) },
+  },
+  stopSpectating: NO_PAYLOAD,
+  requestServerStatus: NO_PAYLOAD,
+  updatePosition: {
+    type: ["object", "binary"],
+    fields: {
+      position: optional(VECTOR3),
+      rotation: optional(VECTOR3),
+      isCrouching: optional({ type: "boolean" }),
+      inputs: optional({ type: "array", maxItems: 64, items: INPUT_COMMAND }),
+    },
+  },
+  snapshotAck: { type: "object", fields: { tick: COUNT } },
+  clockPing: { type: "object", fields: { clientTime: TIMESTAMP } },
+  shoot: {
+    type: "object",
+    fields: {
+      origin: VECTOR3,
+      direction: VECTOR3,
+      color: optional({ type: "string", maxLength: 32 }),
+      id: optional({ type: ["string", "integer"] }),
+      viewTime: optional(TIMESTAMP),
+      viewDelay: optional({ type: "number", min: 0 }),
+    },
+  },
+  hit: {
+    type: "object",
+    fields: {
+      target: PLAYER_ID,
+      shooter: optional({ type: ["string", "null"] }),
+      paintballId: { type: ["string", "integer"] },
+    },
+  },
+  captureFlag: { type: "object", fields: { team: FLAG_TEAM } },
+  scoreFlag: { type: "object", fields: { team: FLAG_TEAM } },
+  message: {
+    type: "object",
+    fields: {
+      text: { type: "string", maxLength: 1000 },
+      timestamp: optional({ type: ["string", "number"] }),
+      channel: optional(CHAT_CHANNEL),
+    },
+  },
+};
+
+/**
+ * Events the server sends to clients
+ */
+export const SERVER_MESSAGES = {
+  hello: {
+    type: "object",
+    fields: {
+      protocolVersion: VERSION,
+      minProtocolVersion: optional(VERSION),
+      compatible: { type: "boolean" },
+      encodings: optional(STRING_LIST),
+      features: optional(STRING_LIST),
+      rules: {
+        type: "object",
+        fields: {
+          gameMode: { type: "string" },
+          map: optional({ type: "string" }),
+          maxPlayers: COUNT,
+          maxPlayersPerTeam: optional(COUNT),
+          teamImbalanceThreshold: optional(COUNT),
+          warmupTime: optional(COUNT),
+          roundTime: optional(COUNT),
+          overtimeTime: optional(COUNT),
+          winScore: optional(COUNT),
+          respawnTime: optional(COUNT),
+        },
+      },
+      room: optional({
+        type: "object",
+        fields: { code: ROOM_CODE, passwordRequired: { type: "boolean" } },
+      }),
+    },
+  },
+  teamChanged: {
+    type: "object",
+    fields: {
+      team: TEAM,
+      reason: { type: "string", values: ["switch", "balance"] },
+      message: { type: "string" },
+      health: optional(HEALTH),
+    },
+  },
+  teamSwitchDenied: {
+    type: "object",
+    fields: { reason: { type: "string" }, message: { type: "string" } },
+  },
+  partyUpdate: {
+    type: "object",
+    fields: {
+      code: PARTY_CODE,
+      leaderId: PLAYER_ID,
+      status: { type: "string", values: ["forming", "queued", "playing"] },
+      team: optional(TEAM),
+      members: { type: "array", maxItems: 16, items: PARTY_MEMBER },
+    },
+  },
+  partyError: {
+    type: "object",
+    fields: { reason: { type: "string" }, message: { type: "string" } },
+  },
+  spectateSuccess: {
+    type: "object",
+    fields: { totalPlayers: COUNT, spectators: COUNT },
+  },
+  roomCreated: {
+    type: "object",
+    fields: { code: ROOM_CODE, passwordRequired: { type: "boolean" } },
+  },
+  roomUpdate: {
+    type: "object",
+    fields: {
+      code: ROOM_CODE,
+      hostId: { type: ["string", "null"], maxLength: 64 },
+      hostName: optional({ type: "string" }),
+      passwordRequired: { type: "boolean" },
+    },
+  },
+  roomError: {
+    type: "object",
+    fields: { reason: { type: "string" }, message: { type: "string" } },
+  },
+  serverStatus: {
+    type: "object",
+    fields: {
+      currentPlayers: optional(COUNT),
+      maxPlayers: optional(COUNT),
+      queueLength: optional(COUNT),
+      hasSpace: optional({ type: "boolean" }),
+      redTeamPlayers: optional(COUNT),
+      blueTeamPlayers: optional(COUNT),
+    },
+  },
+  queueUpdate: {
+    type: "object",
+    fields: {
+      position: COUNT,
+      // Seconds, from how fast slots have been opening; null until the
+      // server has seen enough turnover to tell
+      estimatedWaitTime: optional({ type: ["number", "null"], min: 0 }),
+      trend: optional({ type: "string", values: ["moving", "stalled"] }),
+    },
+  },
+  joinSuccess: {
+    type: "object",
+    fields: {
+      id: PLAYER_ID,
+      team: TEAM,
+      name: { type: "string" },
+      totalPlayers: optional(COUNT),
+      encoding: optional({ type: "string" }),
+      sessionToken: optional({ type: "string" }),
+      resumed: optional({ type: "boolean" }),
+      position: optional(VECTOR3),
+      health: optional(HEALTH),
+    },
+  },
+  playerRoster: {
+    type: "array",
+    items: {
+      type: "object",
+      fields: {
+        netId: { type: "integer", min: 1, max: 65535 },
+        id: PLAYER_ID,
+        name: { type: "string" },
+        team: TEAM,
+      },
+    },
+  },
+  players: {
+    type: ["object", "binary"],
+    fields: {
+      tick: COUNT,
+      baseTick: optional(COUNT),
+      time: optional(TIMESTAMP),
+      players: { type: "object", entries: PLAYER_STATE },
+      removed: optional({ type: "array", items: { type: "string" } }),
+      held: optional({ type: "array", items: { type: "string" } }),
+    },
+  },
+  inputAck: { type: "object", fields: { seq: COUNT, position: VECTOR3 } },
+  clockPong: {
+    type: "object",
+    fields: { clientTime: TIMESTAMP, serverTime: TIMESTAMP },
+  },
+  statsUpdate: {
+    type: "object",
+    fields: {
+      kills: optional(COUNT),
+      deaths: optional(COUNT),
+      hits: optional(COUNT),
+      shots: optional(COUNT),
+      captures: optional(COUNT),
+      returns: optional(COUNT),
+      score: optional({ type: "number" }),
+      redScore: optional(COUNT),
+      blueScore: optional(COUNT),
+    },
+  },
+  matchState: {
+    type: "object",
+    fields: {
+      phase: { type: "string", values: Object.values(MATCH_PHASES) },
+      matchNumber: COUNT,
+      phaseEndsAt: { type: ["number", "null"] },
+      timeRemaining: { type: ["integer", "null"], min: 0 },
+      redScore: COUNT,
+      blueScore: COUNT,
+      winScore: optional(COUNT),
+      winner: optional(WINNER),
+      reason: optional({ type: ["string", "null"] }),
+    },
+  },
+  gameStart: NO_PAYLOAD,
+  gameOver: {
+    type: "object",
+    fields: {
+      winner: WINNER,
+      reason: { type: "string" },
+      redScore: COUNT,
+      blueScore: COUNT,
+      matchNumber: optional(COUNT),
+      players: optional({ type: "array", items: SCOREBOARD_ENTRY }),
+    },
+  },
+  paintball: {
+    type: "object",
+    fields: {
+      id: { type: "string" },
+      origin: VECTOR3,
+      direction: VECTOR3,
+      color: optional({ type: "string" }),
+      shooterId: PLAYER_ID,
+    },
+  },
+  healthUpdate: { type: "object", fields: { health: HEALTH } },
+  hitConfirmed: { type: "object", fields: { targetId: PLAYER_ID } },
+  playerKilled: {
+    type: "object",
+    fields: { killer: KILL_FEED_ENTRY, victim: KILL_FEED_ENTRY },
+  },
+  startRespawnTimer: {
+    type: "object",
+    fields: { duration: COUNT, respawnAt: optional(TIMESTAMP) },
+  },
+  playerRespawned: {
+    type: "object",
+    fields: { health: HEALTH, position: VECTOR3 },
+  },
+  flagCaptured: {
+    type: "object",
+    fields: { team: FLAG_TEAM, carrier: { type: "string" } },
+  },
+  flagReturned: {
+    type: "object",
+    fields: { team: FLAG_TEAM, returnedBy: optional({ type: "string" }) },
+  },
+  flagScored: {
+    type: "object",
+    fields: {
+      team: FLAG_TEAM,
+      scorer: { type: "string" },
+      redScore: COUNT,
+      blueScore: COUNT,
+    },
+  },
+  message: {
+    type: "object",
+    fields: {
+      sender: { type: "string" },
+      team: optional(TEAM),
+      text: { type: "string" },
+      timestamp: { type: ["number", "string"] },
+      channel: optional(CHAT_CHANNEL),
+    },
+  },
+};
+
+// ----- Validation -----
+
+const checkValue = (schema, value, path, errors) => {
+  if (value === undefined) {
+    if (!schema.optional) errors.push(`${path} is required`);
+    return;
+  }
+
+  const types = [].concat(schema.type || "any");
+  const type = types.find((candidate) => TYPE_CHECKS[candidate](value));
+  if (!type) {
+    errors.push(`${path} should be ${types.join(" or ")}`);
+    return;
+  }
+
+  if (schema.values && !schema.values.includes(value)) {
+    errors.push(`${path} should be one of ${schema.values.join(", ")}`);
+  }
+
+  if (type === "number" || type === "integer") {
+    if (schema.min !== undefined && value < schema.min) {
+      errors.push(`${path} should be at least ${schema.min}`);
+    }
+    if (schema.max !== undefined && value > schema.max) {
+      errors.push(`${path} should be at most ${schema.max}`);
+    }
+  }
+
+  if (type === "string" && value.length > schema.maxLength) {
+    errors.push(`${path} is longer than ${schema.maxLength}`);
+  }
+
+  if (type === "array") {
+    if (schema.length !== undefined && value.length !== schema.length) {
+      errors.push(`${path} should have ${schema.length} items`);
+    }
+    if (value.length > schema.maxItems) {
+      errors.push(`${path} has more than ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) =>
+        checkValue(schema.items, item, `${path}[${i}]`, errors)
+      );
+    }
+  }
+
+  if (type === "object") {
+    Object.entries(schema.fields || {}).forEach(([key, field]) =>
+      checkValue(field, value[key], `${path}.${key}`, errors)
+    );
+    if (schema.entries) {
+      Object.entries(value).forEach(([key, entry]) =>
+        checkValue(schema.entries, entry, `${path}.${key}`, errors)
+      );
+    }
+  }
+};
+
+/**
+ * Check a payload against the schema for its event
+ * @param {Object} registry CLIENT_MESSAGES or SERVER_MESSAGES
+ * @param {string} event Event name
+ * @param {*} payload Message payload
+ * @returns {Array<string>} What is wrong with it (empty if valid)
+ */
+export const validateMessage = (registry, event, payload) => {
+  if (LIFECYCLE_EVENTS.includes(event)) return [];
+
+  const schema = registry[event];
+  if (!schema) return [`unknown event "${event}"`];
+
+  const errors = [];
+  checkValue(schema, payload, event, errors);
+  return errors;
+};
+
+/**
+ * Wrap a socket so every message is checked against the protocol on its way
+ * in or out. Malformed messages are dropped and passed to onInvalid.
+ * @param {Object} socket Socket.IO socket (client or server side)
+ * @param {Object} options Guard options
+ * @param {Object} options.incoming Registry for received events
+ * @param {Object} options.outgoing Registry for sent events (optional)
+ * @param {Function} options.onInvalid (event, direction, errors) => void,
+ *   direction being "in" or "out"
+ * @returns {Object} Socket with the same interface
+ */
+export const guardSocket = (
+  socket,
+  { incoming = null, outgoing = null, onInvalid = () => {} }
+) => {
+  const handlers = {}; // event -> Map(callback -> guarded callback)
+
+  const emit = (event, ...args) => {
+    const errors = outgoing ? validateMessage(outgoing, event, args[0]) : [];
+    if (errors.length > 0) {
+      onInvalid(event, "out", errors);
+      return wrapper;
+    }
+
+    socket.emit(event, ...args);
+    return wrapper;
+  };
+
+  const on = (event, callback) => {
+    if (!incoming) {
+      socket.on(event, callback);
+      return wrapper;
+    }
+
+    const guarded = (payload, ...rest) => {
+      const errors = validateMessage(incoming, event, payload);
+      if (errors.length > 0) {
+        onInvalid(event, "in", errors);
+        return;
+      }
+      callback(payload, ...rest);
+    };
+
+    if (!handlers[event]) handlers[event] = new Map();
+    handlers[event].set(callback, guarded);
+    socket.on(event, guarded);
+    return wrapper;
+  };
+
+  const off = (event, callback) => {
+    if (!callback) {
+      delete handlers[event];
+      socket.off(event);
+      return wrapper;
+    }
+
+    const guarded = handlers[event]?.get(callback);
+    handlers[event]?.delete(callback);
+    socket.off(event, guarded || callback);
+    return wrapper;
+  };
+
+  const overrides = { emit, on, off };
+
+  const wrapper = new Proxy(socket, {
+    get(target, prop) {
+      if (Object.prototype.hasOwnProperty.call(overrides, prop)) {
+        return overrides[prop];
+      }
+      const value = target[prop];
+      return typeof value === "function" ? value.bind(target) : value;
+    },
+  });
+
+  return wrapper;
+};
@@ -0,0 +1,130 @@
+/**
+ * Server browser for the lobby
+ *
+ * The server list comes from SERVER_LIST in config.js, or from a list
+ * endpoint (SERVER_LIST_URL) returning the same shape. Each server is probed
+ * over HTTP (`/status` on the reference server): the reply carries its name,
+ * mode, map and player counts, and the time it took is the ping we show and
+ * rank servers by.
+ */
+
+import {
+  SERVER_LIST,
+  SERVER_LIST_URL,
+  SERVER_STATUS_STALE_TIME,
+} from "./config";
+import { EVENTS, emitEvent } from "./events";
+
+const PROBE_TIMEOUT = 3000; // ms before a server counts as unreachable
+
+let manifest = null; // [{ name, url }] once loaded
+let servers = []; // Manifest entries merged with their last probe
+
+const trimUrl = (url) => url.replace(/\/+$/, "");
+
+/**
+ * Load the server list, preferring the list endpoint when there is one
+ * @returns {Promise<Array>} [{ name, url }]
+ */
+export const loadServerList = async () => {
+  if (manifest) return manifest;
+
+  if (SERVER_LIST_URL) {
+    try {
+      const response = await fetch(SERVER_LIST_URL, { cache: "no-store" });
+      const data = await response.json();
+      const list = Array.isArray(data) ? data : data.servers;
+      if (Array.isArray(list) && list.length > 0) {
+        manifest = list.filter((entry) => typeof entry?.url === "string");
+        return manifest;
+      }
+    } catch (error) {
+      console.warn(
+        "⚠️ Couldn't load the server list, using the built-in one:",
+        error
+      );
+    }
+  }
+
+  manifest = SERVER_LIST;
+  return manifest;
+};
+
+/**
+ * Fetch one server's listing and time the round trip
+ * @param {Object} entry Manifest entry ({ name, url })
+ * @returns {Promise<Object>} Entry with online, ping, lastUpdate and the
+ *   server's listing (mode, map, currentPlayers, maxPlayers, queueLength, ...)
+ */
+const probeServer = async (entry) => {
+  const previous = servers.find((server) => server.url === entry.url);
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), PROBE_TIMEOUT);
+  const startedAt = performance.now();
+
+  try {
+    const response = await fetch(`${trimUrl(entry.url)}/status`, {
+      cache: "no-store",
+      signal: controller.signal,
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const listing = await response.json();
+
+    return {
+      ...listing,
+      ...entry,
+      name: entry.name || listing.name,
+      online: true,
+      ping: Math.round(performance.now() - startedAt),
+      lastUpdate: Date.now(),
+    };
+  } catch {
+    // Keep the last numbers we saw - isServerFresh stops trusting them
+    return { ...previous, ...entry, online: false, ping: null };
+  } finally {
+    clearTimeout(timeout);
+  }
+};
+
+/**
+ * Probe every server in the list
+ * @returns {Promise<Array>} Updated server list (also sent as SERVER_LIST_UPDATE)
+ */
+export const refreshServers = async () => {
+  const list = await loadServerList();
+  servers = await Promise.all(list.map(probeServer));
+  emitEvent(EVENTS.SERVER_LIST_UPDATE, servers);
+  return servers;
+};
+
+/**
+ * Last probed server list
+ */
+export const getServers = () => servers;
+
+/**
+ * Whether a server answered recently enough to be trusted
+ * @param {Object} server Server list entry
+ */
+export const isServerFresh = (server) =>
+  Boolean(server?.online) &&
+  Date.now() - server.lastUpdate < SERVER_STATUS_STALE_TIME;
+
+/**
+ * Pick the lowest-ping server that has space. If every server is full, the
+ * lowest-ping one that is up (we'll queue there).
+ * @param {Array} list Servers to choose from
+ * @param {Array<string>} exclude URLs to skip (e.g. one that just went stale)
+ * @returns {Object|null} Best server, or null if none is reachable
+ */
+export const pickBestServer = (list = servers, exclude = []) => {
+  const candidates = list
+    .filter((server) => isServerFresh(server) && !exclude.includes(server.url))
+    .sort((a, b) => a.ping - b.ping);
+
+  return (
+    candidates.find((server) => server.hasSpace !== false) ||
+    candidates[0] ||
+    null
+  );
+};
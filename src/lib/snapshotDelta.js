@@ -0,0 +1,123 @@
+/**
+ * Delta compression for `players` snapshots, shared by the client and the
+ * reference server.
+ *
+ * Every snapshot has a tick. The client acknowledges the ticks it has
+ * applied, and the server sends each client only what changed since the
+ * last tick it acknowledged (its baseline): changed fields, added players
+ * and removed players. A baseTick of 0 means "no baseline" - the snapshot
+ * is complete on its own.
+ *
+ * Snapshots are per client (the server only sends nearby players, and far
+ * ones less often). Players listed in `held` were not refreshed this tick:
+ * their entry repeats an older state and says nothing about them standing
+ * still.
+ */
+
+export const SNAPSHOT_HISTORY = 32; // Ticks kept on each side, ~1.6s at 20 updates/second
+
+// Fields of a public player, in the shape Game.js consumes
+const PLAYER_FIELDS = [
+  "name",
+  "team",
+  "position",
+  "rotation",
+  "health",
+  "is_eliminated",
+  "isCrouching",
+  "disconnected",
+];
+
+const sameValue = (a, b) => {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((value, i) => value === b[i]);
+  }
+  return a === b;
+};
+
+/**
+ * Whether any public field differs between two states of one player
+ */
+export const hasPlayerChanged = (previous, player) =>
+  PLAYER_FIELDS.some((field) => !sameValue(previous[field], player[field]));
+
+/**
+ * What changed between two player maps
+ * @param {Object} base Player map the receiver already has (key -> player)
+ * @param {Object} next Current player map
+ * @returns {{players: Object, removed: Array}} Changed fields per key
+ *   (every field for added players) and keys that are gone
+ */
+export const diffPlayers = (base, next) => {
+  const players = {};
+
+  Object.entries(next).forEach(([key, player]) => {
+    const previous = base[key];
+    const changed = {};
+
+    PLAYER_FIELDS.forEach((field) => {
+      if (player[field] === undefined) return;
+      if (!previous || !sameValue(previous[field], player[field])) {
+        changed[field] = player[field];
+      }
+    });
+
+    if (Object.keys(changed).length > 0) players[key] = changed;
+  });
+
+  const removed = Object.keys(base).filter((key) => !next[key]);
+
+  return { players, removed };
+};
+
+/**
+ * Rebuild a full player map from a baseline and a delta
+ * @param {Object} base Baseline player map
+ * @param {Object} players Changed fields per key
+ * @param {Array} removed Keys to drop
+ * @returns {Object} New player map (the baseline is left untouched)
+ */
+export const applyPlayersDelta = (base, players = {}, removed = []) => {
+  const next = {};
+
+  Object.entries(base).forEach(([key, player]) => {
+    next[key] = player;
+  });
+  removed.forEach((key) => {
+    delete next[key];
+  });
+  Object.entries(players).forEach(([key, changed]) => {
+    next[key] = { ...next[key], ...changed };
+  });
+
+  return next;
+};
+
+/**
+ * Keep the last few snapshots by tick, so deltas can be built (server) or
+ * applied (client) against any recent baseline
+ * @param {number} limit How many ticks to keep
+ * @returns {Object} History handle
+ */
+export const createSnapshotHistory = (limit = SNAPSHOT_HISTORY) => {
+  let entries = []; // [{ tick, snapshot }], oldest first
+
+  const add = (tick, snapshot) => {
+    entries.push({ tick, snapshot });
+    if (entries.length > limit) entries.shift();
+  };
+
+  /**
+   * @returns {Object|null} Snapshot for the tick, or null if we no longer have it
+   */
+  const get = (tick) => {
+    const entry = entries.find((candidate) => candidate.tick === tick);
+    return entry ? entry.snapshot : null;
+  };
+
+  const clear = () => {
+    entries = [];
+  };
+
+  return { add, get, clear };
+};
@@ -10,21 +10,69 @@ import {
   MAX_PLAYERS,
   QUEUE_REFRESH_INTERVAL,
   SERVER_STATUS_REFRESH_RATE,
+  SERVER_STATUS_STALE_TIME,
   POSITION_UPDATE_INTERVAL,
   POSITION_UPDATE_THRESHOLD,
   ROTATION_UPDATE_THRESHOLD,
   BATCH_UPDATES,
   BATCH_UPDATE_INTERVAL,
   COMPRESSION_ENABLED,
+  CLOCK_SYNC_INTERVAL,
+  FLAG_SCORE_POINTS,
+  VALIDATE_PROTOCOL,
+  MAX_HEALTH,
+  HIT_DAMAGE,
+  RESPAWN_TIME,
 } from "./config";
 import { EVENTS, emitEvent } from "./events";
-import { trackNetworkTraffic } from "./performance";
+import { trackNetworkTraffic, trackMalformedMessage } from "./performance";
+import { createMatch } from "./match";
+import {
+  createInputCommand,
+  reconcileWithServer,
+  resetPrediction,
+  clearPendingInputs,
+} from "./prediction";
+import { recordPlayersSnapshot, clearSnapshots } from "./interpolation";
+import {
+  ENCODINGS,
+  SUPPORTED_ENCODINGS,
+  isBinaryPayload,
+  decodePlayersSnapshot,
+  encodePositionUpdate,
+} from "./wireFormat";
+import { applyPlayersDelta, createSnapshotHistory } from "./snapshotDelta";
+import {
+  createClockPing,
+  recordClockPong,
+  resetNetworkTiming,
+} from "./networkTiming";
+import { wrapSocket } from "./networkSimulator";
+import {
+  PROTOCOL_VERSION,
+  MIN_PROTOCOL_VERSION,
+  PROTOCOL_FEATURES,
+  CLIENT_MESSAGES,
+  SERVER_MESSAGES,
+  checkProtocolVersion,
+  guardSocket,
+} from "./protocol";
 
 // Socket instance
 let socket = null;
+let serverUrl = null; // Server picked in the lobby; later connects reuse it
+let room = null; // Private room we play in ({ code, password }); later connects reuse it
+let roomState = null; // Room host and settings, from roomUpdate
+let party = null; // Our party (code, leader, status, members), from partyUpdate
+let partyMessages = []; // Recent party chat, kept across lobby/queue/game
+const MAX_PARTY_MESSAGES = 50;
+let spectating = false; // Watching the match, from spectate() until we play
 let isMultiplayerMode = false;
 let connectionState = "disconnected"; // disconnected, connecting, connected, queued
 let queuePosition = 0;
+// Server's estimate (seconds, null if it can't tell yet) and whether the
+// queue is "moving" or "stalled", from queueUpdate
+let queueEstimate = { estimatedWaitTime: null, trend: null };
 let serverStatus = {
   currentPlayers: 0,
   maxPlayers: MAX_PLAYERS,
@@ -33,6 +81,14 @@ let serverStatus = {
   online: false,
 };
 
+// Wire encoding negotiated in joinSuccess, and the net id -> player roster
+// needed to decode binary snapshots
+let wireEncoding = ENCODINGS.JSON;
+let playerRoster = {};
+
+// Rebuilt players snapshots by tick, the baselines for incoming deltas
+const snapshotStates = createSnapshotHistory();
+
 // Event listeners (used by mock socket only)
 const listeners = {};
 const mockEmitHandlers = {};
@@ -41,21 +97,134 @@ const mockEmitHandlers = {};
 let batchedUpdates = {
   position: null,
   rotation: null,
+  inputs: [],
   lastSentPosition: null,
   lastSentRotation: null,
   lastUpdateTime: 0,
 };
 
+// What the server told us in its hello (protocol version, features, rules),
+// and, per server URL, the error to show if it can't talk to this build
+let serverInfo = null;
+const protocolMismatches = new Map();
+
+// Clock sync pings (see networkTiming.js)
+let clockSyncTimer = null;
+
 // Reconnection tracking
 let reconnectionAttempts = 0;
 const MAX_RECONNECTION_ATTEMPTS = 15;
 let reconnectionTimer = null;
 
-// Session tracking for reconnection — allows re-joining after disconnect
+// Session tracking for reconnection — allows re-joining after disconnect.
+// The token lets the server hand our character back (same id, stats and
+// position); it is kept in sessionStorage so a page reload can resume too.
 let playerSession = {
   name: null,
   team: null,
   joined: false,
+  token: null,
+  playerId: null,
+};
+const SESSION_STORAGE_KEY = "paintblast:session";
+
+/**
+ * Read the session saved by this tab, if any
+ * @returns {{token: string, name: string}|null}
+ */
+const readStoredSession = () => {
+  if (typeof window === "undefined") return null;
+  try {
+    return JSON.parse(window.sessionStorage.getItem(SESSION_STORAGE_KEY));
+  } catch {
+    return null;
+  }
+};
+
+const writeStoredSession = (session) => {
+  if (typeof window === "undefined") return;
+  try {
+    if (session) {
+      window.sessionStorage.setItem(
+        SESSION_STORAGE_KEY,
+        JSON.stringify(session)
+      );
+    } else {
+      window.sessionStorage.removeItem(SESSION_STORAGE_KEY);
+    }
+  } catch {
+    // Storage can be unavailable (private mode, quotas) - resuming just won't survive a reload
+  }
+};
+
+/**
+ * Rebuild the full players map from a (possibly delta) `players` payload
+ * and acknowledge it, so the next delta can build on it
+ * @returns {{players: Object, held: Array, time: number}|null} Player id ->
+ *   player state, the ids not refreshed this tick and the server time of the
+ *   snapshot, or null if the baseline is gone and a full snapshot has been
+ *   requested
+ */
+const applyPlayersPayload = (payload) => {
+  const binary = isBinaryPayload(payload);
+  const snapshot = binary ? decodePlayersSnapshot(payload) : payload;
+
+  const base = snapshot.baseTick ? snapshotStates.get(snapshot.baseTick) : {};
+  if (!base) {
+    socket.emit("snapshotAck", { tick: 0 });
+    return null;
+  }
+
+  const state = applyPlayersDelta(base, snapshot.players, snapshot.removed);
+  snapshotStates.add(snapshot.tick, state);
+  socket.emit("snapshotAck", { tick: snapshot.tick });
+
+  const held = snapshot.held || [];
+  if (!binary) return { players: state, held, time: snapshot.time };
+
+  // Binary snapshots are keyed by net id - resolve them through the roster
+  const playersData = {};
+  Object.entries(state).forEach(([netId, player]) => {
+    const entry = playerRoster[netId];
+    if (entry) playersData[entry.id] = { ...player, name: entry.name };
+  });
+  return {
+    players: playersData,
+    time: snapshot.time,
+    held: held
+      .filter((netId) => playerRoster[netId])
+      .map((netId) => playerRoster[netId].id),
+  };
+};
+
+/**
+ * A message failed protocol validation and was dropped
+ */
+const reportMalformedMessage = (event, direction, errors) => {
+  console.warn(
+    `🚫 Malformed ${event} ${direction === "in" ? "from" : "to"} server:`,
+    errors.join("; ")
+  );
+  trackMalformedMessage(event, direction);
+};
+
+/**
+ * Size of a payload on the wire, for traffic stats
+ */
+const getPayloadSize = (data) =>
+  isBinaryPayload(data) ? data.byteLength : JSON.stringify(data).length;
+
+/**
+ * Send an updatePosition payload in the negotiated encoding
+ */
+const emitPositionUpdate = (updateData) => {
+  const payload =
+    wireEncoding === ENCODINGS.BINARY
+      ? encodePositionUpdate(updateData)
+      : updateData;
+
+  trackNetworkTraffic(getPayloadSize(payload), "sent");
+  socket.emit("updatePosition", payload);
 };
 
 // Create a throttle function to limit update frequency
@@ -83,17 +252,124 @@ export const setPlayerSession = (name, team) => {
  * Clear player session (on intentional disconnect)
  */
 export const clearPlayerSession = () => {
-  playerSession = { name: null, team: null, joined: false };
+  playerSession = {
+    name: null,
+    team: null,
+    joined: false,
+    token: null,
+    playerId: null,
+  };
+  writeStoredSession(null);
 };
 
+/**
+ * Session token to resume with, if this tab last played under this name
+ * @param {string} name Player name about to join
+ * @returns {string|undefined} Token, or undefined for a fresh join
+ */
+export const getSessionToken = (name) => {
+  if (playerSession.token) return playerSession.token;
+  const stored = readStoredSession();
+  return stored && stored.name === name ? stored.token : undefined;
+};
+
+const getDefaultServerUrl = () =>
+  process.env.NEXT_PUBLIC_SOCKET_URL ||
+  DEFAULT_SERVER_URL ||
+  "http://localhost:5000";
+
+/**
+ * The server we are (or will be) playing on
+ * @returns {string} Server URL
+ */
+export const getServerUrl = () => serverUrl || getDefaultServerUrl();
+
+/**
+ * The server's hello: protocol version, shared features and game rules
+ * @returns {Object|null} Null until the server has said hello (servers from
+ *   before the handshake never do)
+ */
+export const getServerInfo = () => serverInfo;
+
+/**
+ * The private room we are (or will be) playing in
+ * @returns {{code: string, password: string}|null} Null on the main game
+ */
+export const getRoom = () => room;
+
+/**
+ * Who hosts the private room we're in, and whether it has a password
+ * @returns {Object|null} { code, hostId, hostName, passwordRequired }
+ */
+export const getRoomState = () => roomState;
+
+/**
+ * Link friends can open to join our private room (/room/[code]). It names
+ * the server too unless the room is on the default one.
+ * @returns {string|null}
+ */
+export const getRoomLink = () => {
+  if (!room || typeof window === "undefined") return null;
+
+  const link = `${window.location.origin}/room/${room.code}`;
+  return getServerUrl() === getDefaultServerUrl()
+    ? link
+    : `${link}?server=${encodeURIComponent(getServerUrl())}`;
+};
+
+/**
+ * Whether we host our private room (and so start its matches)
+ */
+export const isRoomHost = () =>
+  Boolean(roomState) && roomState.hostId === getPlayerId();
+
+/**
+ * Why this build can't play on a server, if it can't
+ * @param {string} url Server URL (defaults to the current server)
+ * @returns {{type: string, message: string}|null}
+ */
+export const getProtocolMismatch = (url = getServerUrl()) =>
+  protocolMismatches.get(url) || null;
+
+/**
+ * Our player id as the server knows it. It stays the same when a session is
+ * resumed on a new connection, unlike the socket id.
+ */
+export const getPlayerId = () => playerSession.playerId || socket?.id || null;
+
 /**
  * Connect to the Socket.IO server or initialize mock socket for single-player
  * @param {Object} options Connection options
  * @param {boolean} options.multiplayer Whether to use multiplayer mode
- * @param {string} options.url Server URL (optional override, mainly for testing)
+ * @param {string} options.url Server URL (defaults to the last server picked)
+ * @param {Object|null} options.room Private room to play in ({ code,
+ *   password }), null for the main game (defaults to the current one)
  * @returns {Object} The socket instance or mock socket for single-player
  */
-export const connectSocket = ({ multiplayer = false, url = null }) => {
+export const connectSocket = ({
+  multiplayer = false,
+  url = null,
+  room: roomOption = undefined,
+}) => {
+  // No point retrying a server until the page is reloaded with a build it
+  // can talk to. Other servers may still be fine.
+  const protocolMismatch = multiplayer && getProtocolMismatch(url || undefined);
+  if (protocolMismatch) {
+    emitEvent(EVENTS.CONNECTION_ERROR, protocolMismatch);
+    return null;
+  }
+
+  const targetRoom = roomOption === undefined ? room : roomOption;
+
+  // Switching servers or rooms drops the current connection
+  if (
+    multiplayer &&
+    socket &&
+    ((url && url !== serverUrl) || targetRoom?.code !== room?.code)
+  ) {
+    disconnectSocket();
+  }
+
   // Return existing socket if already connected
   if (socket && socket.connected) {
     return socket;
@@ -114,8 +390,9 @@ export const connectSocket = ({ multiplayer = false, url = null }) => {
     // Emit connection state change event
     emitEvent(EVENTS.CONNECTION_STATE_CHANGE, { state: connectionState });
 
-    // Create a mock socket for single-player mode
-    socket = createMockSocket();
+    // Create a mock socket for single-player mode (behind the simulated
+    // network in development)
+    socket = DEBUG_MODE ? wrapSocket(createMockSocket()) : createMockSocket();
 
     return socket;
   }
@@ -129,15 +406,19 @@ export const connectSocket = ({ multiplayer = false, url = null }) => {
     reconnectionTimer = null;
   }
 
-  // Determine the actual URL to connect to
-  const targetUrl =
-    url ||
-    process.env.NEXT_PUBLIC_SOCKET_URL ||
-    DEFAULT_SERVER_URL ||
-    "http://localhost:5000";
+  // Determine the actual URL to connect to. A private room is a namespace
+  // of its own on the server.
+  const targetUrl = url || getServerUrl();
+  serverUrl = targetUrl;
+  room = targetRoom
+    ? { code: targetRoom.code.toUpperCase(), password: targetRoom.password }
+    : null;
+  const socketUrl = room
+    ? `${targetUrl.replace(/\/+$/, "")}/room/${room.code}`
+    : targetUrl;
 
   // Multiplayer mode - connect to Socket.IO server
-  console.log(`🌐 Connecting to multiplayer server: ${targetUrl}`);
+  console.log(`🌐 Connecting to multiplayer server: ${socketUrl}`);
   connectionState = "connecting";
 
   // Reset server status
@@ -177,17 +458,34 @@ export const connectSocket = ({ multiplayer = false, url = null }) => {
       };
     }
 
-    socket = io(targetUrl, socketOptions);
+    socket = io(socketUrl, socketOptions);
+    if (VALIDATE_PROTOCOL) {
+      socket = guardSocket(socket, {
+        incoming: SERVER_MESSAGES,
+        outgoing: CLIENT_MESSAGES,
+        onInvalid: reportMalformedMessage,
+      });
+    }
+    if (DEBUG_MODE) socket = wrapSocket(socket);
 
     // ----- Connection event handlers -----
 
     socket.on("connect", () => {
-      console.log(`✅ Connected to server: ${targetUrl} (sid: ${socket.id})`);
+      console.log(`✅ Connected to server: ${socketUrl} (sid: ${socket.id})`);
       connectionState = "connected";
 
       // Reset batched updates
       resetBatchedUpdates();
 
+      // Every connection negotiates its encoding and baseline again on join
+      wireEncoding = ENCODINGS.JSON;
+      playerRoster = {};
+      snapshotStates.clear();
+
+      // Measure the round trip and server clock straight away - interpolation
+      // and countdowns depend on it - then keep measuring
+      startClockSync();
+
       // Reset reconnection attempts on successful connection
       reconnectionAttempts = 0;
 
@@ -200,6 +498,15 @@ export const connectSocket = ({ multiplayer = false, url = null }) => {
       // Emit connection state change event
       emitEvent(EVENTS.CONNECTION_STATE_CHANGE, { state: connectionState });
 
+      // Introduce ourselves before anything else, so the server knows which
+      // protocol to expect
+      socket.emit("hello", {
+        protocolVersion: PROTOCOL_VERSION,
+        minProtocolVersion: MIN_PROTOCOL_VERSION,
+        encodings: SUPPORTED_ENCODINGS,
+        features: PROTOCOL_FEATURES,
+      });
+
       // Request server status immediately after connecting
       socket.emit("requestServerStatus");
 
@@ -211,14 +518,29 @@ export const connectSocket = ({ multiplayer = false, url = null }) => {
         socket.emit("join", {
           name: playerSession.name,
           team: playerSession.team,
+          encodings: SUPPORTED_ENCODINGS,
+          sessionToken: getSessionToken(playerSession.name),
+          password: room?.password,
         });
       }
+
+      // Back to watching, if that's what we were doing
+      if (spectating) {
+        socket.emit("spectate", { password: room?.password });
+      }
     });
 
     socket.on("disconnect", (reason) => {
-      console.log(`❌ Disconnected from server (${targetUrl}): ${reason}`);
+      console.log(`❌ Disconnected from server (${socketUrl}): ${reason}`);
       connectionState = "disconnected";
       serverStatus.online = false;
+      stopClockSync();
+
+      // The server drops us from our party along with the connection
+      if (party) {
+        party = null;
+        emitEvent(EVENTS.PARTY_UPDATE, null);
+      }
 
       // Emit events
       emitEvent(EVENTS.CONNECTION_STATE_CHANGE, { state: connectionState });
@@ -268,13 +590,27 @@ export const connectSocket = ({ multiplayer = false, url = null }) => {
 
     socket.on("connect_error", (error) => {
       console.error(
-        `❌ Connection error to ${targetUrl}:`,
+        `❌ Connection error to ${socketUrl}:`,
         error.message,
         error.data || ""
       );
       connectionState = "disconnected";
       serverStatus.online = false;
 
+      // The server doesn't know the room (wrong code, or it closed) -
+      // retrying won't help
+      if (room && error.message === "Invalid namespace") {
+        const roomError = {
+          type: "room_not_found",
+          message: `Room ${room.code} doesn't exist or has closed.`,
+        };
+        disconnectSocket();
+        emitEvent(EVENTS.CONNECTION_STATE_CHANGE, { state: connectionState });
+        emitEvent(EVENTS.SERVER_STATUS_CHANGE, false);
+        emitEvent(EVENTS.CONNECTION_ERROR, roomError);
+        return;
+      }
+
       // Emit events
       emitEvent(EVENTS.CONNECTION_STATE_CHANGE, { state: connectionState });
       emitEvent(EVENTS.SERVER_STATUS_CHANGE, false);
@@ -285,6 +621,10 @@ export const connectSocket = ({ multiplayer = false, url = null }) => {
     socket.on("queueUpdate", (data) => {
       console.log(`Queue position update: ${data.position}`);
       queuePosition = data.position;
+      queueEstimate = {
+        estimatedWaitTime: data.estimatedWaitTime ?? null,
+        trend: data.trend || null,
+      };
 
       if (data.position === 0) {
         console.log("👍 Your turn to join the game!");
@@ -296,7 +636,7 @@ export const connectSocket = ({ multiplayer = false, url = null }) => {
         emitEvent(EVENTS.CONNECTION_STATE_CHANGE, { state: connectionState });
         emitEvent(EVENTS.QUEUE_UPDATE, {
           position: data.position,
-          estimatedWaitTime: data.estimatedWaitTime || null,
+          ...queueEstimate,
         });
       }
     });
@@ -361,17 +701,163 @@ export const connectSocket = ({ multiplayer = false, url = null }) => {
       emitEvent(EVENTS.GAME_END, data);
     });
 
+    socket.on("matchState", (data) => {
+      emitEvent(EVENTS.MATCH_STATE, data);
+    });
+
+    socket.on("statsUpdate", (data) => {
+      emitEvent(EVENTS.STATS_UPDATE, data);
+    });
+
+    // Server acknowledged our input commands - correct if we mispredicted
+    socket.on("inputAck", (ack) => {
+      const correctedPosition = reconcileWithServer(ack);
+      if (correctedPosition) {
+        emitEvent(EVENTS.POSITION_CORRECTION, { position: correctedPosition });
+      }
+    });
+
+    // Handshake reply - stop here if either side is too old for the other
+    socket.on("hello", (hello) => {
+      const outdated = checkProtocolVersion(hello);
+      serverInfo = {
+        protocolVersion: hello.protocolVersion,
+        features: (hello.features || []).filter((feature) =>
+          PROTOCOL_FEATURES.includes(feature)
+        ),
+        rules: hello.rules,
+      };
+
+      if (!outdated && hello.compatible !== false) {
+        console.log(
+          `🤝 Server speaks protocol v${hello.protocolVersion} (${hello.rules.gameMode})`
+        );
+        return;
+      }
+
+      const protocolMismatch =
+        outdated === "peer"
+          ? {
+              type: "server_out_of_date",
+              message:
+                "The server is running an older version of PaintBlast. Please try again later.",
+            }
+          : {
+              type: "client_out_of_date",
+              message:
+                "Your client is out of date. Please refresh the page to get the latest version.",
+            };
+      protocolMismatches.set(serverUrl, protocolMismatch);
+      console.error(
+        `❌ Protocol mismatch: client v${PROTOCOL_VERSION}, server v${hello.protocolVersion}`
+      );
+      disconnectSocket();
+      emitEvent(EVENTS.CONNECTION_STATE_CHANGE, { state: connectionState });
+      emitEvent(EVENTS.SERVER_STATUS_CHANGE, false);
+      emitEvent(EVENTS.CONNECTION_ERROR, protocolMismatch);
+    });
+
+    // Server picked an encoding for this connection
+    socket.on("joinSuccess", (data) => {
+      wireEncoding = data?.encoding || ENCODINGS.JSON;
+      spectating = false; // The server stops treating us as a spectator
+
+      if (data?.sessionToken) {
+        playerSession.token = data.sessionToken;
+        playerSession.playerId = data.id;
+        writeStoredSession({ token: data.sessionToken, name: data.name });
+      }
+
+      // Resumed session - put our character back where the server has it
+      if (data?.resumed && Array.isArray(data.position)) {
+        clearPendingInputs();
+        emitEvent(EVENTS.POSITION_CORRECTION, { position: data.position });
+      }
+    });
+
+    // Keep our session's team current, so a re-join asks for the right side
+    socket.on("teamChanged", (data) => {
+      playerSession.team = data.team;
+    });
+
+    // ----- Parties -----
+
+    socket.on("partyUpdate", (data) => {
+      party = data;
+      emitEvent(EVENTS.PARTY_UPDATE, data);
+    });
+
+    socket.on("partyError", (data) => {
+      console.warn(`⚠️ Party error: ${data.message}`);
+      emitEvent(EVENTS.PARTY_ERROR, data);
+    });
+
+    socket.on("message", (message) => {
+      if (message.channel !== "party") return;
+      partyMessages = [...partyMessages, message].slice(-MAX_PARTY_MESSAGES);
+      emitEvent(EVENTS.PARTY_MESSAGE, message);
+    });
+
+    // ----- Spectators -----
+
+    socket.on("spectateSuccess", (data) => {
+      emitEvent(EVENTS.SPECTATE_START, data);
+    });
+
+    // ----- Private rooms -----
+
+    socket.on("roomUpdate", (data) => {
+      roomState = data;
+      emitEvent(EVENTS.ROOM_UPDATE, data);
+    });
+
+    // Joining a room failed (e.g. wrong password) - back to the lobby
+    socket.on("roomError", (data) => {
+      console.error(`❌ Room error: ${data.message}`);
+      if (data.reason === "wrong_password") {
+        disconnectSocket();
+        emitEvent(EVENTS.CONNECTION_STATE_CHANGE, { state: connectionState });
+      }
+      emitEvent(EVENTS.CONNECTION_ERROR, {
+        type: data.reason,
+        message: data.message,
+      });
+    });
+
+    socket.on("clockPong", (pong) => {
+      recordClockPong(pong);
+    });
+
+    socket.on("playerRoster", (roster) => {
+      if (!Array.isArray(roster)) return;
+      playerRoster = {};
+      roster.forEach((entry) => {
+        playerRoster[entry.netId] = entry;
+      });
+    });
+
     // ----- Players data handler -----
     // This is the SINGLE handler for players data.
     // Game.js should NOT add its own "players" listener — it should use
     // the EVENTS.PLAYERS_UPDATE DOM event instead.
-    socket.on("players", (playersData) => {
+    socket.on("players", (payload) => {
       // Track data for performance monitoring
-      const dataSize = JSON.stringify(playersData).length;
-      trackNetworkTraffic(dataSize, "received");
+      trackNetworkTraffic(getPayloadSize(payload), "received");
+
+      let snapshot;
+      try {
+        snapshot = applyPlayersPayload(payload);
+      } catch (error) {
+        console.warn("⚠️ Dropped undecodable players snapshot:", error);
+        return;
+      }
+      if (!snapshot) return;
+
+      // Buffer timestamped snapshots for remote player interpolation
+      recordPlayersSnapshot(snapshot.players, snapshot.time, snapshot.held);
 
       // Emit to DOM event system for React components
-      emitEvent(EVENTS.PLAYERS_UPDATE, playersData);
+      emitEvent(EVENTS.PLAYERS_UPDATE, snapshot.players);
     });
 
     // ----- Periodic status request -----
@@ -411,6 +897,29 @@ export const connectSocket = ({ multiplayer = false, url = null }) => {
   }
 };
 
+/**
+ * Start pinging the server for RTT and clock offset
+ */
+function startClockSync() {
+  stopClockSync();
+  resetNetworkTiming();
+
+  const ping = () => {
+    if (socket && socket.connected) {
+      socket.emit("clockPing", createClockPing());
+    }
+  };
+  ping();
+  clockSyncTimer = setInterval(ping, CLOCK_SYNC_INTERVAL);
+}
+
+function stopClockSync() {
+  if (clockSyncTimer) {
+    clearInterval(clockSyncTimer);
+    clockSyncTimer = null;
+  }
+}
+
 /**
  * Reset batched updates tracker
  */
@@ -418,6 +927,7 @@ function resetBatchedUpdates() {
   batchedUpdates = {
     position: null,
     rotation: null,
+    inputs: [],
     lastSentPosition: null,
     lastSentRotation: null,
     lastUpdateTime: 0,
@@ -441,6 +951,12 @@ function processBatchedUpdates() {
       Object.assign(updateData, batchedUpdates.extra);
     }
 
+    // Input commands always go out, even if the position barely moved
+    if (batchedUpdates.inputs.length > 0) {
+      updateData.inputs = batchedUpdates.inputs;
+      batchedUpdates.inputs = [];
+    }
+
     // Only send position if it changed significantly
     if (
       batchedUpdates.position &&
@@ -469,9 +985,7 @@ function processBatchedUpdates() {
 
     // Only emit if we have data to send
     if (Object.keys(updateData).length > 0) {
-      const dataSize = JSON.stringify(updateData).length;
-      trackNetworkTraffic(dataSize, "sent");
-      socket.emit("updatePosition", updateData);
+      emitPositionUpdate(updateData);
       batchedUpdates.lastUpdateTime = now;
     }
   }
@@ -554,10 +1068,27 @@ export const disconnectSocket = () => {
   if (socket) {
     if (isMultiplayerMode) {
       socket.disconnect();
+    } else {
+      stopMockMatch();
+      clearMockRespawns();
     }
     socket = null;
     connectionState = "disconnected";
     queuePosition = 0;
+    queueEstimate = { estimatedWaitTime: null, trend: null };
+    resetPrediction();
+    clearSnapshots();
+    stopClockSync();
+    resetNetworkTiming();
+    wireEncoding = ENCODINGS.JSON;
+    playerRoster = {};
+    snapshotStates.clear();
+    serverInfo = null;
+    room = null;
+    roomState = null;
+    party = null;
+    partyMessages = [];
+    spectating = false;
 
     // Clear session so we don't auto-rejoin
     clearPlayerSession();
@@ -566,26 +1097,170 @@ export const disconnectSocket = () => {
   }
 };
 
+/**
+ * Ask the server we're connected to for a private room
+ * @param {Object} request What to open
+ * @param {string} request.name Our name, which names the room
+ * @param {string} request.password Password to join (optional)
+ * @param {Object} request.rules maxPlayersPerTeam, roundTime (seconds) and
+ *   winScore
+ * @returns {Promise<Object>} { code, passwordRequired } once the room is open
+ */
+export const createRoom = (request) =>
+  new Promise((resolve, reject) => {
+    if (!socket || !isMultiplayerMode || !socket.connected) {
+      reject(new Error("Not connected to a server"));
+      return;
+    }
+
+    const lobbySocket = socket;
+    const handleCreated = (data) => {
+      removeListeners();
+      resolve(data);
+    };
+    const handleError = (data) => {
+      removeListeners();
+      reject(new Error(data.message));
+    };
+    const removeListeners = () => {
+      lobbySocket.off("roomCreated", handleCreated);
+      lobbySocket.off("roomError", handleError);
+    };
+
+    lobbySocket.on("roomCreated", handleCreated);
+    lobbySocket.on("roomError", handleError);
+    lobbySocket.emit("createRoom", request);
+  });
+
+/**
+ * Start the match in the private room we host
+ */
+export const startMatch = () => {
+  if (socket && isMultiplayerMode && isRoomHost()) {
+    socket.emit("startMatch");
+  }
+};
+
+/**
+ * The party we're in
+ * @returns {Object|null} { code, leaderId, status, team, members: [{ id,
+ *   name, ready }] }; status is "forming", "queued" or "playing"
+ */
+export const getParty = () => party;
+
+/**
+ * Whether we lead our party (and so take it into the game)
+ */
+export const isPartyLeader = () =>
+  Boolean(party) && Boolean(socket) && party.leaderId === socket.id;
+
+/**
+ * Party chat since we connected
+ */
+export const getPartyMessages = () => partyMessages;
+
+const emitPartyRequest = (event, data) => {
+  if (socket && isMultiplayerMode && socket.connected) {
+    socket.emit(event, data);
+  }
+};
+
+/**
+ * Start a party and lead it. Others join with its code.
+ * @param {string} name Our name in the party
+ */
+export const createParty = (name) => emitPartyRequest("createParty", { name });
+
+/**
+ * Join a friend's party by its code
+ * @param {string} code Party code
+ * @param {string} name Our name in the party
+ */
+export const joinParty = (code, name) =>
+  emitPartyRequest("joinParty", { code: code.trim().toUpperCase(), name });
+
+export const leaveParty = () => {
+  emitPartyRequest("leaveParty");
+  party = null;
+  partyMessages = [];
+  emitEvent(EVENTS.PARTY_UPDATE, null);
+};
+
+/**
+ * Tell the party leader whether we're good to go
+ * @param {boolean} ready
+ */
+export const setPartyReady = (ready) =>
+  emitPartyRequest("setPartyReady", { ready });
+
+/**
+ * Take our party into the game (leader only, once everyone is ready). The
+ * server answers with a partyUpdate - queued, or playing if there was room.
+ */
+export const queueParty = () => {
+  if (isPartyLeader()) emitPartyRequest("queueParty");
+};
+
+/**
+ * Say something to our party only
+ * @param {string} text Message
+ */
+export const sendPartyMessage = (text) =>
+  emitPartyRequest("message", { text, channel: "party" });
+
+/**
+ * Watch the match without a character - no slot, no team. Works while we
+ * wait in the queue, without losing our place. The server answers with
+ * spectateSuccess and then sends every player and paintball.
+ */
+export const spectate = () => {
+  if (!socket || !isMultiplayerMode || !socket.connected) return;
+  spectating = true;
+  socket.emit("spectate", { password: room?.password });
+};
+
+export const stopSpectating = () => {
+  if (!spectating) return;
+  spectating = false;
+  if (socket && socket.connected) socket.emit("stopSpectating");
+};
+
+export const isSpectating = () => spectating;
+
 /**
  * Send a player position update with optimization
  * @param {Array} position [x, y, z]
  * @param {Array} rotation [rx, ry, rz]
  * @param {Object} extra   Additional state like { isCrouching: true }
+ * @param {Object} extra.input Movement input for this tick ({ dt, keys }),
+ *                             turned into a sequenced command for the server
  */
 export const sendPositionUpdate = (position, rotation, extra = {}) => {
   if (!socket || !isMultiplayerMode) return;
 
+  const { input, ...state } = extra;
+  if (input && position) {
+    const command = createInputCommand({ ...input, position });
+    if (command) batchedUpdates.inputs.push(command);
+  }
+
   if (BATCH_UPDATES) {
     // Store latest values for the next batch
     batchedUpdates.position = position;
     batchedUpdates.rotation = rotation;
-    batchedUpdates.extra = extra;
+    batchedUpdates.extra = state;
   } else {
     // Create throttled function for direct updates
     if (!sendPositionUpdate.throttled) {
       sendPositionUpdate.throttled = throttle((pos, rot, ext) => {
         const updateData = { ...ext };
 
+        // Input commands always go out, even if the position barely moved
+        if (batchedUpdates.inputs.length > 0) {
+          updateData.inputs = batchedUpdates.inputs;
+          batchedUpdates.inputs = [];
+        }
+
         if (
           pos &&
           (!batchedUpdates.lastSentPosition ||
@@ -605,14 +1280,12 @@ export const sendPositionUpdate = (position, rotation, extra = {}) => {
         }
 
         if (Object.keys(updateData).length > 0) {
-          const dataSize = JSON.stringify(updateData).length;
-          trackNetworkTraffic(dataSize, "sent");
-          socket.emit("updatePosition", updateData);
+          emitPositionUpdate(updateData);
         }
       }, POSITION_UPDATE_INTERVAL);
     }
 
-    sendPositionUpdate.throttled(position, rotation, extra);
+    sendPositionUpdate.throttled(position, rotation, state);
   }
 };
 
@@ -661,7 +1334,7 @@ function createMockSocket() {
       }
 
       if (event === "updatePosition" || event === "shoot") {
-        trackNetworkTraffic(JSON.stringify(data).length, "sent");
+        trackNetworkTraffic(getPayloadSize(data), "sent");
       }
     },
 
@@ -695,19 +1368,152 @@ function createMockSocket() {
  * Trigger a mock event (for testing or simulating server events in single-player)
  */
 export const triggerMockEvent = (event, data) => {
+  // Like the real "players" handler: buffer for interpolation and relay to
+  // components, whether or not anyone listens on the socket
+  if (event === "players") {
+    recordPlayersSnapshot(data);
+    emitEvent(EVENTS.PLAYERS_UPDATE, data);
+  }
+
   if (!listeners[event]) return;
 
-  trackNetworkTraffic(JSON.stringify(data).length, "received");
+  trackNetworkTraffic(getPayloadSize(data), "received");
 
   listeners[event].forEach((callback) => {
     callback(data);
   });
 };
 
+// Mock match lifecycle for single-player mode (mirrors the reference server)
+let mockMatch = null;
+let mockMatchTimer = null;
+let mockPlayer = null; // { id, name, team, health, position, ...stats }
+let mockBots = {}; // bot id -> { ...what mockPlayer has, onEvent }
+const mockRespawnTimers = {}; // player id -> respawn timeout
+const MOCK_MATCH_TICK_INTERVAL = 250; // ms
+
+/**
+ * Relay a mock server event the same way the real socket handlers do
+ */
+const relayMockEvent = (event, domEvent, data) => {
+  triggerMockEvent(event, data);
+  emitEvent(domEvent, data);
+};
+
+/**
+ * Zero a single-player participant's per-match stats
+ */
+const resetMockStats = (player) =>
+  Object.assign(player, {
+    kills: 0,
+    deaths: 0,
+    hits: 0,
+    shots: 0,
+    captures: 0,
+    returns: 0,
+    score: 0,
+  });
+
+/**
+ * Zero everyone's per-match stats - the local player's and the bots'
+ */
+const resetMockPlayerStats = () => {
+  if (mockPlayer) resetMockStats(mockPlayer);
+  Object.values(mockBots).forEach(resetMockStats);
+};
+
+/**
+ * Post-match scoreboard rows, like the server's gameOver players
+ */
+const getMockScoreboard = () =>
+  [mockPlayer, ...Object.values(mockBots)]
+    .filter(Boolean)
+    .map(
+      ({ id, name, team, kills, deaths, hits, shots, captures, returns }) => ({
+        id,
+        name,
+        team,
+        kills,
+        deaths,
+        hits,
+        shots,
+        captures,
+        returns,
+      })
+    );
+
+/**
+ * Send the local player's stats, like the server's statsUpdate
+ */
+const sendMockStats = () => {
+  if (!mockPlayer) return;
+
+  const { kills, deaths, hits, shots, captures, returns, score } = mockPlayer;
+  relayMockEvent("statsUpdate", EVENTS.STATS_UPDATE, {
+    kills,
+    deaths,
+    hits,
+    shots,
+    captures,
+    returns,
+    score,
+  });
+};
+
+/**
+ * Start (or restart) the single-player match clock
+ */
+const startMockMatch = () => {
+  stopMockMatch();
+
+  mockMatch = createMatch({
+    onUpdate: (state) =>
+      relayMockEvent("matchState", EVENTS.MATCH_STATE, state),
+    onMatchStart: () => {
+      resetMockFlags();
+      resetMockPlayerStats();
+      sendMockStats();
+    },
+    onMatchEnd: (results) => {
+      resetMockFlags();
+      relayMockEvent("gameOver", EVENTS.GAME_END, {
+        ...results,
+        players: getMockScoreboard(),
+      });
+    },
+  });
+  mockMatch.start();
+  mockMatchTimer = setInterval(mockMatch.tick, MOCK_MATCH_TICK_INTERVAL);
+};
+
+/**
+ * Stop the single-player match clock
+ */
+function stopMockMatch() {
+  if (mockMatchTimer) {
+    clearInterval(mockMatchTimer);
+    mockMatchTimer = null;
+  }
+  mockMatch = null;
+}
+
 // Register default mock emit handlers for single-player mode
 registerMockEmitHandler("join", (data) => {
   console.log("Mock server: Player joined", data);
 
+  mockPlayer = {
+    id: "single-player",
+    name: data.name || "Player",
+    team: data.team === "Red" ? "Red" : "Blue",
+    health: MAX_HEALTH,
+    isEliminated: false,
+    position: null, // Until the first updatePosition
+    rotation: [0, 0, 0],
+  };
+  clearMockRespawns();
+  resetMockPlayerStats();
+  startMockMatch();
+
   setTimeout(() => {
     triggerMockEvent("players", { "single-player": data });
 
@@ -720,6 +1526,314 @@ registerMockEmitHandler("join", (data) => {
   }, 100);
 });
 
+registerMockEmitHandler("shoot", (data = {}) => {
+  if (!mockPlayer) return;
+  mockPlayer.shots++;
+  sendMockStats();
+  relayMockPaintballToBots({ ...data, shooterId: mockPlayer.id });
+});
+
+// ----- Single-player combat (mirrors the reference server) -----
+
+/**
+ * The local player or a bot, by id
+ */
+const getMockParticipant = (id) =>
+  mockPlayer && id === mockPlayer.id ? mockPlayer : mockBots[id];
+
+/**
+ * Send one participant an event meant for them alone, the way the server
+ * uses io.to(player.id): the local player hears it on the mock socket, a
+ * bot through the handler it registered
+ */
+const sendToMockPlayer = (id, event, data) => {
+  if (mockPlayer && id === mockPlayer.id) {
+    triggerMockEvent(event, data);
+  } else {
+    mockBots[id]?.onEvent(event, data);
+  }
+};
+
+const toMockKillFeedEntry = ({ id, name, team }) => ({
+  id,
+  name,
+  team: team.toLowerCase(),
+});
+
+/**
+ * A spawn point at the team's castle, like the server's getSpawnPosition
+ */
+const getMockSpawnPosition = (team) => [
+  Math.random() * 20 - 10,
+  2,
+  team === "Red" ? -120 : 120,
+];
+
+function clearMockRespawns() {
+  Object.keys(mockRespawnTimers).forEach((id) => {
+    clearTimeout(mockRespawnTimers[id]);
+    delete mockRespawnTimers[id];
+  });
+}
+
+const respawnMockPlayer = (id) => {
+  delete mockRespawnTimers[id];
+  const player = getMockParticipant(id);
+  if (!player) return;
+
+  player.health = MAX_HEALTH;
+  player.isEliminated = false;
+  sendToMockPlayer(id, "playerRespawned", {
+    health: player.health,
+    position: getMockSpawnPosition(player.team),
+  });
+};
+
+const eliminateMockPlayer = (victim, killer) => {
+  victim.health = 0;
+  victim.isEliminated = true;
+  victim.deaths++;
+  killer.kills++;
+
+  dropMockFlag(victim, killer);
+  relayMockEvent("playerKilled", EVENTS.PLAYER_KILLED, {
+    killer: toMockKillFeedEntry(killer),
+    victim: toMockKillFeedEntry(victim),
+  });
+  sendToMockPlayer(victim.id, "startRespawnTimer", {
+    duration: Math.ceil(RESPAWN_TIME / 1000),
+    respawnAt: Date.now() + RESPAWN_TIME,
+  });
+
+  mockRespawnTimers[victim.id] = setTimeout(
+    () => respawnMockPlayer(victim.id),
+    RESPAWN_TIME
+  );
+};
+
+/**
+ * A paintball connected. There's no lag to make up for in single player,
+ * so the hit counts as reported - unless it's friendly fire or the target
+ * is already out.
+ * @param {string} targetId Player or bot that was hit
+ * @param {string} shooterId Player or bot that fired
+ */
+const hitMockPlayer = (targetId, shooterId) => {
+  const target = getMockParticipant(targetId);
+  const shooter = getMockParticipant(shooterId);
+  if (!target || !shooter || target.team === shooter.team) return;
+  if (target.isEliminated || shooter.isEliminated) return;
+
+  target.health = Math.max(0, target.health - HIT_DAMAGE);
+  shooter.hits++;
+  sendToMockPlayer(target.id, "healthUpdate", { health: target.health });
+  sendToMockPlayer(shooter.id, "hitConfirmed", { targetId: target.id });
+
+  if (target.health <= 0) {
+    eliminateMockPlayer(target, shooter);
+  }
+  if (target === mockPlayer || shooter === mockPlayer) {
+    sendMockStats();
+  }
+};
+
+// ----- Single-player flags (mirrors the reference server) -----
+
+const mockFlags = { Red: null, Blue: null }; // flag team -> carrier id
+
+const toMockFlagTeam = (team) => {
+  const name = String(team || "").toLowerCase();
+  if (name === "red") return "Red";
+  if (name === "blue") return "Blue";
+  return null;
+};
+
+/**
+ * Who carries each flag
+ * @returns {Object} { Red, Blue }: carrier id, or null while the flag is home
+ */
+export const getMockFlags = () => ({ ...mockFlags });
+
+/**
+ * Take the enemy flag from its base
+ * @param {string} playerId The local player or a bot
+ * @param {string} team Team the flag belongs to ("red" or "Red")
+ * @returns {boolean} Whether they now carry it
+ */
+export const takeMockFlag = (playerId, team) => {
+  const player = getMockParticipant(playerId);
+  const flagTeam = toMockFlagTeam(team);
+  if (!player || !flagTeam || player.isEliminated) return false;
+  if (flagTeam === player.team || mockFlags[flagTeam]) return false;
+
+  mockFlags[flagTeam] = player.id;
+  relayMockEvent("flagCaptured", EVENTS.FLAG_CAPTURED, {
+    team: flagTeam.toLowerCase(),
+    carrier: player.name,
+  });
+  return true;
+};
+
+/**
+ * Bring a carried flag home. Outside live play it just goes back to its base.
+ * @param {string} playerId The local player or a bot
+ * @param {string} team Team the flag belongs to
+ * @returns {boolean} Whether it counted
+ */
+export const scoreMockFlag = (playerId, team) => {
+  const player = getMockParticipant(playerId);
+  const flagTeam = toMockFlagTeam(team);
+  if (!player || !flagTeam || mockFlags[flagTeam] !== player.id) return false;
+
+  mockFlags[flagTeam] = null;
+  if (!mockMatch || !mockMatch.isScoring()) {
+    relayMockEvent("flagReturned", EVENTS.FLAG_RETURNED, {
+      team: flagTeam.toLowerCase(),
+    });
+    return false;
+  }
+
+  player.captures++;
+  player.score += FLAG_SCORE_POINTS;
+
+  // Announce the capture before addScore, which may end the match
+  const { redScore, blueScore } = mockMatch.getState();
+  const points = FLAG_SCORE_POINTS;
+  relayMockEvent("flagScored", EVENTS.FLAG_SCORED, {
+    team: flagTeam.toLowerCase(),
+    scorer: player.name,
+    redScore: player.team === "Red" ? redScore + points : redScore,
+    blueScore: player.team === "Blue" ? blueScore + points : blueScore,
+  });
+  if (player === mockPlayer) sendMockStats();
+
+  mockMatch.addScore(player.team, points);
+  return true;
+};
+
+/**
+ * Send any flag the player carries back to its base
+ * @param {Object} player Carrier
+ * @param {Object} returner Defender who stopped the carrier, if any
+ */
+function dropMockFlag(player, returner = null) {
+  Object.keys(mockFlags).forEach((flagTeam) => {
+    if (mockFlags[flagTeam] !== player.id) return;
+    mockFlags[flagTeam] = null;
+
+    // Stopping the enemy carrier counts as returning your own flag
+    const returnedBy = returner?.team === flagTeam ? returner : null;
+    if (returnedBy) returnedBy.returns++;
+
+    relayMockEvent("flagReturned", EVENTS.FLAG_RETURNED, {
+      team: flagTeam.toLowerCase(),
+      ...(returnedBy && { returnedBy: returnedBy.name }),
+    });
+  });
+}
+
+/**
+ * Send every carried flag home (a match started or ended)
+ */
+function resetMockFlags() {
+  Object.keys(mockFlags).forEach((flagTeam) => {
+    if (!mockFlags[flagTeam]) return;
+    mockFlags[flagTeam] = null;
+    relayMockEvent("flagReturned", EVENTS.FLAG_RETURNED, {
+      team: flagTeam.toLowerCase(),
+    });
+  });
+}
+
+registerMockEmitHandler("captureFlag", (data = {}) => {
+  if (mockPlayer) takeMockFlag(mockPlayer.id, data.team);
+});
+
+registerMockEmitHandler("scoreFlag", (data = {}) => {
+  if (mockPlayer) scoreMockFlag(mockPlayer.id, data.team);
+});
+
+/**
+ * Enter a bot into single-player combat. It gets the same per-player events
+ * a real client would (healthUpdate, hitConfirmed, startRespawnTimer,
+ * playerRespawned), plus everyone else's paintballs.
+ * @param {Object} bot { id, name, team }
+ * @param {Function} onEvent Called with (event, data) for each of them
+ */
+export const addMockBot = ({ id, name, team }, onEvent) => {
+  mockBots[id] = resetMockStats({
+    id,
+    name,
+    team,
+    health: MAX_HEALTH,
+    isEliminated: false,
+    onEvent,
+  });
+};
+
+/**
+ * Take every bot out of single-player combat
+ */
+export const removeMockBots = () => {
+  Object.keys(mockBots).forEach((id) => {
+    clearTimeout(mockRespawnTimers[id]);
+    delete mockRespawnTimers[id];
+    dropMockFlag(mockBots[id]);
+  });
+  mockBots = {};
+};
+
+/**
+ * A bot fired. Like the server's shoot handler, count the shot and relay
+ * the paintball to everyone - the local player's Game renders it, and
+ * reports the hit if it connects.
+ * @param {string} shooterId Bot that fired
+ * @param {Object} paintball { id, origin, direction, color }
+ */
+export const fireMockPaintball = (shooterId, paintball) => {
+  const shooter = mockBots[shooterId];
+  if (!shooter || shooter.isEliminated) return;
+
+  shooter.shots++;
+  triggerMockEvent("paintball", { ...paintball, shooterId });
+  relayMockPaintballToBots({ ...paintball, shooterId });
+};
+
+/**
+ * Send a paintball to every bot but the one that fired it, the way the
+ * server broadcasts it to every client - bots hear the shot
+ * @param {Object} paintball { id, origin, direction, color, shooterId }
+ */
+const relayMockPaintballToBots = (paintball) => {
+  Object.keys(mockBots).forEach((id) => {
+    if (id === paintball.shooterId) return;
+    sendToMockPlayer(id, "paintball", paintball);
+  });
+};
+
+/**
+ * Where the local player is, as far as the mock server knows - what bots
+ * see of them
+ * @returns {Object|null} { id, name, team, position, rotation,
+ *   isEliminated }, or null before the player has joined
+ */
+export const getMockPlayerState = () => {
+  if (!mockPlayer) return null;
+
+  const { id, name, team, position, rotation, isEliminated } = mockPlayer;
+  return { id, name, team, position, rotation, isEliminated };
+};
+
+registerMockEmitHandler("updatePosition", (data = {}) => {
+  if (!mockPlayer) return;
+  if (data.position) mockPlayer.position = data.position;
+  if (data.rotation) mockPlayer.rotation = data.rotation;
+});
+
+registerMockEmitHandler("hit", (data = {}) => {
+  hitMockPlayer(data.target, data.shooter || mockPlayer?.id);
+});
+
 // Export a utility for creating enemy bots in single-player mode
 export const createEnemyBot = ({
   name = "Bot",
@@ -750,12 +1864,12 @@ export const createEnemyBot = ({
 };
 
 /**
- * Get estimated wait time based on queue position
+ * Format a wait in seconds for the queue screen
+ * @param {number|null} seconds
+ * @returns {string|null} "< 1 minute", "~3 minutes", or null if unknown
  */
-export const getEstimatedWaitTime = (position) => {
-  if (position <= 0) return "Ready to join";
-
-  const seconds = position * 30;
+export const formatWaitTime = (seconds) => {
+  if (!Number.isFinite(seconds)) return null;
 
   if (seconds < 60) {
     return `< 1 minute`;
@@ -765,6 +1879,24 @@ export const getEstimatedWaitTime = (position) => {
   }
 };
 
+/**
+ * How long we're likely to wait in the queue. The server works this out
+ * from how fast slots have actually been opening, and sends it with every
+ * queueUpdate.
+ * @returns {string|null} Formatted estimate, or null until the server has
+ *   seen enough players leave to make one
+ */
+export const getEstimatedWaitTime = () => {
+  if (queuePosition <= 0) return "Ready to join";
+  return formatWaitTime(queueEstimate.estimatedWaitTime);
+};
+
+/**
+ * Whether the queue is moving: "moving" if a slot opened recently,
+ * "stalled" if not, null before the first queueUpdate
+ */
+export const getQueueTrend = () => queueEstimate.trend;
+
 /**
  * Check if server is online (has sent status updates)
  */
@@ -775,7 +1907,7 @@ export const isServerOnline = () => {
   const hasRecentStatus =
     serverStatus.online === true &&
     serverStatus.lastUpdate &&
-    Date.now() - serverStatus.lastUpdate < 30000;
+    Date.now() - serverStatus.lastUpdate < SERVER_STATUS_STALE_TIME;
 
   return connectedStatus && hasRecentStatus;
 };
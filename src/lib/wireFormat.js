@@ -0,0 +1,381 @@
+/**
+ * Compact binary wire format for the two hottest messages: the client's
+ * `updatePosition` and the server's `players` snapshot (a delta against the
+ * client's acknowledged baseline, see snapshotDelta.js).
+ *
+ * Positions are quantized to centimetres in int16s, yaw is packed into 16
+ * bits, booleans into a bitfield, and players are referred to by a small
+ * numeric id (netId) instead of their socket id. Names and teams travel
+ * separately in the `playerRoster` message because they rarely change.
+ *
+ * JSON stays available: the client lists the encodings it supports in
+ * `join` and the server answers with the one it picked in `joinSuccess`.
+ */
+
+export const WIRE_VERSION = 1;
+
+export const ENCODINGS = {
+  JSON: "json",
+  BINARY: `binary-v${WIRE_VERSION}`,
+};
+
+// Preferred first
+export const SUPPORTED_ENCODINGS = [ENCODINGS.BINARY, ENCODINGS.JSON];
+
+const MESSAGE_TYPES = {
+  PLAYERS: 1,
+  POSITION_UPDATE: 2,
+};
+
+const POSITION_SCALE = 100; // 1cm precision, +/-327m range in an int16
+const YAW_SCALE = 65536 / (2 * Math.PI);
+const HEADER_SIZE = 4; // version, type, count (uint16)
+const SNAPSHOT_HEADER_SIZE = HEADER_SIZE + 20; // + tick, baseTick, server time, removed and held counts
+const INPUT_SIZE = 13; // seq, dt, keys, x, y, z
+
+// Player snapshot flags
+const PLAYER_FLAGS = {
+  ELIMINATED: 1 << 0,
+  CROUCHING: 1 << 1,
+  TEAM_BLUE: 1 << 2,
+  DISCONNECTED: 1 << 3,
+};
+
+// Which fields a players snapshot entry carries
+const FIELD_MASKS = {
+  POSITION: 1 << 0,
+  YAW: 1 << 1,
+  HEALTH: 1 << 2,
+  FLAGS: 1 << 3,
+};
+
+// Position update flags
+const UPDATE_FLAGS = {
+  HAS_POSITION: 1 << 0,
+  HAS_ROTATION: 1 << 1,
+  HAS_CROUCH: 1 << 2,
+  CROUCHING: 1 << 3,
+};
+
+// Input command key bits, in this order
+const KEY_BITS = [
+  "forward",
+  "backward",
+  "left",
+  "right",
+  "jump",
+  "sprint",
+  "crouch",
+];
+
+/**
+ * Pick the best encoding both sides support
+ * @param {Array} offered Encodings the client offered (may be missing)
+ * @returns {string} Chosen encoding
+ */
+export const negotiateEncoding = (offered) => {
+  if (!Array.isArray(offered)) return ENCODINGS.JSON;
+  return (
+    SUPPORTED_ENCODINGS.find((encoding) => offered.includes(encoding)) ||
+    ENCODINGS.JSON
+  );
+};
+
+/**
+ * Whether a received payload is binary (ArrayBuffer, typed array or Buffer)
+ */
+export const isBinaryPayload = (data) =>
+  data instanceof ArrayBuffer || ArrayBuffer.isView(data);
+
+const toDataView = (data) =>
+  data instanceof ArrayBuffer
+    ? new DataView(data)
+    : new DataView(data.buffer, data.byteOffset, data.byteLength);
+
+const clampInt16 = (value) => Math.max(-32768, Math.min(32767, value));
+
+const writePosition = (view, offset, position) => {
+  view.setInt16(offset, clampInt16(Math.round(position[0] * POSITION_SCALE)));
+  view.setInt16(offset + 2, clampInt16(Math.round(position[1] * POSITION_SCALE)));
+  view.setInt16(offset + 4, clampInt16(Math.round(position[2] * POSITION_SCALE)));
+};
+
+const readPosition = (view, offset) => [
+  view.getInt16(offset) / POSITION_SCALE,
+  view.getInt16(offset + 2) / POSITION_SCALE,
+  view.getInt16(offset + 4) / POSITION_SCALE,
+];
+
+const packYaw = (yaw) => {
+  const turn = 2 * Math.PI;
+  const normalized = ((yaw % turn) + turn) % turn;
+  return Math.round(normalized * YAW_SCALE) & 0xffff;
+};
+
+const unpackYaw = (packed) => {
+  const yaw = packed / YAW_SCALE;
+  return yaw > Math.PI ? yaw - 2 * Math.PI : yaw;
+};
+
+const readHeader = (view, expectedType) => {
+  if (view.byteLength < HEADER_SIZE) {
+    throw new Error("Binary message too short");
+  }
+  const version = view.getUint8(0);
+  if (version !== WIRE_VERSION) {
+    throw new Error(`Unsupported wire version ${version}`);
+  }
+  if (view.getUint8(1) !== expectedType) {
+    throw new Error("Unexpected binary message type");
+  }
+  return view.getUint16(2);
+};
+
+/**
+ * Encode a players snapshot or delta (see snapshotDelta.js)
+ * @param {Object} snapshot Snapshot to encode
+ * @param {number} snapshot.tick Snapshot tick
+ * @param {number} snapshot.baseTick Baseline tick, 0 for a full snapshot
+ * @param {number} snapshot.time Server time the snapshot was taken (ms)
+ * @param {Array} snapshot.players [{ netId, changed, player }] - changed
+ *   fields, plus the full player they belong to (flags are sent together)
+ * @param {Array} snapshot.removed Net ids that left since the baseline
+ * @param {Array} snapshot.held Net ids not refreshed this tick
+ * @returns {ArrayBuffer} Encoded snapshot
+ */
+export const encodePlayersSnapshot = ({
+  tick,
+  baseTick,
+  time,
+  players,
+  removed,
+  held = [],
+}) => {
+  const entries = players
+    .map(({ netId, changed, player }) => {
+      let mask = 0;
+      if (changed.position) mask |= FIELD_MASKS.POSITION;
+      if (changed.rotation) mask |= FIELD_MASKS.YAW;
+      if (changed.health !== undefined) mask |= FIELD_MASKS.HEALTH;
+      if (
+        changed.team !== undefined ||
+        changed.is_eliminated !== undefined ||
+        changed.isCrouching !== undefined ||
+        changed.disconnected !== undefined
+      ) {
+        mask |= FIELD_MASKS.FLAGS;
+      }
+      return { netId, mask, player };
+    })
+    .filter((entry) => entry.mask !== 0); // Name-only changes travel in the roster
+
+  const size = entries.reduce(
+    (total, { mask }) =>
+      total +
+      3 +
+      (mask & FIELD_MASKS.POSITION ? 6 : 0) +
+      (mask & FIELD_MASKS.YAW ? 2 : 0) +
+      (mask & FIELD_MASKS.HEALTH ? 1 : 0) +
+      (mask & FIELD_MASKS.FLAGS ? 1 : 0),
+    SNAPSHOT_HEADER_SIZE + (removed.length + held.length) * 2
+  );
+  const buffer = new ArrayBuffer(size);
+  const view = new DataView(buffer);
+
+  view.setUint8(0, WIRE_VERSION);
+  view.setUint8(1, MESSAGE_TYPES.PLAYERS);
+  view.setUint16(2, entries.length);
+  view.setUint32(4, tick);
+  view.setUint32(8, baseTick);
+  view.setFloat64(12, time);
+  view.setUint16(20, removed.length);
+  view.setUint16(22, held.length);
+
+  let offset = SNAPSHOT_HEADER_SIZE;
+  [...removed, ...held].forEach((netId) => {
+    view.setUint16(offset, netId);
+    offset += 2;
+  });
+
+  entries.forEach(({ netId, mask, player }) => {
+    view.setUint16(offset, netId);
+    view.setUint8(offset + 2, mask);
+    offset += 3;
+
+    if (mask & FIELD_MASKS.POSITION) {
+      writePosition(view, offset, player.position);
+      offset += 6;
+    }
+    if (mask & FIELD_MASKS.YAW) {
+      view.setUint16(offset, packYaw(player.rotation?.[1] || 0));
+      offset += 2;
+    }
+    if (mask & FIELD_MASKS.HEALTH) {
+      view.setUint8(offset, Math.max(0, Math.min(255, player.health)));
+      offset += 1;
+    }
+    if (mask & FIELD_MASKS.FLAGS) {
+      let flags = 0;
+      if (player.is_eliminated) flags |= PLAYER_FLAGS.ELIMINATED;
+      if (player.isCrouching) flags |= PLAYER_FLAGS.CROUCHING;
+      if (player.team === "Blue") flags |= PLAYER_FLAGS.TEAM_BLUE;
+      if (player.disconnected) flags |= PLAYER_FLAGS.DISCONNECTED;
+      view.setUint8(offset, flags);
+      offset += 1;
+    }
+  });
+
+  return buffer;
+};
+
+/**
+ * Decode a players snapshot or delta. Players stay keyed by net id; the
+ * caller resolves them through the roster once the delta is applied.
+ * @param {ArrayBuffer|Uint8Array} data Encoded snapshot
+ * @returns {{tick: number, baseTick: number, time: number, players: Object, removed: Array, held: Array}}
+ */
+export const decodePlayersSnapshot = (data) => {
+  const view = toDataView(data);
+  const count = readHeader(view, MESSAGE_TYPES.PLAYERS);
+  if (view.byteLength < SNAPSHOT_HEADER_SIZE) {
+    throw new Error("Binary message too short");
+  }
+
+  const tick = view.getUint32(4);
+  const baseTick = view.getUint32(8);
+  const time = view.getFloat64(12);
+  const removedCount = view.getUint16(20);
+  const heldCount = view.getUint16(22);
+  const removed = [];
+  const held = [];
+  const players = {};
+
+  let offset = SNAPSHOT_HEADER_SIZE;
+  for (let index = 0; index < removedCount; index++) {
+    removed.push(String(view.getUint16(offset)));
+    offset += 2;
+  }
+  for (let index = 0; index < heldCount; index++) {
+    held.push(String(view.getUint16(offset)));
+    offset += 2;
+  }
+
+  for (let index = 0; index < count; index++) {
+    const netId = view.getUint16(offset);
+    const mask = view.getUint8(offset + 2);
+    const changed = {};
+    offset += 3;
+
+    if (mask & FIELD_MASKS.POSITION) {
+      changed.position = readPosition(view, offset);
+      offset += 6;
+    }
+    if (mask & FIELD_MASKS.YAW) {
+      changed.rotation = [0, unpackYaw(view.getUint16(offset)), 0];
+      offset += 2;
+    }
+    if (mask & FIELD_MASKS.HEALTH) {
+      changed.health = view.getUint8(offset);
+      offset += 1;
+    }
+    if (mask & FIELD_MASKS.FLAGS) {
+      const flags = view.getUint8(offset);
+      changed.team = flags & PLAYER_FLAGS.TEAM_BLUE ? "Blue" : "Red";
+      changed.is_eliminated = Boolean(flags & PLAYER_FLAGS.ELIMINATED);
+      changed.isCrouching = Boolean(flags & PLAYER_FLAGS.CROUCHING);
+      changed.disconnected = Boolean(flags & PLAYER_FLAGS.DISCONNECTED);
+      offset += 1;
+    }
+
+    players[netId] = changed;
+  }
+
+  return { tick, baseTick, time, players, removed, held };
+};
+
+/**
+ * Encode an updatePosition payload
+ * @param {Object} update { position?, rotation?, isCrouching?, inputs? }
+ * @returns {ArrayBuffer} Encoded update
+ */
+export const encodePositionUpdate = (update) => {
+  const inputs = Array.isArray(update.inputs) ? update.inputs : [];
+  const buffer = new ArrayBuffer(
+    HEADER_SIZE + 1 + 6 + 2 + inputs.length * INPUT_SIZE
+  );
+  const view = new DataView(buffer);
+
+  let flags = 0;
+  if (update.position) flags |= UPDATE_FLAGS.HAS_POSITION;
+  if (update.rotation) flags |= UPDATE_FLAGS.HAS_ROTATION;
+  if (typeof update.isCrouching === "boolean") {
+    flags |= UPDATE_FLAGS.HAS_CROUCH;
+    if (update.isCrouching) flags |= UPDATE_FLAGS.CROUCHING;
+  }
+
+  view.setUint8(0, WIRE_VERSION);
+  view.setUint8(1, MESSAGE_TYPES.POSITION_UPDATE);
+  view.setUint16(2, inputs.length);
+  view.setUint8(4, flags);
+  writePosition(view, 5, update.position || [0, 0, 0]);
+  view.setUint16(11, packYaw(update.rotation?.[1] || 0));
+
+  inputs.forEach((input, index) => {
+    const offset = HEADER_SIZE + 9 + index * INPUT_SIZE;
+    const keys = KEY_BITS.reduce(
+      (bits, key, bit) => (input.keys?.[key] ? bits | (1 << bit) : bits),
+      0
+    );
+
+    view.setUint32(offset, input.seq);
+    view.setUint16(offset + 4, Math.min(65535, Math.round(input.dt * 1000)));
+    view.setUint8(offset + 6, keys);
+    writePosition(view, offset + 7, input.position);
+  });
+
+  return buffer;
+};
+
+/**
+ * Decode an updatePosition payload into the JSON shape
+ * @param {ArrayBuffer|Uint8Array|Buffer} data Encoded update
+ * @returns {Object} { position?, rotation?, isCrouching?, inputs }
+ */
+export const decodePositionUpdate = (data) => {
+  const view = toDataView(data);
+  const count = readHeader(view, MESSAGE_TYPES.POSITION_UPDATE);
+  if (view.byteLength < HEADER_SIZE + 9 + count * INPUT_SIZE) {
+    throw new Error("Binary message too short");
+  }
+
+  const flags = view.getUint8(4);
+  const update = { inputs: [] };
+
+  if (flags & UPDATE_FLAGS.HAS_POSITION) update.position = readPosition(view, 5);
+  if (flags & UPDATE_FLAGS.HAS_ROTATION) {
+    update.rotation = [0, unpackYaw(view.getUint16(11)), 0];
+  }
+  if (flags & UPDATE_FLAGS.HAS_CROUCH) {
+    update.isCrouching = Boolean(flags & UPDATE_FLAGS.CROUCHING);
+  }
+
+  for (let index = 0; index < count; index++) {
+    const offset = HEADER_SIZE + 9 + index * INPUT_SIZE;
+    const keyBits = view.getUint8(offset + 6);
+
+    update.inputs.push({
+      seq: view.getUint32(offset),
+      dt: view.getUint16(offset + 4) / 1000,
+      keys: KEY_BITS.reduce(
+        (keys, key, bit) => ({ ...keys, [key]: Boolean(keyBits & (1 << bit)) }),
+        {}
+      ),
+      position: readPosition(view, offset + 7),
+    });
+  }
+
+  // Updates without input commands came from the legacy position path
+  if (count === 0) delete update.inputs;
+
+  return update;
+};